@@ -2,11 +2,15 @@ import { Route, Routes } from "react-router-dom";
 import AuthLayout from "./components/auth/layout";
 import AuthLogin from "./pages/auth/login";
 import AuthRegister from "./pages/auth/register";
+import AuthForgotPassword from "./pages/auth/forgot-password";
+import AuthResetPassword from "./pages/auth/reset-password";
+import AuthVerifyEmail from "./pages/auth/verify-email";
 import AdminLayout from "./components/admin-view/layout";
 import AdminDashboard from "./pages/admin-view/dashboard";
 import AdminProducts from "./pages/admin-view/products";
 import AdminOrders from "./pages/admin-view/orders";
 import AdminFeatures from "./pages/admin-view/features";
+import AdminTaxonomy from "./pages/admin-view/taxonomy";
 import ShoppingLayout from "./components/shopping-view/layout";
 import NotFound from "./pages/not-found";
 import ShoppingHome from "./pages/shopping-view/home";
@@ -59,6 +63,9 @@ function App() {
         >
           <Route path="login" element={<AuthLogin />} />
           <Route path="register" element={<AuthRegister />} />
+          <Route path="forgot" element={<AuthForgotPassword />} />
+          <Route path="reset" element={<AuthResetPassword />} />
+          <Route path="verify-email" element={<AuthVerifyEmail />} />
         </Route>
         <Route
           path="/admin"
@@ -72,6 +79,7 @@ function App() {
           <Route path="products" element={<AdminProducts />} />
           <Route path="orders" element={<AdminOrders />} />
           <Route path="features" element={<AdminFeatures />} />
+          <Route path="taxonomy" element={<AdminTaxonomy />} />
         </Route>
         <Route
           path="/shop"
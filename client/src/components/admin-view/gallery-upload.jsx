@@ -0,0 +1,201 @@
+import { GripVertical, StarIcon, UploadCloudIcon, XIcon } from "lucide-react";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import { useRef, useState } from "react";
+import { Button } from "../ui/button";
+import axios from "axios";
+import { Skeleton } from "../ui/skeleton";
+import { getRenditionUrl } from "@/lib/images";
+
+// Moves the image at fromIndex so that it ends up at toIndex
+function moveImage(images, fromIndex, toIndex) {
+  const nextImages = [...images];
+  const [movedImage] = nextImages.splice(fromIndex, 1);
+  nextImages.splice(toIndex, 0, movedImage);
+  return nextImages;
+}
+
+function ProductGalleryUpload({
+  images,
+  setImages,
+  imageLoadingState,
+  setImageLoadingState,
+}) {
+  const inputRef = useRef(null);
+  const [draggedIndex, setDraggedIndex] = useState(null);
+  const [uploadError, setUploadError] = useState("");
+
+  async function uploadImageFiles(files) {
+    if (!files.length) return;
+
+    setImageLoadingState(true);
+    setUploadError("");
+    const data = new FormData();
+    files.forEach((file) => data.append("my_files", file));
+
+    try {
+      const response = await axios.post(
+        "http://localhost:5000/api/admin/products/upload-images",
+        data,
+        { withCredentials: true }
+      );
+
+      if (response?.data?.success) {
+        setImages([
+          ...images,
+          ...response.data.results.map((result, index) => ({
+            url: result.url,
+            path: result.public_id,
+            renditions: result.renditions || [],
+            alt: "",
+            isPrimary: !images.length && index === 0,
+          })),
+        ]);
+      }
+    } catch (error) {
+      setUploadError(error.response?.data?.message || "Upload failed");
+    } finally {
+      setImageLoadingState(false);
+      if (inputRef.current) inputRef.current.value = "";
+    }
+  }
+
+  function handleImageFilesChange(event) {
+    uploadImageFiles(Array.from(event.target.files || []));
+  }
+
+  function handleFilesDrop(event) {
+    event.preventDefault();
+    uploadImageFiles(Array.from(event.dataTransfer.files || []));
+  }
+
+  function handleImageChange(index, changes) {
+    setImages(
+      images.map((image, imageIndex) =>
+        imageIndex === index ? { ...image, ...changes } : image
+      )
+    );
+  }
+
+  function handleSetPrimary(index) {
+    setImages(
+      images.map((image, imageIndex) => ({
+        ...image,
+        isPrimary: imageIndex === index,
+      }))
+    );
+  }
+
+  // The first remaining image becomes primary when the primary one goes
+  function handleRemoveImage(index) {
+    const nextImages = images.filter((_, imageIndex) => imageIndex !== index);
+
+    setImages(
+      images[index].isPrimary && nextImages.length
+        ? nextImages.map((image, imageIndex) => ({
+            ...image,
+            isPrimary: imageIndex === 0,
+          }))
+        : nextImages
+    );
+  }
+
+  function handleImageDrop(event, index) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    if (draggedIndex !== null && draggedIndex !== index) {
+      setImages(moveImage(images, draggedIndex, index));
+    }
+    setDraggedIndex(null);
+  }
+
+  return (
+    <div className="w-full mt-4 max-w-md mx-auto">
+      <Label className="text-lg font-semibold mb-2 block">Images</Label>
+      <div
+        onDragOver={(event) => event.preventDefault()}
+        onDrop={handleFilesDrop}
+        className="border-2 border-dashed rounded-lg p-4"
+      >
+        <Input
+          id="gallery-upload"
+          type="file"
+          accept="image/*"
+          multiple
+          className="hidden"
+          ref={inputRef}
+          onChange={handleImageFilesChange}
+        />
+        {imageLoadingState ? (
+          <Skeleton className="h-32 bg-gray-100" />
+        ) : (
+          <Label
+            htmlFor="gallery-upload"
+            className="flex flex-col items-center justify-center h-32 cursor-pointer"
+          >
+            <UploadCloudIcon className="w-10 h-10 text-muted-foreground mb-2" />
+            <span>Drag & drop or click to upload images</span>
+          </Label>
+        )}
+      </div>
+      {uploadError ? (
+        <p className="text-sm text-destructive mt-2">{uploadError}</p>
+      ) : null}
+      <ul className="grid gap-2 mt-4">
+        {images.map((image, index) => (
+          <li
+            key={image.url}
+            draggable
+            onDragStart={() => setDraggedIndex(index)}
+            onDragEnd={() => setDraggedIndex(null)}
+            onDragOver={(event) => event.preventDefault()}
+            onDrop={(event) => handleImageDrop(event, index)}
+            className={`flex items-center gap-2 rounded-lg border p-2 ${
+              draggedIndex === index ? "opacity-50" : ""
+            }`}
+          >
+            <GripVertical className="w-4 h-4 text-muted-foreground cursor-grab" />
+            <img
+              src={getRenditionUrl(image, "thumbnail")}
+              alt={image.alt}
+              className="w-12 h-12 rounded object-cover"
+            />
+            <Input
+              placeholder="Alt text"
+              value={image.alt}
+              onChange={(event) =>
+                handleImageChange(index, { alt: event.target.value })
+              }
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={() => handleSetPrimary(index)}
+            >
+              <StarIcon
+                className={`w-4 h-4 ${
+                  image.isPrimary ? "fill-primary" : "text-muted-foreground"
+                }`}
+              />
+              <span className="sr-only">Make primary image</span>
+            </Button>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              className="text-muted-foreground hover:text-foreground"
+              onClick={() => handleRemoveImage(index)}
+            >
+              <XIcon className="w-4 h-4" />
+              <span className="sr-only">Remove image</span>
+            </Button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default ProductGalleryUpload;
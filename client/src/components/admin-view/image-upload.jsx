@@ -51,7 +51,8 @@ function ProductImageUpload({
     data.append("my_file", imageFile);
     const response = await axios.post(
       "http://localhost:5000/api/admin/products/upload-image",
-      data
+      data,
+      { withCredentials: true }
     );
     console.log(response, "response");
 
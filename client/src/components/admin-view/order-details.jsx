@@ -91,7 +91,11 @@ function AdminOrderDetailsView({ orderDetails }) {
               {orderDetails?.cartItems && orderDetails?.cartItems.length > 0
                 ? orderDetails?.cartItems.map((item) => (
                     <li className="flex items-center justify-between">
-                      <span>Title: {item.title}</span>
+                      <span>
+                        Title: {item.title}
+                        {item.variantLabel ? ` (${item.variantLabel})` : ""}
+                      </span>
+                      {item.sku ? <span>SKU: {item.sku}</span> : null}
                       <span>Quantity: {item.quantity}</span>
                       <span>Price: ${item.price}</span>
                     </li>
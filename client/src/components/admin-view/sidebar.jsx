@@ -3,6 +3,7 @@ import {
   ChartNoAxesCombined,
   LayoutDashboard,
   ShoppingBasket,
+  Tags,
 } from "lucide-react";
 import { Fragment } from "react";
 import { useNavigate } from "react-router-dom";
@@ -21,6 +22,12 @@ const adminSidebarMenuItems = [
     path: "/admin/products",
     icon: <ShoppingBasket />,
   },
+  {
+    id: "taxonomy",
+    label: "Categories & Brands",
+    path: "/admin/taxonomy",
+    icon: <Tags />,
+  },
   {
     id: "orders",
     label: "Orders",
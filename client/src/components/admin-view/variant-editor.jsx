@@ -0,0 +1,235 @@
+import { Trash } from "lucide-react";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "../ui/table";
+import { getOptionCombinations, getVariantLabel } from "@/lib/variants";
+
+// Product stock is the sum of its variants' stock once it has any
+function withVariants(formData, variants) {
+  return {
+    ...formData,
+    variants,
+    totalStock: variants.length
+      ? String(
+          variants.reduce(
+            (sum, variant) => sum + (Number(variant.totalStock) || 0),
+            0
+          )
+        )
+      : formData.totalStock,
+  };
+}
+
+function AdminVariantEditor({ formData, setFormData }) {
+  const options = formData.options || [];
+  const variants = formData.variants || [];
+
+  function handleOptionChange(index, changes) {
+    setFormData({
+      ...formData,
+      options: options.map((option, optionIndex) =>
+        optionIndex === index ? { ...option, ...changes } : option
+      ),
+    });
+  }
+
+  function handleRemoveOption(index) {
+    const nextOptions = options.filter(
+      (_, optionIndex) => optionIndex !== index
+    );
+
+    setFormData(
+      withVariants(
+        { ...formData, options: nextOptions },
+        nextOptions.length ? variants : []
+      )
+    );
+  }
+
+  // Keeps the SKU, price, stock and image of combinations that still exist
+  function handleGenerateVariants() {
+    const nextVariants = getOptionCombinations(
+      options.filter((option) => option.name && option.values.length)
+    ).map((combination) => {
+      const label = getVariantLabel({ options: combination });
+
+      return (
+        variants.find((variant) => getVariantLabel(variant) === label) || {
+          options: combination,
+          sku: "",
+          price: "",
+          totalStock: 0,
+          image: "",
+        }
+      );
+    });
+
+    setFormData(withVariants(formData, nextVariants));
+  }
+
+  function handleVariantChange(index, changes) {
+    setFormData(
+      withVariants(
+        formData,
+        variants.map((variant, variantIndex) =>
+          variantIndex === index ? { ...variant, ...changes } : variant
+        )
+      )
+    );
+  }
+
+  function handleRemoveVariant(index) {
+    setFormData(
+      withVariants(
+        formData,
+        variants.filter((_, variantIndex) => variantIndex !== index)
+      )
+    );
+  }
+
+  return (
+    <div className="flex flex-col gap-3 py-6">
+      <Label className="font-semibold">Options</Label>
+      {options.map((option, index) => (
+        <div key={index} className="flex gap-2">
+          <Input
+            placeholder="Name, e.g. Size"
+            value={option.name}
+            onChange={(event) =>
+              handleOptionChange(index, { name: event.target.value })
+            }
+          />
+          <Input
+            key={option.values.join(",")}
+            placeholder="Values, e.g. S, M, L"
+            defaultValue={option.values.join(", ")}
+            onBlur={(event) =>
+              handleOptionChange(index, {
+                values: [
+                  ...new Set(
+                    event.target.value
+                      .split(",")
+                      .map((value) => value.trim())
+                      .filter(Boolean)
+                  ),
+                ],
+              })
+            }
+          />
+          <Button
+            type="button"
+            variant="outline"
+            size="icon"
+            onClick={() => handleRemoveOption(index)}
+          >
+            <Trash className="w-4 h-4" />
+            <span className="sr-only">Remove option</span>
+          </Button>
+        </div>
+      ))}
+      <div className="flex gap-2">
+        <Button
+          type="button"
+          variant="outline"
+          onClick={() =>
+            setFormData({
+              ...formData,
+              options: [...options, { name: "", values: [] }],
+            })
+          }
+        >
+          Add Option
+        </Button>
+        <Button
+          type="button"
+          variant="outline"
+          disabled={!options.length}
+          onClick={handleGenerateVariants}
+        >
+          Generate Variants
+        </Button>
+      </div>
+      {variants.length ? (
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Variant</TableHead>
+              <TableHead>SKU</TableHead>
+              <TableHead>Price</TableHead>
+              <TableHead>Stock</TableHead>
+              <TableHead>Image URL</TableHead>
+              <TableHead>
+                <span className="sr-only">Actions</span>
+              </TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {variants.map((variant, index) => (
+              <TableRow key={getVariantLabel(variant)}>
+                <TableCell>{getVariantLabel(variant)}</TableCell>
+                <TableCell>
+                  <Input
+                    value={variant.sku || ""}
+                    onChange={(event) =>
+                      handleVariantChange(index, { sku: event.target.value })
+                    }
+                  />
+                </TableCell>
+                <TableCell>
+                  <Input
+                    type="number"
+                    placeholder="Product price"
+                    value={variant.price ?? ""}
+                    onChange={(event) =>
+                      handleVariantChange(index, { price: event.target.value })
+                    }
+                  />
+                </TableCell>
+                <TableCell>
+                  <Input
+                    type="number"
+                    value={variant.totalStock}
+                    onChange={(event) =>
+                      handleVariantChange(index, {
+                        totalStock: event.target.value,
+                      })
+                    }
+                  />
+                </TableCell>
+                <TableCell>
+                  <Input
+                    value={variant.image || ""}
+                    onChange={(event) =>
+                      handleVariantChange(index, { image: event.target.value })
+                    }
+                  />
+                </TableCell>
+                <TableCell>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="icon"
+                    onClick={() => handleRemoveVariant(index)}
+                  >
+                    <Trash className="w-4 h-4" />
+                    <span className="sr-only">Remove variant</span>
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      ) : null}
+    </div>
+  );
+}
+
+export default AdminVariantEditor;
@@ -0,0 +1,86 @@
+import CommonForm from "@/components/common/form";
+import { useToast } from "@/components/ui/use-toast";
+import { mfaCodeFormControls, recoveryCodeFormControls } from "@/config";
+import { verifyMfaLogin } from "@/store/auth-slice";
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { Button } from "../ui/button";
+
+// Second login step for accounts with two-factor authentication
+function MfaChallenge({ mfaToken, onCancel }) {
+  const [formData, setFormData] = useState({ code: "", recoveryCode: "" });
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const dispatch = useDispatch();
+  const { toast } = useToast();
+
+  function onSubmit(event) {
+    event.preventDefault();
+    setIsSubmitting(true);
+
+    dispatch(
+      verifyMfaLogin(
+        useRecoveryCode
+          ? { mfaToken, recoveryCode: formData.recoveryCode }
+          : { mfaToken, code: formData.code }
+      )
+    ).then((data) => {
+      setIsSubmitting(false);
+      if (data?.payload?.success) {
+        toast({
+          title: data?.payload?.message,
+        });
+      } else {
+        setFormData({ code: "", recoveryCode: "" });
+        toast({
+          title: data?.payload?.message || "Some error occured",
+          variant: "destructive",
+        });
+      }
+    });
+  }
+
+  return (
+    <div className="mx-auto w-full max-w-md space-y-6">
+      <div className="text-center">
+        <h1 className="text-3xl font-bold tracking-tight text-foreground">
+          Two-factor authentication
+        </h1>
+        <p className="mt-2">
+          {useRecoveryCode
+            ? "Enter one of the recovery codes you saved when setting up two-factor authentication."
+            : "Enter the code shown in your authenticator app."}
+        </p>
+      </div>
+      <CommonForm
+        formControls={
+          useRecoveryCode ? recoveryCodeFormControls : mfaCodeFormControls
+        }
+        buttonText={"Verify"}
+        formData={formData}
+        setFormData={setFormData}
+        onSubmit={onSubmit}
+        isBtnDisabled={
+          isSubmitting ||
+          !(useRecoveryCode ? formData.recoveryCode : formData.code)
+        }
+      />
+      <div className="flex justify-between">
+        <Button
+          variant="link"
+          className="px-0"
+          onClick={() => setUseRecoveryCode(!useRecoveryCode)}
+        >
+          {useRecoveryCode
+            ? "Use authenticator app"
+            : "Use a recovery code"}
+        </Button>
+        <Button variant="link" className="px-0" onClick={onCancel}>
+          Back to login
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default MfaChallenge;
@@ -0,0 +1,125 @@
+import CommonForm from "@/components/common/form";
+import { useToast } from "@/components/ui/use-toast";
+import { mfaCodeFormControls } from "@/config";
+import { enableMfa, setupMfa } from "@/store/auth-slice";
+import { useEffect, useState } from "react";
+import { useDispatch } from "react-redux";
+import { Button } from "../ui/button";
+
+/**
+ * Walks through 2FA enrollment: scan the QR code, confirm with a first
+ * code, then save the recovery codes. Pass mfaToken when enrollment is
+ * part of a login, otherwise the current session is used.
+ */
+function MfaEnrollment({ mfaToken, onComplete }) {
+  const [setup, setSetup] = useState(null);
+  const [formData, setFormData] = useState({ code: "" });
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const dispatch = useDispatch();
+  const { toast } = useToast();
+
+  useEffect(() => {
+    let ignore = false;
+
+    dispatch(setupMfa(mfaToken ? { mfaToken } : {})).then((data) => {
+      if (ignore) return;
+
+      if (data?.payload?.success) {
+        setSetup(data.payload.data);
+      } else {
+        toast({
+          title: data?.payload?.message || "Some error occured",
+          variant: "destructive",
+        });
+      }
+    });
+
+    return () => {
+      ignore = true;
+    };
+  }, [dispatch, mfaToken, toast]);
+
+  function onSubmit(event) {
+    event.preventDefault();
+    setIsSubmitting(true);
+
+    dispatch(
+      enableMfa(mfaToken ? { mfaToken, code: formData.code } : formData)
+    ).then((data) => {
+      setIsSubmitting(false);
+      if (data?.payload?.success) {
+        setRecoveryCodes(data.payload.recoveryCodes);
+      } else {
+        setFormData({ code: "" });
+        toast({
+          title: data?.payload?.message || "Some error occured",
+          variant: "destructive",
+        });
+      }
+    });
+  }
+
+  if (recoveryCodes) {
+    return (
+      <div className="mx-auto w-full max-w-md space-y-6">
+        <div className="text-center">
+          <h1 className="text-3xl font-bold tracking-tight text-foreground">
+            Save your recovery codes
+          </h1>
+          <p className="mt-2">
+            Each code can be used once to sign in if you lose access to your
+            authenticator app. They will not be shown again.
+          </p>
+        </div>
+        <ul className="grid grid-cols-2 gap-2 rounded-md border p-4 font-mono text-sm">
+          {recoveryCodes.map((recoveryCode) => (
+            <li key={recoveryCode}>{recoveryCode}</li>
+          ))}
+        </ul>
+        <Button className="w-full" onClick={onComplete}>
+          I have saved these codes
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mx-auto w-full max-w-md space-y-6">
+      <div className="text-center">
+        <h1 className="text-3xl font-bold tracking-tight text-foreground">
+          Set up two-factor authentication
+        </h1>
+        <p className="mt-2">
+          Scan the QR code with an authenticator app, then enter the code it
+          shows.
+        </p>
+      </div>
+      {setup ? (
+        <div className="flex flex-col items-center gap-2">
+          <img
+            src={setup.qrCodeDataUrl}
+            alt="Two-factor authentication QR code"
+            className="h-48 w-48"
+          />
+          <p className="text-sm text-muted-foreground">
+            Can&apos;t scan it? Enter this key instead:
+          </p>
+          <code className="break-all text-sm font-semibold">
+            {setup.secret}
+          </code>
+        </div>
+      ) : null}
+      <CommonForm
+        formControls={mfaCodeFormControls}
+        buttonText={"Enable Two-Factor Authentication"}
+        formData={formData}
+        setFormData={setFormData}
+        onSubmit={onSubmit}
+        isBtnDisabled={isSubmitting || !setup || !formData.code}
+      />
+    </div>
+  );
+}
+
+export default MfaEnrollment;
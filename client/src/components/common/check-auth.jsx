@@ -1,5 +1,11 @@
 import { Navigate, useLocation } from "react-router-dom";
 
+// Auth pages reachable without being logged in
+const PUBLIC_AUTH_PATHS = ["/login", "/register", "/forgot", "/reset"];
+
+// Auth pages reachable whether or not the user is logged in
+const OPEN_AUTH_PATHS = ["/verify-email"];
+
 function CheckAuth({ isAuthenticated, user, children }) {
   const location = useLocation();
 
@@ -17,21 +23,19 @@ function CheckAuth({ isAuthenticated, user, children }) {
     }
   }
 
-  if (
-    !isAuthenticated &&
-    !(
-      location.pathname.includes("/login") ||
-      location.pathname.includes("/register")
-    )
-  ) {
+  if (OPEN_AUTH_PATHS.some((path) => location.pathname.includes(path))) {
+    return <>{children}</>;
+  }
+
+  const isPublicAuthPath = PUBLIC_AUTH_PATHS.some((path) =>
+    location.pathname.includes(path)
+  );
+
+  if (!isAuthenticated && !isPublicAuthPath) {
     return <Navigate to="/auth/login" />;
   }
 
-  if (
-    isAuthenticated &&
-    (location.pathname.includes("/login") ||
-      location.pathname.includes("/register"))
-  ) {
+  if (isAuthenticated && isPublicAuthPath) {
     if (user?.role === "admin") {
       return <Navigate to="/admin/dashboard" />;
     } else {
@@ -0,0 +1,23 @@
+import { getSrcSet } from "@/lib/images";
+
+// Lets the browser pick the rendition for its layout width, preferring AVIF
+function ResponsiveImage({ image, src, sizes, alt, ...imageProps }) {
+  const avifSrcSet = getSrcSet(image, "avif");
+
+  return (
+    <picture>
+      {avifSrcSet ? (
+        <source type="image/avif" srcSet={avifSrcSet} sizes={sizes} />
+      ) : null}
+      <img
+        src={src || image?.url}
+        srcSet={getSrcSet(image, "webp")}
+        sizes={sizes}
+        alt={alt ?? image?.alt}
+        {...imageProps}
+      />
+    </picture>
+  );
+}
+
+export default ResponsiveImage;
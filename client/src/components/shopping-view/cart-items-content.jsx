@@ -17,13 +17,23 @@ function UserCartItemsContent({ cartItem }) {
 
       if (getCartItems.length) {
         const indexOfCurrentCartItem = getCartItems.findIndex(
-          (item) => item.productId === getCartItem?.productId
+          (item) =>
+            item.productId === getCartItem?.productId &&
+            item.variantId === getCartItem?.variantId
         );
 
         const getCurrentProductIndex = productList.findIndex(
           (product) => product._id === getCartItem?.productId
         );
-        const getTotalStock = productList[getCurrentProductIndex].totalStock;
+        // Variants keep their own stock
+        const getCurrentStockItem = getCartItem?.variantId
+          ? productList[getCurrentProductIndex]?.variants?.find(
+              (variant) => variant.id === getCartItem.variantId
+            )
+          : productList[getCurrentProductIndex];
+        const getTotalStock =
+          getCurrentStockItem?.availableStock ??
+          getCurrentStockItem?.totalStock;
 
         console.log(getCurrentProductIndex, getTotalStock, "getTotalStock");
 
@@ -45,6 +55,7 @@ function UserCartItemsContent({ cartItem }) {
       updateCartQuantity({
         userId: user?.id,
         productId: getCartItem?.productId,
+        variantId: getCartItem?.variantId,
         quantity:
           typeOfAction === "plus"
             ? getCartItem?.quantity + 1
@@ -61,7 +72,11 @@ function UserCartItemsContent({ cartItem }) {
 
   function handleCartItemDelete(getCartItem) {
     dispatch(
-      deleteCartItem({ userId: user?.id, productId: getCartItem?.productId })
+      deleteCartItem({
+        userId: user?.id,
+        productId: getCartItem?.productId,
+        variantId: getCartItem?.variantId,
+      })
     ).then((data) => {
       if (data?.payload?.success) {
         toast({
@@ -80,6 +95,11 @@ function UserCartItemsContent({ cartItem }) {
       />
       <div className="flex-1">
         <h3 className="font-extrabold">{cartItem?.title}</h3>
+        {cartItem?.variantLabel ? (
+          <p className="text-sm text-muted-foreground">
+            {cartItem.variantLabel}
+          </p>
+        ) : null}
         <div className="flex items-center gap-2 mt-1">
           <Button
             variant="outline"
@@ -1,37 +1,238 @@
-import { filterOptions } from "@/config";
-import { Fragment } from "react";
+import { availabilityFilterOptions, ratingFilterOptions } from "@/config";
+import { useEffect, useMemo, useState } from "react";
+import { useSelector } from "react-redux";
 import { Label } from "../ui/label";
 import { Checkbox } from "../ui/checkbox";
 import { Separator } from "../ui/separator";
+import { Input } from "../ui/input";
+import { Button } from "../ui/button";
+import {
+  buildCategoryTree,
+  flattenCategoryTree,
+  getSubtreeSlugs,
+} from "@/lib/taxonomy";
+
+// Count of products for a facet value, or null before facets have loaded
+function getFacetCount(facets, key, match) {
+  if (!facets?.[key]) return null;
+  return facets[key].find(match)?.count ?? 0;
+}
+
+// Facets count products by their own category, a parent category also
+// lists the products of its subcategories
+function getCategoryCount(facets, category) {
+  if (!facets?.category) return null;
+
+  return getSubtreeSlugs(category).reduce(
+    (sum, slug) =>
+      sum + getFacetCount(facets, "category", (facet) => facet.value === slug),
+    0
+  );
+}
+
+function getPriceBucketLabel(bucket) {
+  return bucket.max === null
+    ? `$${bucket.min}+`
+    : `$${bucket.min} to under $${bucket.max}`;
+}
+
+function FacetOption({ label, count, checked, onCheckedChange, depth = 0 }) {
+  // Options left without products stay enabled while checked, so they can
+  // still be cleared
+  const disabled = count === 0 && !checked;
+
+  return (
+    <Label
+      className={`flex font-medium items-center gap-2 ${
+        disabled ? "opacity-50" : ""
+      }`}
+      style={depth ? { paddingLeft: `${depth}rem` } : undefined}
+    >
+      <Checkbox
+        checked={checked}
+        disabled={disabled}
+        onCheckedChange={onCheckedChange}
+      />
+      {label}
+      {count !== null ? (
+        <span className="ml-auto text-xs text-muted-foreground">{count}</span>
+      ) : null}
+    </Label>
+  );
+}
+
+function ProductFilter({
+  filters,
+  facets,
+  handleFilter,
+  handleFilterValues,
+}) {
+  const [priceRange, setPriceRange] = useState({ minPrice: "", maxPrice: "" });
+  const { categories, brands } = useSelector((state) => state.taxonomy);
+  const categoryOptions = useMemo(
+    () => flattenCategoryTree(buildCategoryTree(categories)),
+    [categories]
+  );
+
+  useEffect(() => {
+    setPriceRange({
+      minPrice: filters?.minPrice ?? "",
+      maxPrice: filters?.maxPrice ?? "",
+    });
+  }, [filters?.minPrice, filters?.maxPrice]);
+
+  function handleApplyPriceRange(event) {
+    event.preventDefault();
+    handleFilterValues({ ...priceRange, priceBucket: "" });
+  }
+
+  function isPriceBucketChecked(bucket) {
+    return filters?.priceBucket === bucket.id;
+  }
+
+  // Buckets stop just under their max, so they are their own filter rather
+  // than a min and max price
+  function handlePriceBucket(bucket, checked) {
+    handleFilterValues({
+      minPrice: "",
+      maxPrice: "",
+      priceBucket: checked ? bucket.id : "",
+    });
+  }
 
-function ProductFilter({ filters, handleFilter }) {
   return (
     <div className="bg-background rounded-lg shadow-sm">
       <div className="p-4 border-b">
         <h2 className="text-lg font-extrabold">Filters</h2>
       </div>
       <div className="p-4 space-y-4">
-        {Object.keys(filterOptions).map((keyItem) => (
-          <Fragment>
-            <div>
-              <h3 className="text-base font-bold">{keyItem}</h3>
-              <div className="grid gap-2 mt-2">
-                {filterOptions[keyItem].map((option) => (
-                  <Label className="flex font-medium items-center gap-2 ">
-                    <Checkbox
-                      checked={
-                        filters?.[keyItem]?.includes(option.id) ?? false
-                      }
-                      onCheckedChange={() => handleFilter(keyItem, option.id)}
-                    />
-                    {option.label}
-                  </Label>
-                ))}
-              </div>
+        <div>
+          <h3 className="text-base font-bold">category</h3>
+          <div className="grid gap-2 mt-2">
+            {categoryOptions.map((category) => (
+              <FacetOption
+                key={category.id}
+                label={category.name}
+                depth={category.depth}
+                count={getCategoryCount(facets, category)}
+                checked={filters?.category?.includes(category.slug) ?? false}
+                onCheckedChange={() => handleFilter("category", category.slug)}
+              />
+            ))}
+          </div>
+        </div>
+        <Separator />
+        <div>
+          <h3 className="text-base font-bold">brand</h3>
+          <div className="grid gap-2 mt-2">
+            {brands.map((brand) => (
+              <FacetOption
+                key={brand.id}
+                label={brand.name}
+                count={getFacetCount(
+                  facets,
+                  "brand",
+                  (facet) => facet.value === brand.slug
+                )}
+                checked={filters?.brand?.includes(brand.slug) ?? false}
+                onCheckedChange={() => handleFilter("brand", brand.slug)}
+              />
+            ))}
+          </div>
+        </div>
+        <Separator />
+        <div>
+          <h3 className="text-base font-bold">price</h3>
+          {facets?.price ? (
+            <div className="grid gap-2 mt-2">
+              {facets.price.map((bucket) => (
+                <FacetOption
+                  key={bucket.id}
+                  label={getPriceBucketLabel(bucket)}
+                  count={bucket.count}
+                  checked={isPriceBucketChecked(bucket)}
+                  onCheckedChange={(checked) =>
+                    handlePriceBucket(bucket, checked)
+                  }
+                />
+              ))}
             </div>
-            <Separator />
-          </Fragment>
-        ))}
+          ) : null}
+          <form
+            onSubmit={handleApplyPriceRange}
+            className="grid grid-cols-2 gap-2 mt-2"
+          >
+            <Input
+              type="number"
+              min="0"
+              step="any"
+              placeholder="Min"
+              value={priceRange.minPrice}
+              onChange={(event) =>
+                setPriceRange({ ...priceRange, minPrice: event.target.value })
+              }
+            />
+            <Input
+              type="number"
+              min="0"
+              step="any"
+              placeholder="Max"
+              value={priceRange.maxPrice}
+              onChange={(event) =>
+                setPriceRange({ ...priceRange, maxPrice: event.target.value })
+              }
+            />
+            <Button
+              type="submit"
+              variant="outline"
+              size="sm"
+              className="col-span-2"
+            >
+              Apply
+            </Button>
+          </form>
+        </div>
+        <Separator />
+        <div>
+          <h3 className="text-base font-bold">rating</h3>
+          <div className="grid gap-2 mt-2">
+            {ratingFilterOptions.map((option) => (
+              <FacetOption
+                key={option.id}
+                label={option.label}
+                count={getFacetCount(
+                  facets,
+                  "rating",
+                  (facet) => String(facet.minRating) === option.id
+                )}
+                checked={String(filters?.minRating) === option.id}
+                onCheckedChange={(checked) =>
+                  handleFilterValues({ minRating: checked ? option.id : "" })
+                }
+              />
+            ))}
+          </div>
+        </div>
+        <Separator />
+        <div>
+          <h3 className="text-base font-bold">availability</h3>
+          <div className="grid gap-2 mt-2">
+            {availabilityFilterOptions.map((option) => (
+              <Label
+                key={option.id}
+                className="flex font-medium items-center gap-2 "
+              >
+                <Checkbox
+                  checked={String(filters?.[option.id]) === "true"}
+                  onCheckedChange={(checked) =>
+                    handleFilterValues({ [option.id]: checked ? "true" : "" })
+                  }
+                />
+                {option.label}
+              </Label>
+            ))}
+          </div>
+        </div>
       </div>
     </div>
   );
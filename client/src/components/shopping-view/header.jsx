@@ -20,7 +20,7 @@ import {
 import { Avatar, AvatarFallback } from "../ui/avatar";
 import { logoutUser } from "@/store/auth-slice";
 import UserCartWrapper from "./cart-wrapper";
-import { useEffect, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import { fetchCartItems } from "@/store/shop/cart-slice";
 import { Label } from "../ui/label";
 
@@ -28,30 +28,49 @@ function MenuItems() {
   const navigate = useNavigate();
   const location = useLocation();
   const [searchParams, setSearchParams] = useSearchParams();
+  const { categories } = useSelector((state) => state.taxonomy);
+
+  // Top level categories go between Products and Search
+  const menuItems = useMemo(() => {
+    const categoryItems = categories
+      .filter((category) => category.parent === null)
+      .map((category) => ({
+        id: category.slug,
+        label: category.name,
+        path: "/shop/listing",
+        isCategory: true,
+      }));
+    const searchIndex = shoppingViewHeaderMenuItems.findIndex(
+      (menuItem) => menuItem.id === "search"
+    );
+
+    return [
+      ...shoppingViewHeaderMenuItems.slice(0, searchIndex),
+      ...categoryItems,
+      ...shoppingViewHeaderMenuItems.slice(searchIndex),
+    ];
+  }, [categories]);
 
   function handleNavigate(getCurrentMenuItem) {
     sessionStorage.removeItem("filters");
-    const currentFilter =
-      getCurrentMenuItem.id !== "home" &&
-      getCurrentMenuItem.id !== "products" &&
-      getCurrentMenuItem.id !== "search"
-        ? {
-            category: [getCurrentMenuItem.id],
-          }
-        : null;
+    const currentFilter = getCurrentMenuItem.isCategory
+      ? {
+          category: [getCurrentMenuItem.id],
+        }
+      : null;
 
     sessionStorage.setItem("filters", JSON.stringify(currentFilter));
 
     location.pathname.includes("listing") && currentFilter !== null
       ? setSearchParams(
-          new URLSearchParams(`?category=${getCurrentMenuItem.id}`)
+          new URLSearchParams({ category: getCurrentMenuItem.id })
         )
       : navigate(getCurrentMenuItem.path);
   }
 
   return (
     <nav className="flex flex-col mb-3 lg:mb-0 lg:items-center gap-6 lg:flex-row">
-      {shoppingViewHeaderMenuItems.map((menuItem) => (
+      {menuItems.map((menuItem) => (
         <Label
           onClick={() => handleNavigate(menuItem)}
           className="text-sm font-medium cursor-pointer"
@@ -1,11 +1,23 @@
 import { Outlet } from "react-router-dom";
+import { useEffect } from "react";
+import { useDispatch } from "react-redux";
+import { fetchTaxonomy } from "@/store/taxonomy-slice";
 import ShoppingHeader from "./header";
+import VerifyEmailBanner from "./verify-email-banner";
 
 function ShoppingLayout() {
+  const dispatch = useDispatch();
+
+  // Categories and brands for the header, filters and home tiles
+  useEffect(() => {
+    dispatch(fetchTaxonomy());
+  }, [dispatch]);
+
   return (
     <div className="flex flex-col bg-white overflow-hidden">
       {/* common header */}
       <ShoppingHeader />
+      <VerifyEmailBanner />
       <main className="flex flex-col w-full">
         <Outlet />
       </main>
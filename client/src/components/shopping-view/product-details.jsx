@@ -10,12 +10,19 @@ import { useToast } from "../ui/use-toast";
 import { setProductDetails } from "@/store/shop/products-slice";
 import { Label } from "../ui/label";
 import StarRatingComponent from "../common/star-rating";
+import ProductGallery from "./product-gallery";
 import { useEffect, useState } from "react";
 import { addReview, getReviews } from "@/store/shop/review-slice";
+import {
+  findSelectedVariant,
+  getVariantPrices,
+  hasVariants,
+} from "@/lib/variants";
 
 function ProductDetailsDialog({ open, setOpen, productDetails }) {
   const [reviewMsg, setReviewMsg] = useState("");
   const [rating, setRating] = useState(0);
+  const [selectedOptions, setSelectedOptions] = useState({});
   const dispatch = useDispatch();
   const { user } = useSelector((state) => state.auth);
   const { cartItems } = useSelector((state) => state.shopCart);
@@ -29,12 +36,14 @@ function ProductDetailsDialog({ open, setOpen, productDetails }) {
     setRating(getRating);
   }
 
-  function handleAddToCart(getCurrentProductId, getTotalStock) {
+  function handleAddToCart(getCurrentProductId, getTotalStock, variantId) {
     let getCartItems = cartItems.items || [];
 
     if (getCartItems.length) {
       const indexOfCurrentItem = getCartItems.findIndex(
-        (item) => item.productId === getCurrentProductId
+        (item) =>
+          item.productId === getCurrentProductId &&
+          (item.variantId || null) === (variantId || null)
       );
       if (indexOfCurrentItem > -1) {
         const getQuantity = getCartItems[indexOfCurrentItem].quantity;
@@ -52,6 +61,7 @@ function ProductDetailsDialog({ open, setOpen, productDetails }) {
       addToCart({
         userId: user?.id,
         productId: getCurrentProductId,
+        variantId,
         quantity: 1,
       })
     ).then((data) => {
@@ -67,6 +77,7 @@ function ProductDetailsDialog({ open, setOpen, productDetails }) {
   function handleDialogClose() {
     setOpen(false);
     dispatch(setProductDetails());
+    setSelectedOptions({});
     setRating(0);
     setReviewMsg("");
   }
@@ -81,23 +92,45 @@ function ProductDetailsDialog({ open, setOpen, productDetails }) {
         reviewValue: rating,
       })
     ).then((data) => {
-      if (data.payload.success) {
+      if (data?.payload?.success) {
         setRating(0);
         setReviewMsg("");
         dispatch(getReviews(productDetails?._id));
         toast({
           title: "Review added successfully!",
         });
+      } else {
+        toast({
+          title: data?.payload?.message || "Could not add review",
+          variant: "destructive",
+        });
       }
     });
   }
 
   useEffect(() => {
     if (productDetails !== null) dispatch(getReviews(productDetails?._id));
+    setSelectedOptions({});
   }, [productDetails]);
 
   console.log(reviews, "reviews");
 
+  // Products with variants are bought one variant at a time, so stock and
+  // price follow the chosen options
+  const productHasVariants = hasVariants(productDetails);
+  const selectedVariant = findSelectedVariant(productDetails, selectedOptions);
+  const allOptionsChosen = (productDetails?.options || []).every(
+    ({ name }) => selectedOptions[name]
+  );
+  const { price, salePrice } = getVariantPrices(
+    productDetails,
+    selectedVariant
+  );
+
+  const availableStock = productHasVariants
+    ? selectedVariant?.availableStock ?? 0
+    : productDetails?.availableStock ?? productDetails?.totalStock;
+
   const averageReview =
     reviews && reviews.length > 0
       ? reviews.reduce((sum, reviewItem) => sum + reviewItem.reviewValue, 0) /
@@ -107,15 +140,10 @@ function ProductDetailsDialog({ open, setOpen, productDetails }) {
   return (
     <Dialog open={open} onOpenChange={handleDialogClose}>
       <DialogContent className="grid grid-cols-2 gap-8 sm:p-12 max-w-[90vw] sm:max-w-[80vw] lg:max-w-[70vw]">
-        <div className="relative overflow-hidden rounded-lg">
-          <img
-            src={productDetails?.image}
-            alt={productDetails?.title}
-            width={600}
-            height={600}
-            className="aspect-square w-full object-cover"
-          />
-        </div>
+        <ProductGallery
+          product={productDetails}
+          variantImage={selectedVariant?.image}
+        />
         <div className="">
           <div>
             <h1 className="text-3xl font-extrabold">{productDetails?.title}</h1>
@@ -126,17 +154,45 @@ function ProductDetailsDialog({ open, setOpen, productDetails }) {
           <div className="flex items-center justify-between">
             <p
               className={`text-3xl font-bold text-primary ${
-                productDetails?.salePrice > 0 ? "line-through" : ""
+                salePrice > 0 ? "line-through" : ""
               }`}
             >
-              ${productDetails?.price}
+              ${price}
             </p>
-            {productDetails?.salePrice > 0 ? (
+            {salePrice > 0 ? (
               <p className="text-2xl font-bold text-muted-foreground">
-                ${productDetails?.salePrice}
+                ${salePrice}
               </p>
             ) : null}
           </div>
+          {productHasVariants
+            ? productDetails.options.map((option) => (
+                <div key={option.name} className="mt-4">
+                  <Label>{option.name}</Label>
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {option.values.map((value) => (
+                      <Button
+                        key={value}
+                        size="sm"
+                        variant={
+                          selectedOptions[option.name] === value
+                            ? "default"
+                            : "outline"
+                        }
+                        onClick={() =>
+                          setSelectedOptions({
+                            ...selectedOptions,
+                            [option.name]: value,
+                          })
+                        }
+                      >
+                        {value}
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+              ))
+            : null}
           <div className="flex items-center gap-2 mt-2">
             <div className="flex items-center gap-0.5">
               <StarRatingComponent rating={averageReview} />
@@ -146,7 +202,11 @@ function ProductDetailsDialog({ open, setOpen, productDetails }) {
             </span>
           </div>
           <div className="mt-5 mb-5">
-            {productDetails?.totalStock === 0 ? (
+            {productHasVariants && !selectedVariant ? (
+              <Button className="w-full opacity-60 cursor-not-allowed">
+                {allOptionsChosen ? "Unavailable" : "Choose options"}
+              </Button>
+            ) : availableStock === 0 ? (
               <Button className="w-full opacity-60 cursor-not-allowed">
                 Out of Stock
               </Button>
@@ -156,7 +216,8 @@ function ProductDetailsDialog({ open, setOpen, productDetails }) {
                 onClick={() =>
                   handleAddToCart(
                     productDetails?._id,
-                    productDetails?.totalStock
+                    availableStock,
+                    selectedVariant?.id
                   )
                 }
               >
@@ -0,0 +1,115 @@
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { useEffect, useState } from "react";
+import { Button } from "../ui/button";
+import ResponsiveImage from "../common/responsive-image";
+import { getRenditionUrl } from "@/lib/images";
+
+// Products saved before galleries existed only have their single image
+function getGalleryImages(product) {
+  if (product?.images?.length) return product.images;
+  return product?.image ? [{ url: product.image, alt: product.title }] : [];
+}
+
+function ProductGallery({ product, variantImage }) {
+  const images = getGalleryImages(product);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [zoomOrigin, setZoomOrigin] = useState(null);
+  const [showVariantImage, setShowVariantImage] = useState(true);
+
+  useEffect(() => {
+    const primaryIndex = getGalleryImages(product).findIndex(
+      (image) => image.isPrimary
+    );
+    setActiveIndex(Math.max(primaryIndex, 0));
+  }, [product]);
+
+  // A chosen variant's own image is shown until a thumbnail is picked
+  useEffect(() => setShowVariantImage(true), [variantImage]);
+
+  const activeImage =
+    variantImage && showVariantImage
+      ? { url: variantImage, alt: product?.title }
+      : images[activeIndex];
+
+  function handleSelect(index) {
+    setShowVariantImage(false);
+    setActiveIndex((index + images.length) % images.length);
+  }
+
+  // The image is magnified around the pointer while it hovers
+  function handleMouseMove(event) {
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const x = ((event.clientX - bounds.left) / bounds.width) * 100;
+    const y = ((event.clientY - bounds.top) / bounds.height) * 100;
+    setZoomOrigin(`${x}% ${y}%`);
+  }
+
+  return (
+    <div className="flex flex-col gap-4">
+      <div
+        className="relative overflow-hidden rounded-lg cursor-zoom-in"
+        onMouseMove={handleMouseMove}
+        onMouseLeave={() => setZoomOrigin(null)}
+      >
+        <ResponsiveImage
+          image={activeImage}
+          alt={activeImage?.alt || product?.title}
+          sizes="(min-width: 640px) 40vw, 90vw"
+          width={600}
+          height={600}
+          className="aspect-square w-full object-cover transition-transform duration-200"
+          style={
+            zoomOrigin
+              ? { transform: "scale(2)", transformOrigin: zoomOrigin }
+              : undefined
+          }
+        />
+        {images.length > 1 ? (
+          <>
+            <Button
+              variant="outline"
+              size="icon"
+              className="absolute top-1/2 left-2 -translate-y-1/2 bg-white/80"
+              onClick={() => handleSelect(activeIndex - 1)}
+            >
+              <ChevronLeft className="w-4 h-4" />
+              <span className="sr-only">Previous image</span>
+            </Button>
+            <Button
+              variant="outline"
+              size="icon"
+              className="absolute top-1/2 right-2 -translate-y-1/2 bg-white/80"
+              onClick={() => handleSelect(activeIndex + 1)}
+            >
+              <ChevronRight className="w-4 h-4" />
+              <span className="sr-only">Next image</span>
+            </Button>
+          </>
+        ) : null}
+      </div>
+      {images.length > 1 ? (
+        <div className="flex gap-2 overflow-x-auto">
+          {images.map((image, index) => (
+            <button
+              key={image.url}
+              onClick={() => handleSelect(index)}
+              className={`shrink-0 rounded border-2 ${
+                activeImage?.url === image.url
+                  ? "border-primary"
+                  : "border-transparent"
+              }`}
+            >
+              <img
+                src={getRenditionUrl(image, "thumbnail")}
+                alt={image.alt || product?.title}
+                className="w-16 h-16 rounded object-cover"
+              />
+            </button>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+export default ProductGallery;
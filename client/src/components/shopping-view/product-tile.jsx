@@ -1,8 +1,12 @@
 import { useState, useEffect } from "react";
 import { Card, CardContent, CardFooter } from "../ui/card";
 import { Button } from "../ui/button";
-import { brandOptionsMap, categoryOptionsMap } from "@/config";
 import { Badge } from "../ui/badge";
+import { useSelector } from "react-redux";
+import { getTaxonomyName } from "@/lib/taxonomy";
+import { hasVariants } from "@/lib/variants";
+import { getPrimaryImage } from "@/lib/images";
+import ResponsiveImage from "../common/responsive-image";
 
 function ShoppingProductTile({
   product,
@@ -12,6 +16,10 @@ function ShoppingProductTile({
   const [imageLoading, setImageLoading] = useState(true);
   const [imageError, setImageError] = useState(false);
   const [currentImage, setCurrentImage] = useState(product?.image || "");
+  const { categories, brands } = useSelector((state) => state.taxonomy);
+
+  // Stock held by other shoppers' checkouts is not available to buy
+  const availableStock = product?.availableStock ?? product?.totalStock;
 
   // Handle image source changes
   useEffect(() => {
@@ -32,17 +40,17 @@ function ShoppingProductTile({
   };
 
   const getStockBadge = () => {
-    if (product?.totalStock === 0) {
+    if (availableStock === 0) {
       return (
         <Badge className="absolute top-2 left-2 bg-red-500 hover:bg-red-600">
           Out Of Stock
         </Badge>
       );
     }
-    if (product?.totalStock < 10) {
+    if (availableStock < 10) {
       return (
         <Badge className="absolute top-2 left-2 bg-red-500 hover:bg-red-600">
-          {`Only ${product?.totalStock} items left`}
+          {`Only ${availableStock} items left`}
         </Badge>
       );
     }
@@ -93,8 +101,10 @@ function ShoppingProductTile({
 
     // Normal image display
     return (
-      <img
+      <ResponsiveImage
+        image={getPrimaryImage(product)}
         src={currentImage}
+        sizes="(min-width: 1024px) 25vw, (min-width: 768px) 33vw, 100vw"
         alt={product?.title || "Product"}
         className="w-full h-[300px] object-cover rounded-t-lg transition-opacity duration-300"
         onLoad={handleImageLoad}
@@ -117,10 +127,10 @@ function ShoppingProductTile({
           </h2>
           <div className="flex justify-between items-center mb-2">
             <span className="text-[16px] text-muted-foreground">
-              {categoryOptionsMap[product?.category] || product?.category || "Uncategorized"}
+              {getTaxonomyName(categories, product?.category) || product?.category || "Uncategorized"}
             </span>
             <span className="text-[16px] text-muted-foreground">
-              {brandOptionsMap[product?.brand] || product?.brand || "Unknown Brand"}
+              {getTaxonomyName(brands, product?.brand) || product?.brand || "Unknown Brand"}
             </span>
           </div>
           <div className="flex justify-between items-center mb-2">
@@ -140,13 +150,20 @@ function ShoppingProductTile({
         </CardContent>
       </div>
       <CardFooter>
-        {product?.totalStock === 0 ? (
+        {availableStock === 0 ? (
           <Button className="w-full opacity-60 cursor-not-allowed">
             Out Of Stock
           </Button>
+        ) : hasVariants(product) ? (
+          <Button
+            onClick={() => handleGetProductDetails(product?._id || product?.id)}
+            className="w-full"
+          >
+            Choose options
+          </Button>
         ) : (
           <Button
-            onClick={() => handleAddtoCart(product?._id || product?.id, product?.totalStock)}
+            onClick={() => handleAddtoCart(product?._id || product?.id, availableStock)}
             className="w-full"
           >
             Add to cart
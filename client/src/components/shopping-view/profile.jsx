@@ -0,0 +1,154 @@
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import CommonForm from "../common/form";
+import { Card, CardContent, CardHeader, CardTitle } from "../ui/card";
+import { changePasswordFormControls, profileFormControls } from "@/config";
+import { fetchProfile, updateProfile } from "@/store/shop/profile-slice";
+import { setUser } from "@/store/auth-slice";
+import { useToast } from "../ui/use-toast";
+
+const initialPasswordFormData = {
+  currentPassword: "",
+  newPassword: "",
+  confirmPassword: "",
+};
+
+function Profile() {
+  const [profileFormData, setProfileFormData] = useState({
+    userName: "",
+    email: "",
+    currentPassword: "",
+  });
+  const [passwordFormData, setPasswordFormData] = useState(
+    initialPasswordFormData
+  );
+  const [isSaving, setIsSaving] = useState(false);
+  const dispatch = useDispatch();
+  const { profile } = useSelector((state) => state.shopProfile);
+  const { toast } = useToast();
+
+  useEffect(() => {
+    dispatch(fetchProfile());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (profile) {
+      setProfileFormData({
+        userName: profile.userName || "",
+        email: profile.email || "",
+        currentPassword: "",
+      });
+    }
+  }, [profile]);
+
+  function saveProfile(formData, onSuccess) {
+    setIsSaving(true);
+
+    dispatch(updateProfile(formData)).then((data) => {
+      setIsSaving(false);
+      if (data?.payload?.success) {
+        if (data.payload.user) dispatch(setUser(data.payload.user));
+        onSuccess();
+        toast({
+          title: data?.payload?.message,
+        });
+      } else {
+        toast({
+          title: data?.payload?.message || "Some error occured",
+          variant: "destructive",
+        });
+      }
+    });
+  }
+
+  function handleUpdateProfile(event) {
+    event.preventDefault();
+
+    const { userName, email, currentPassword } = profileFormData;
+    saveProfile(
+      email !== profile?.email
+        ? { userName, email, currentPassword }
+        : { userName },
+      () => setProfileFormData((prev) => ({ ...prev, currentPassword: "" }))
+    );
+  }
+
+  function handleChangePassword(event) {
+    event.preventDefault();
+
+    if (passwordFormData.newPassword !== passwordFormData.confirmPassword) {
+      toast({
+        title: "Passwords do not match",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    saveProfile(
+      {
+        currentPassword: passwordFormData.currentPassword,
+        newPassword: passwordFormData.newPassword,
+      },
+      () => setPasswordFormData(initialPasswordFormData)
+    );
+  }
+
+  const emailChanged = profile && profileFormData.email !== profile.email;
+
+  return (
+    <div className="grid grid-cols-1 gap-4 lg:grid-cols-2">
+      <Card>
+        <CardHeader>
+          <CardTitle>Profile</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          {profile && !profile.emailVerified ? (
+            <p className="text-sm text-muted-foreground">
+              Your email address is not verified yet.
+            </p>
+          ) : null}
+          <CommonForm
+            formControls={
+              emailChanged
+                ? profileFormControls
+                : profileFormControls.filter(
+                    (controlItem) => controlItem.name !== "currentPassword"
+                  )
+            }
+            formData={profileFormData}
+            setFormData={setProfileFormData}
+            buttonText={"Save Changes"}
+            onSubmit={handleUpdateProfile}
+            isBtnDisabled={
+              isSaving ||
+              !profileFormData.userName.trim() ||
+              !profileFormData.email.trim() ||
+              (emailChanged && !profileFormData.currentPassword)
+            }
+          />
+        </CardContent>
+      </Card>
+      <Card>
+        <CardHeader>
+          <CardTitle>Change Password</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <CommonForm
+            formControls={changePasswordFormControls}
+            formData={passwordFormData}
+            setFormData={setPasswordFormData}
+            buttonText={"Change Password"}
+            onSubmit={handleChangePassword}
+            isBtnDisabled={
+              isSaving ||
+              !passwordFormData.currentPassword ||
+              !passwordFormData.newPassword
+            }
+          />
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+export default Profile;
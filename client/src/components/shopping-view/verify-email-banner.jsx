@@ -0,0 +1,45 @@
+import { resendVerificationEmail } from "@/store/auth-slice";
+import { useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Button } from "../ui/button";
+import { useToast } from "../ui/use-toast";
+
+function VerifyEmailBanner() {
+  const { user } = useSelector((state) => state.auth);
+  const [isSending, setIsSending] = useState(false);
+  const dispatch = useDispatch();
+  const { toast } = useToast();
+
+  if (!user || user.emailVerified !== false) return null;
+
+  function handleResend() {
+    setIsSending(true);
+
+    dispatch(resendVerificationEmail()).then((data) => {
+      setIsSending(false);
+      toast({
+        title: data?.payload?.message || "Some error occured",
+        variant: data?.payload?.success ? undefined : "destructive",
+      });
+    });
+  }
+
+  return (
+    <div className="flex flex-wrap items-center justify-center gap-3 bg-amber-50 px-4 py-2 text-sm text-amber-900 border-b">
+      <span>
+        Please verify your email address ({user.email}) to place orders and
+        write reviews.
+      </span>
+      <Button
+        size="sm"
+        variant="outline"
+        onClick={handleResend}
+        disabled={isSending}
+      >
+        Resend link
+      </Button>
+    </div>
+  );
+}
+
+export default VerifyEmailBanner;
@@ -39,6 +39,33 @@ export const loginFormControls = [
   },
 ];
 
+export const forgotPasswordFormControls = [
+  {
+    name: "email",
+    label: "Email",
+    placeholder: "Enter your email",
+    componentType: "input",
+    type: "email",
+  },
+];
+
+export const resetPasswordFormControls = [
+  {
+    name: "password",
+    label: "New Password",
+    placeholder: "Enter your new password",
+    componentType: "input",
+    type: "password",
+  },
+  {
+    name: "confirmPassword",
+    label: "Confirm Password",
+    placeholder: "Re-enter your new password",
+    componentType: "input",
+    type: "password",
+  },
+];
+
 export const addProductFormElements = [
   {
     label: "Title",
@@ -53,30 +80,18 @@ export const addProductFormElements = [
     componentType: "textarea",
     placeholder: "Enter product description",
   },
+  // Category and brand options come from the taxonomy, see withTaxonomyOptions
   {
     label: "Category",
     name: "category",
     componentType: "select",
-    options: [
-      { id: "men", label: "Men" },
-      { id: "women", label: "Women" },
-      { id: "kids", label: "Kids" },
-      { id: "accessories", label: "Accessories" },
-      { id: "footwear", label: "Footwear" },
-    ],
+    options: [],
   },
   {
     label: "Brand",
     name: "brand",
     componentType: "select",
-    options: [
-      { id: "nike", label: "Nike" },
-      { id: "adidas", label: "Adidas" },
-      { id: "puma", label: "Puma" },
-      { id: "levi", label: "Levi's" },
-      { id: "zara", label: "Zara" },
-      { id: "h&m", label: "H&M" },
-    ],
+    options: [],
   },
   {
     label: "Price",
@@ -113,77 +128,115 @@ export const shoppingViewHeaderMenuItems = [
     path: "/shop/listing",
   },
   {
-    id: "men",
-    label: "Men",
-    path: "/shop/listing",
+    id: "search",
+    label: "Search",
+    path: "/shop/search",
   },
+];
+
+// Taxonomy filters, their options come from /api/common/taxonomy
+export const taxonomyFilterKeys = ["category", "brand"];
+
+// Value filters sent as query params next to the taxonomy filters
+export const valueFilterKeys = [
+  "minPrice",
+  "maxPrice",
+  // Id of a price facet bucket, used instead of minPrice and maxPrice
+  "priceBucket",
+  "minRating",
+  "inStock",
+  "onSale",
+];
+
+export const ratingFilterOptions = [
+  { id: "4", label: "4 stars & up" },
+  { id: "3", label: "3 stars & up" },
+  { id: "2", label: "2 stars & up" },
+  { id: "1", label: "1 star & up" },
+];
+
+export const availabilityFilterOptions = [
+  { id: "inStock", label: "In stock only" },
+  { id: "onSale", label: "On sale only" },
+];
+
+export const sortOptions = [
+  { id: "price-lowtohigh", label: "Price: Low to High" },
+  { id: "price-hightolow", label: "Price: High to Low" },
+  { id: "title-atoz", label: "Title: A to Z" },
+  { id: "title-ztoa", label: "Title: Z to A" },
+  { id: "newest", label: "Newest" },
+  { id: "rating-hightolow", label: "Best Rated" },
+  { id: "bestselling", label: "Best Selling" },
+  { id: "discount-hightolow", label: "Biggest Discount" },
+];
+
+export const profileFormControls = [
   {
-    id: "women",
-    label: "Women",
-    path: "/shop/listing",
+    name: "userName",
+    label: "User Name",
+    placeholder: "Enter your user name",
+    componentType: "input",
+    type: "text",
   },
   {
-    id: "kids",
-    label: "Kids",
-    path: "/shop/listing",
+    name: "email",
+    label: "Email",
+    placeholder: "Enter your email",
+    componentType: "input",
+    type: "email",
   },
   {
-    id: "footwear",
-    label: "Footwear",
-    path: "/shop/listing",
+    name: "currentPassword",
+    label: "Current Password",
+    placeholder: "Required to change your email",
+    componentType: "input",
+    type: "password",
   },
+];
+
+export const changePasswordFormControls = [
   {
-    id: "accessories",
-    label: "Accessories",
-    path: "/shop/listing",
+    name: "currentPassword",
+    label: "Current Password",
+    placeholder: "Enter your current password",
+    componentType: "input",
+    type: "password",
   },
   {
-    id: "search",
-    label: "Search",
-    path: "/shop/search",
+    name: "newPassword",
+    label: "New Password",
+    placeholder: "Enter your new password",
+    componentType: "input",
+    type: "password",
+  },
+  {
+    name: "confirmPassword",
+    label: "Confirm Password",
+    placeholder: "Re-enter your new password",
+    componentType: "input",
+    type: "password",
   },
 ];
 
-export const categoryOptionsMap = {
-  men: "Men",
-  women: "Women",
-  kids: "Kids",
-  accessories: "Accessories",
-  footwear: "Footwear",
-};
-
-export const brandOptionsMap = {
-  nike: "Nike",
-  adidas: "Adidas",
-  puma: "Puma",
-  levi: "Levi",
-  zara: "Zara",
-  "h&m": "H&M",
-};
-
-export const filterOptions = {
-  category: [
-    { id: "men", label: "Men" },
-    { id: "women", label: "Women" },
-    { id: "kids", label: "Kids" },
-    { id: "accessories", label: "Accessories" },
-    { id: "footwear", label: "Footwear" },
-  ],
-  brand: [
-    { id: "nike", label: "Nike" },
-    { id: "adidas", label: "Adidas" },
-    { id: "puma", label: "Puma" },
-    { id: "levi", label: "Levi's" },
-    { id: "zara", label: "Zara" },
-    { id: "h&m", label: "H&M" },
-  ],
-};
+export const mfaCodeFormControls = [
+  {
+    name: "code",
+    label: "Authentication Code",
+    placeholder: "6-digit code from your authenticator app",
+    componentType: "input",
+    type: "text",
+  },
+];
 
-export const sortOptions = [
-  { id: "price-lowtohigh", label: "Price: Low to High" },
-  { id: "price-hightolow", label: "Price: High to Low" },
-  { id: "title-atoz", label: "Title: A to Z" },
-  { id: "title-ztoa", label: "Title: Z to A" },
+export const recoveryCodeFormControls = [
+  {
+    name: "recoveryCode",
+    label: "Recovery Code",
+    placeholder: "One of your saved recovery codes",
+    componentType: "input",
+    type: "text",
+  },
 ];
 
 export const addressFormControls = [
@@ -222,3 +275,47 @@ export const addressFormControls = [
     placeholder: "Enter any additional notes",
   },
 ];
+
+export const categoryFormElements = [
+  {
+    label: "Name",
+    name: "name",
+    componentType: "input",
+    type: "text",
+    placeholder: "Enter category name",
+  },
+  {
+    label: "Slug",
+    name: "slug",
+    componentType: "input",
+    type: "text",
+    placeholder: "Stored on products, generated from the name if empty",
+  },
+  {
+    label: "Parent Category",
+    name: "parent",
+    componentType: "select",
+    options: [],
+  },
+  {
+    label: "Icon",
+    name: "icon",
+    componentType: "select",
+    options: [],
+  },
+  {
+    label: "Sort Order",
+    name: "sortOrder",
+    componentType: "input",
+    type: "number",
+    placeholder: "Lower numbers are listed first",
+  },
+];
+
+export const brandFormElements = categoryFormElements
+  .filter((controlItem) => controlItem.name !== "parent")
+  .map((controlItem) =>
+    controlItem.name === "name"
+      ? { ...controlItem, placeholder: "Enter brand name" }
+      : controlItem
+  );
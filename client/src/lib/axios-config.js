@@ -1,9 +1,10 @@
 // Axios configuration with interceptors for authentication
-// This file provides automatic token attachment and token refresh handling
+// This file provides automatic token attachment and transparent session
+// refresh using the httpOnly refresh token cookie
 
 import axios from "axios";
 import { store } from "@/store/store";
-import { logoutUser, checkAuth } from "@/store/auth-slice";
+import { logoutUser } from "@/store/auth-slice";
 
 // Create axios instance with default config
 const axiosClient = axios.create({
@@ -47,58 +48,88 @@ axiosClient.interceptors.request.use(
   }
 );
 
-// Response interceptor - handles errors and token refresh
-axiosClient.interceptors.response.use(
-  (response) => {
-    // Log successful responses for debugging (remove in production)
-    console.log("✅ API Response:", {
-      url: response.config.url,
-      status: response.status,
-      timestamp: new Date().toISOString(),
-    });
-    return response;
-  },
-  async (error) => {
-    const originalRequest = error.config;
-
-    // Handle 401 Unauthorized errors
-    if (error.response?.status === 401 && !originalRequest._retry) {
-      originalRequest._retry = true;
-
-      console.warn("⚠️ 401 Unauthorized - Attempting to refresh token...");
-
-      try {
-        // Try to refresh the authentication state
-        const refreshResult = await store.dispatch(checkAuth());
-
-        if (refreshResult.payload?.success) {
-          // Token refreshed successfully, retry the original request
-          console.log("🔄 Token refreshed, retrying request...");
-          return axiosClient(originalRequest);
-        } else {
-          // Refresh failed, logout user
-          console.error("❌ Token refresh failed, logging out...");
+// Plain instance for the refresh call so it never goes through the
+// interceptors below
+const refreshClient = axios.create({
+  baseURL: "http://localhost:5000/api",
+  withCredentials: true,
+});
+
+// Auth endpoints that must not trigger a refresh when they return 401
+const REFRESH_EXCLUDED_URLS = [
+  "/auth/login",
+  "/auth/logout",
+  "/auth/refresh",
+  "/auth/mfa/verify",
+];
+
+// Shared so that concurrent 401s wait on a single refresh request
+let refreshPromise = null;
+
+const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = refreshClient
+      .post("/auth/refresh")
+      .then((response) => response.data)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+// Response interceptor - transparently refreshes the session on 401 and
+// retries the original request once
+const attachRefreshInterceptor = (instance) =>
+  instance.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const originalRequest = error.config;
+      const isExcluded = REFRESH_EXCLUDED_URLS.some((url) =>
+        originalRequest?.url?.includes(url)
+      );
+
+      if (
+        error.response?.status === 401 &&
+        originalRequest &&
+        !originalRequest._retry &&
+        !isExcluded
+      ) {
+        originalRequest._retry = true;
+
+        try {
+          const refreshResult = await refreshSession();
+
+          if (refreshResult?.success) {
+            return instance(originalRequest);
+          }
+        } catch (refreshError) {
+          console.warn("⚠️ Session refresh failed:", refreshError.message);
+        }
+
+        // Refresh failed, the session is over
+        if (store.getState().auth.isAuthenticated) {
           await store.dispatch(logoutUser());
-          window.location.href = "/auth/login";
         }
-      } catch (refreshError) {
-        console.error("❌ Error during token refresh:", refreshError);
-        await store.dispatch(logoutUser());
-        window.location.href = "/auth/login";
       }
+
+      // Log error details for debugging
+      console.error("❌ API Error:", {
+        url: error.config?.url,
+        status: error.response?.status,
+        message: error.response?.data?.message || error.message,
+        timestamp: new Date().toISOString(),
+      });
+
+      return Promise.reject(error);
     }
+  );
 
-    // Log error details for debugging
-    console.error("❌ API Error:", {
-      url: error.config?.url,
-      status: error.response?.status,
-      message: error.response?.data?.message || error.message,
-      timestamp: new Date().toISOString(),
-    });
+attachRefreshInterceptor(axiosClient);
 
-    return Promise.reject(error);
-  }
-);
+// The store slices call the default axios instance directly
+attachRefreshInterceptor(axios);
 
 // Helper function to get current auth token (for debugging)
 export const getAuthHeaders = () => {
@@ -0,0 +1,31 @@
+// Uploaded images come with resized renditions in WebP and AVIF, see
+// server/helpers/image-processing.js. Images saved before that have none
+// and are shown from their single url.
+
+// "…-thumbnail.webp 160w, …-card.webp 480w, …-full.webp 1600w"
+export function getSrcSet(image, format) {
+  const srcSet = (image?.renditions || [])
+    .filter((rendition) => rendition.format === format)
+    .sort((first, second) => first.width - second.width)
+    .map((rendition) => `${rendition.url} ${rendition.width}w`)
+    .join(", ");
+
+  return srcSet || undefined;
+}
+
+// URL of one named rendition, the image's own url without it
+export function getRenditionUrl(image, name, format = "webp") {
+  return (
+    image?.renditions?.find(
+      (rendition) => rendition.name === name && rendition.format === format
+    )?.url || image?.url
+  );
+}
+
+export function getPrimaryImage(product) {
+  return (
+    product?.images?.find((image) => image.isPrimary) ||
+    product?.images?.[0] ||
+    (product?.image ? { url: product.image, alt: product.title } : null)
+  );
+}
@@ -0,0 +1,108 @@
+import {
+  Airplay,
+  BabyIcon,
+  CloudLightning,
+  Footprints,
+  Gem,
+  Heater,
+  Images,
+  Shirt,
+  ShirtIcon,
+  ShoppingBag,
+  ShoppingBasket,
+  Tag,
+  UmbrellaIcon,
+  WashingMachine,
+  WatchIcon,
+} from "lucide-react";
+
+// Icons an admin can pick for a category or brand, by lucide name
+export const taxonomyIcons = {
+  ShirtIcon,
+  CloudLightning,
+  BabyIcon,
+  WatchIcon,
+  UmbrellaIcon,
+  Shirt,
+  WashingMachine,
+  ShoppingBasket,
+  Airplay,
+  Images,
+  Heater,
+  Footprints,
+  Gem,
+  ShoppingBag,
+  Tag,
+};
+
+export const taxonomyIconOptions = Object.keys(taxonomyIcons).map((name) => ({
+  id: name,
+  label: name,
+}));
+
+export function getTaxonomyIcon(name) {
+  return taxonomyIcons[name] || Tag;
+}
+
+// Top level categories, each with its nested `children`
+export function buildCategoryTree(categories) {
+  const byParent = new Map();
+
+  for (const category of categories) {
+    const siblings = byParent.get(category.parent) || [];
+    byParent.set(category.parent, [...siblings, category]);
+  }
+
+  const withChildren = (category) => ({
+    ...category,
+    children: (byParent.get(category.id) || []).map(withChildren),
+  });
+
+  return (byParent.get(null) || []).map(withChildren);
+}
+
+// Depth first list of the tree with each category's `depth` and `path`
+// ("Men / Shirts"), for indented lists and select options
+export function flattenCategoryTree(tree, depth = 0, parentPath = "") {
+  return tree.flatMap((category) => {
+    const path = parentPath
+      ? `${parentPath} / ${category.name}`
+      : category.name;
+
+    return [
+      { ...category, depth, path },
+      ...flattenCategoryTree(category.children, depth + 1, path),
+    ];
+  });
+}
+
+// Slugs of a category and every category below it
+export function getSubtreeSlugs(category) {
+  return [
+    category.slug,
+    ...category.children.flatMap((child) => getSubtreeSlugs(child)),
+  ];
+}
+
+export function getTaxonomyName(items, slug) {
+  return items.find((item) => item.slug === slug)?.name;
+}
+
+// Fills the options of the select controls named in optionsByName
+export function withTaxonomyOptions(formControls, optionsByName) {
+  return formControls.map((controlItem) =>
+    optionsByName[controlItem.name]
+      ? { ...controlItem, options: optionsByName[controlItem.name] }
+      : controlItem
+  );
+}
+
+// Product form options, subcategories labelled with their full path
+export function getProductTaxonomyOptions(categories, brands) {
+  return {
+    category: flattenCategoryTree(buildCategoryTree(categories)).map(
+      (category) => ({ id: category.slug, label: category.path })
+    ),
+    brand: brands.map((brand) => ({ id: brand.slug, label: brand.name })),
+  };
+}
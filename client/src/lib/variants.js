@@ -0,0 +1,48 @@
+export function hasVariants(product) {
+  return Boolean(product?.variants?.length);
+}
+
+// "Size: M / Colour: Red"
+export function getVariantLabel(variant) {
+  return (variant?.options || [])
+    .map(({ name, value }) => `${name}: ${value}`)
+    .join(" / ");
+}
+
+// The variant matching a value for every option, null until all are chosen
+export function findSelectedVariant(product, selectedOptions) {
+  const options = product?.options || [];
+
+  if (
+    !hasVariants(product) ||
+    options.some(({ name }) => !selectedOptions[name])
+  ) {
+    return null;
+  }
+
+  return (
+    product.variants.find((variant) =>
+      variant.options.every(
+        ({ name, value }) => selectedOptions[name] === value
+      )
+    ) || null
+  );
+}
+
+// A variant price replaces both the product price and its sale price
+export function getVariantPrices(product, variant) {
+  return variant?.price > 0
+    ? { price: variant.price, salePrice: 0 }
+    : { price: product?.price, salePrice: product?.salePrice };
+}
+
+// Every combination of the option values, as variant option lists
+export function getOptionCombinations(options) {
+  return options.reduce(
+    (combinations, { name, values }) =>
+      combinations.flatMap((combination) =>
+        values.map((value) => [...combination, { name, value }])
+      ),
+    [[]]
+  );
+}
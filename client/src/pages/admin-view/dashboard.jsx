@@ -1,6 +1,10 @@
 import ProductImageUpload from "@/components/admin-view/image-upload";
 import { Button } from "@/components/ui/button";
-import { addFeatureImage, getFeatureImages } from "@/store/common-slice";
+import {
+  addFeatureImage,
+  deleteFeatureImage,
+  getFeatureImages,
+} from "@/store/common-slice";
 import { useEffect, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 
@@ -23,6 +27,14 @@ function AdminDashboard() {
     });
   }
 
+  function handleDeleteFeatureImage(id) {
+    dispatch(deleteFeatureImage(id)).then((data) => {
+      if (data?.payload?.success) {
+        dispatch(getFeatureImages());
+      }
+    });
+  }
+
   useEffect(() => {
     dispatch(getFeatureImages());
   }, [dispatch]);
@@ -47,11 +59,18 @@ function AdminDashboard() {
       <div className="flex flex-col gap-4 mt-5">
         {featureImageList && featureImageList.length > 0
           ? featureImageList.map((featureImgItem) => (
-              <div className="relative">
+              <div className="relative" key={featureImgItem.id}>
                 <img
                   src={featureImgItem.image}
                   className="w-full h-[300px] object-cover rounded-t-lg"
                 />
+                <Button
+                  variant="outline"
+                  className="absolute top-2 right-2 bg-white/80"
+                  onClick={() => handleDeleteFeatureImage(featureImgItem.id)}
+                >
+                  Delete
+                </Button>
               </div>
             ))
           : null}
@@ -1,5 +1,6 @@
-import ProductImageUpload from "@/components/admin-view/image-upload";
+import ProductGalleryUpload from "@/components/admin-view/gallery-upload";
 import AdminProductTile from "@/components/admin-view/product-tile";
+import AdminVariantEditor from "@/components/admin-view/variant-editor";
 import CommonForm from "@/components/common/form";
 import { Button } from "@/components/ui/button";
 import {
@@ -16,11 +17,16 @@ import {
   editProduct,
   fetchAllProducts,
 } from "@/store/admin/products-slice";
-import { Fragment, useEffect, useState } from "react";
+import {
+  getProductTaxonomyOptions,
+  withTaxonomyOptions,
+} from "@/lib/taxonomy";
+import { fetchTaxonomy } from "@/store/taxonomy-slice";
+import { Fragment, useEffect, useMemo, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 
 const initialFormData = {
-  image: null,
+  images: [],
   title: "",
   description: "",
   category: "",
@@ -29,18 +35,27 @@ const initialFormData = {
   salePrice: "",
   totalStock: "",
   averageReview: 0,
+  options: [],
+  variants: [],
 };
 
 function AdminProducts() {
   const [openCreateProductsDialog, setOpenCreateProductsDialog] =
     useState(false);
   const [formData, setFormData] = useState(initialFormData);
-  const [imageFile, setImageFile] = useState(null);
-  const [uploadedImageUrl, setUploadedImageUrl] = useState("");
   const [imageLoadingState, setImageLoadingState] = useState(false);
   const [currentEditedId, setCurrentEditedId] = useState(null);
 
   const { productList } = useSelector((state) => state.adminProducts);
+  const { categories, brands } = useSelector((state) => state.taxonomy);
+  const productFormControls = useMemo(
+    () =>
+      withTaxonomyOptions(
+        addProductFormElements,
+        getProductTaxonomyOptions(categories, brands)
+      ),
+    [categories, brands]
+  );
   const dispatch = useDispatch();
   const { toast } = useToast();
 
@@ -61,22 +76,26 @@ function AdminProducts() {
             setFormData(initialFormData);
             setOpenCreateProductsDialog(false);
             setCurrentEditedId(null);
+          } else {
+            toast({
+              title: data?.payload?.message || "Could not save product",
+              variant: "destructive",
+            });
           }
         })
-      : dispatch(
-          addNewProduct({
-            ...formData,
-            image: uploadedImageUrl,
-          })
-        ).then((data) => {
+      : dispatch(addNewProduct(formData)).then((data) => {
           if (data?.payload?.success) {
             dispatch(fetchAllProducts());
             setOpenCreateProductsDialog(false);
-            setImageFile(null);
             setFormData(initialFormData);
             toast({
               title: "Product add successfully",
             });
+          } else {
+            toast({
+              title: data?.payload?.message || "Could not save product",
+              variant: "destructive",
+            });
           }
         });
   }
@@ -98,6 +117,7 @@ function AdminProducts() {
 
   useEffect(() => {
     dispatch(fetchAllProducts());
+    dispatch(fetchTaxonomy());
   }, [dispatch]);
 
   console.log(formData, "productList");
@@ -136,14 +156,13 @@ function AdminProducts() {
               {currentEditedId !== null ? "Edit Product" : "Add New Product"}
             </SheetTitle>
           </SheetHeader>
-          <ProductImageUpload
-            imageFile={imageFile}
-            setImageFile={setImageFile}
-            uploadedImageUrl={uploadedImageUrl}
-            setUploadedImageUrl={setUploadedImageUrl}
+          <ProductGalleryUpload
+            images={formData.images || []}
+            setImages={(images) =>
+              setFormData((current) => ({ ...current, images }))
+            }
             setImageLoadingState={setImageLoadingState}
             imageLoadingState={imageLoadingState}
-            isEditMode={currentEditedId !== null}
           />
           <div className="py-6">
             <CommonForm
@@ -151,9 +170,10 @@ function AdminProducts() {
               formData={formData}
               setFormData={setFormData}
               buttonText={currentEditedId !== null ? "Edit" : "Add"}
-              formControls={addProductFormElements}
-              isBtnDisabled={!isFormValid()}
+              formControls={productFormControls}
+              isBtnDisabled={!isFormValid() || imageLoadingState}
             />
+            <AdminVariantEditor formData={formData} setFormData={setFormData} />
           </div>
         </SheetContent>
       </Sheet>
@@ -0,0 +1,282 @@
+import ProductImageUpload from "@/components/admin-view/image-upload";
+import CommonForm from "@/components/common/form";
+import { Button } from "@/components/ui/button";
+import {
+  Sheet,
+  SheetContent,
+  SheetHeader,
+  SheetTitle,
+} from "@/components/ui/sheet";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "@/components/ui/table";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { useToast } from "@/components/ui/use-toast";
+import { brandFormElements, categoryFormElements } from "@/config";
+import {
+  buildCategoryTree,
+  flattenCategoryTree,
+  getTaxonomyIcon,
+  getSubtreeSlugs,
+  taxonomyIconOptions,
+  withTaxonomyOptions,
+} from "@/lib/taxonomy";
+import {
+  addBrand,
+  addCategory,
+  deleteBrand,
+  deleteCategory,
+  editBrand,
+  editCategory,
+  fetchTaxonomy,
+} from "@/store/taxonomy-slice";
+import { Fragment, useEffect, useMemo, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+
+const initialFormData = {
+  name: "",
+  slug: "",
+  parent: "none",
+  icon: "",
+  sortOrder: "",
+};
+
+const taxonomyActions = {
+  category: { add: addCategory, edit: editCategory, remove: deleteCategory },
+  brand: { add: addBrand, edit: editBrand, remove: deleteBrand },
+};
+
+function AdminTaxonomy() {
+  const [openSheet, setOpenSheet] = useState(false);
+  const [currentType, setCurrentType] = useState("category");
+  const [currentEditedId, setCurrentEditedId] = useState(null);
+  const [formData, setFormData] = useState(initialFormData);
+  const [imageFile, setImageFile] = useState(null);
+  const [uploadedImageUrl, setUploadedImageUrl] = useState("");
+  const [imageLoadingState, setImageLoadingState] = useState(false);
+
+  const { categories, brands } = useSelector((state) => state.taxonomy);
+  const dispatch = useDispatch();
+  const { toast } = useToast();
+
+  const categoryRows = useMemo(
+    () => flattenCategoryTree(buildCategoryTree(categories)),
+    [categories]
+  );
+
+  // A category cannot move under itself or one of its subcategories
+  const formControls = useMemo(() => {
+    if (currentType === "brand") {
+      return withTaxonomyOptions(brandFormElements, {
+        icon: taxonomyIconOptions,
+      });
+    }
+
+    const editedRow = categoryRows.find((row) => row.id === currentEditedId);
+    const excludedSlugs = editedRow ? getSubtreeSlugs(editedRow) : [];
+
+    return withTaxonomyOptions(categoryFormElements, {
+      parent: [
+        { id: "none", label: "None (top level)" },
+        ...categoryRows
+          .filter((row) => !excludedSlugs.includes(row.slug))
+          .map((row) => ({ id: row.id, label: row.path })),
+      ],
+      icon: taxonomyIconOptions,
+    });
+  }, [currentType, currentEditedId, categoryRows]);
+
+  function handleOpen(type, item = null) {
+    setCurrentType(type);
+    setCurrentEditedId(item?.id || null);
+    setFormData(
+      item
+        ? {
+            name: item.name,
+            slug: item.slug,
+            parent: item.parent || "none",
+            icon: item.icon,
+            sortOrder: String(item.sortOrder),
+          }
+        : initialFormData
+    );
+    setUploadedImageUrl(item?.image || "");
+    setImageFile(null);
+    setOpenSheet(true);
+  }
+
+  function handleClose() {
+    setOpenSheet(false);
+    setCurrentEditedId(null);
+    setFormData(initialFormData);
+    setImageFile(null);
+    setUploadedImageUrl("");
+  }
+
+  function handleResult(data, successMessage) {
+    if (data?.payload?.success) {
+      dispatch(fetchTaxonomy());
+      toast({ title: successMessage });
+      return true;
+    }
+
+    toast({
+      title: data?.payload?.message || "Something went wrong",
+      variant: "destructive",
+    });
+    return false;
+  }
+
+  function onSubmit(event) {
+    event.preventDefault();
+
+    const actions = taxonomyActions[currentType];
+    const payload = { ...formData, image: uploadedImageUrl };
+
+    dispatch(
+      currentEditedId !== null
+        ? actions.edit({ id: currentEditedId, formData: payload })
+        : actions.add(payload)
+    ).then((data) => {
+      const saved = handleResult(
+        data,
+        `${currentType === "category" ? "Category" : "Brand"} saved`
+      );
+      if (saved) handleClose();
+    });
+  }
+
+  function handleDelete(type, id) {
+    dispatch(taxonomyActions[type].remove(id)).then((data) =>
+      handleResult(
+        data,
+        `${type === "category" ? "Category" : "Brand"} deleted`
+      )
+    );
+  }
+
+  useEffect(() => {
+    dispatch(fetchTaxonomy());
+  }, [dispatch]);
+
+  function renderRow(type, item, depth = 0) {
+    const Icon = getTaxonomyIcon(item.icon);
+
+    return (
+      <TableRow key={item.id}>
+        <TableCell>
+          <div
+            className="flex items-center gap-2"
+            style={depth ? { paddingLeft: `${depth * 1.5}rem` } : undefined}
+          >
+            {item.image ? (
+              <img
+                src={item.image}
+                alt={item.name}
+                className="w-6 h-6 object-cover rounded-full"
+              />
+            ) : (
+              <Icon className="w-5 h-5 text-muted-foreground" />
+            )}
+            {item.name}
+          </div>
+        </TableCell>
+        <TableCell>{item.slug}</TableCell>
+        <TableCell>{item.sortOrder}</TableCell>
+        <TableCell className="flex gap-2 justify-end">
+          <Button size="sm" onClick={() => handleOpen(type, item)}>
+            Edit
+          </Button>
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => handleDelete(type, item.id)}
+          >
+            Delete
+          </Button>
+        </TableCell>
+      </TableRow>
+    );
+  }
+
+  function renderTable(rows) {
+    return (
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Name</TableHead>
+            <TableHead>Slug</TableHead>
+            <TableHead>Order</TableHead>
+            <TableHead>
+              <span className="sr-only">Actions</span>
+            </TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>{rows}</TableBody>
+      </Table>
+    );
+  }
+
+  return (
+    <Fragment>
+      <Tabs defaultValue="categories">
+        <TabsList>
+          <TabsTrigger value="categories">Categories</TabsTrigger>
+          <TabsTrigger value="brands">Brands</TabsTrigger>
+        </TabsList>
+        <TabsContent value="categories">
+          <div className="mb-5 w-full flex justify-end">
+            <Button onClick={() => handleOpen("category")}>
+              Add New Category
+            </Button>
+          </div>
+          {renderTable(
+            categoryRows.map((row) => renderRow("category", row, row.depth))
+          )}
+        </TabsContent>
+        <TabsContent value="brands">
+          <div className="mb-5 w-full flex justify-end">
+            <Button onClick={() => handleOpen("brand")}>Add New Brand</Button>
+          </div>
+          {renderTable(brands.map((brand) => renderRow("brand", brand)))}
+        </TabsContent>
+      </Tabs>
+      <Sheet open={openSheet} onOpenChange={handleClose}>
+        <SheetContent side="right" className="overflow-auto">
+          <SheetHeader>
+            <SheetTitle>
+              {currentEditedId !== null ? "Edit" : "Add New"}{" "}
+              {currentType === "category" ? "Category" : "Brand"}
+            </SheetTitle>
+          </SheetHeader>
+          <ProductImageUpload
+            imageFile={imageFile}
+            setImageFile={setImageFile}
+            uploadedImageUrl={uploadedImageUrl}
+            setUploadedImageUrl={setUploadedImageUrl}
+            setImageLoadingState={setImageLoadingState}
+            imageLoadingState={imageLoadingState}
+            isEditMode={false}
+          />
+          <div className="py-6">
+            <CommonForm
+              onSubmit={onSubmit}
+              formData={formData}
+              setFormData={setFormData}
+              buttonText={currentEditedId !== null ? "Edit" : "Add"}
+              formControls={formControls}
+              isBtnDisabled={!formData.name.trim() || imageLoadingState}
+            />
+          </div>
+        </SheetContent>
+      </Sheet>
+    </Fragment>
+  );
+}
+
+export default AdminTaxonomy;
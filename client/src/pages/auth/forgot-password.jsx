@@ -0,0 +1,67 @@
+import CommonForm from "@/components/common/form";
+import { useToast } from "@/components/ui/use-toast";
+import { forgotPasswordFormControls } from "@/config";
+import { forgotPassword } from "@/store/auth-slice";
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { Link } from "react-router-dom";
+
+const initialState = {
+  email: "",
+};
+
+function AuthForgotPassword() {
+  const [formData, setFormData] = useState(initialState);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const dispatch = useDispatch();
+  const { toast } = useToast();
+
+  function onSubmit(event) {
+    event.preventDefault();
+    setIsSubmitting(true);
+
+    dispatch(forgotPassword(formData)).then((data) => {
+      setIsSubmitting(false);
+      if (data?.payload?.success) {
+        toast({
+          title: data?.payload?.message,
+        });
+        setFormData(initialState);
+      } else {
+        toast({
+          title: data?.payload?.message || "Some error occured",
+          variant: "destructive",
+        });
+      }
+    });
+  }
+
+  return (
+    <div className="mx-auto w-full max-w-md space-y-6">
+      <div className="text-center">
+        <h1 className="text-3xl font-bold tracking-tight text-foreground">
+          Forgot your password?
+        </h1>
+        <p className="mt-2">
+          Remembered it?
+          <Link
+            className="font-medium ml-2 text-primary hover:underline"
+            to="/auth/login"
+          >
+            Back to login
+          </Link>
+        </p>
+      </div>
+      <CommonForm
+        formControls={forgotPasswordFormControls}
+        buttonText={"Send Reset Link"}
+        formData={formData}
+        setFormData={setFormData}
+        onSubmit={onSubmit}
+        isBtnDisabled={isSubmitting || !formData.email}
+      />
+    </div>
+  );
+}
+
+export default AuthForgotPassword;
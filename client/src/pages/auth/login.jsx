@@ -1,7 +1,9 @@
+import MfaChallenge from "@/components/auth/mfa-challenge";
+import MfaEnrollment from "@/components/auth/mfa-enrollment";
 import CommonForm from "@/components/common/form";
 import { useToast } from "@/components/ui/use-toast";
 import { loginFormControls } from "@/config";
-import { loginUser } from "@/store/auth-slice";
+import { checkAuth, loginUser } from "@/store/auth-slice";
 import { useState } from "react";
 import { useDispatch } from "react-redux";
 import { Link } from "react-router-dom";
@@ -13,6 +15,7 @@ const initialState = {
 
 function AuthLogin() {
   const [formData, setFormData] = useState(initialState);
+  const [mfaStep, setMfaStep] = useState(null);
   const dispatch = useDispatch();
   const { toast } = useToast();
 
@@ -20,19 +23,43 @@ function AuthLogin() {
     event.preventDefault();
 
     dispatch(loginUser(formData)).then((data) => {
-      if (data?.payload?.success) {
+      if (data?.payload?.mfaRequired || data?.payload?.mfaSetupRequired) {
+        setMfaStep({
+          mfaToken: data.payload.mfaToken,
+          setupRequired: data.payload.mfaSetupRequired,
+        });
+        setFormData(initialState);
+      } else if (data?.payload?.success) {
         toast({
           title: data?.payload?.message,
         });
       } else {
         toast({
-          title: data?.payload?.message,
+          title: data?.payload?.message || "Some error occured",
           variant: "destructive",
         });
       }
     });
   }
 
+  if (mfaStep?.setupRequired) {
+    return (
+      <MfaEnrollment
+        mfaToken={mfaStep.mfaToken}
+        onComplete={() => dispatch(checkAuth())}
+      />
+    );
+  }
+
+  if (mfaStep) {
+    return (
+      <MfaChallenge
+        mfaToken={mfaStep.mfaToken}
+        onCancel={() => setMfaStep(null)}
+      />
+    );
+  }
+
   return (
     <div className="mx-auto w-full max-w-md space-y-6">
       <div className="text-center">
@@ -56,6 +83,14 @@ function AuthLogin() {
         setFormData={setFormData}
         onSubmit={onSubmit}
       />
+      <p className="text-center">
+        <Link
+          className="font-medium text-primary hover:underline"
+          to="/auth/forgot"
+        >
+          Forgot password?
+        </Link>
+      </p>
     </div>
   );
 }
@@ -0,0 +1,85 @@
+import CommonForm from "@/components/common/form";
+import { useToast } from "@/components/ui/use-toast";
+import { resetPasswordFormControls } from "@/config";
+import { resetPassword } from "@/store/auth-slice";
+import { useState } from "react";
+import { useDispatch } from "react-redux";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+
+const initialState = {
+  password: "",
+  confirmPassword: "",
+};
+
+function AuthResetPassword() {
+  const [formData, setFormData] = useState(initialState);
+  const [searchParams] = useSearchParams();
+  const dispatch = useDispatch();
+  const navigate = useNavigate();
+  const { toast } = useToast();
+
+  const token = searchParams.get("token");
+
+  function onSubmit(event) {
+    event.preventDefault();
+
+    if (formData.password !== formData.confirmPassword) {
+      toast({
+        title: "Passwords do not match",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    dispatch(resetPassword({ token, password: formData.password })).then(
+      (data) => {
+        if (data?.payload?.success) {
+          toast({
+            title: data?.payload?.message,
+          });
+          navigate("/auth/login");
+        } else {
+          toast({
+            title: data?.payload?.message || "Some error occured",
+            variant: "destructive",
+          });
+        }
+      }
+    );
+  }
+
+  if (!token) {
+    return (
+      <div className="mx-auto w-full max-w-md space-y-6 text-center">
+        <h1 className="text-3xl font-bold tracking-tight text-foreground">
+          Invalid reset link
+        </h1>
+        <Link
+          className="font-medium text-primary hover:underline"
+          to="/auth/forgot"
+        >
+          Request a new link
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mx-auto w-full max-w-md space-y-6">
+      <div className="text-center">
+        <h1 className="text-3xl font-bold tracking-tight text-foreground">
+          Choose a new password
+        </h1>
+      </div>
+      <CommonForm
+        formControls={resetPasswordFormControls}
+        buttonText={"Reset Password"}
+        formData={formData}
+        setFormData={setFormData}
+        onSubmit={onSubmit}
+      />
+    </div>
+  );
+}
+
+export default AuthResetPassword;
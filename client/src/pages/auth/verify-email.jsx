@@ -0,0 +1,58 @@
+import { verifyEmail } from "@/store/auth-slice";
+import { useEffect, useState } from "react";
+import { useDispatch, useSelector } from "react-redux";
+import { Link, useSearchParams } from "react-router-dom";
+
+function AuthVerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [status, setStatus] = useState(token ? "verifying" : "failed");
+  const [message, setMessage] = useState(
+    token ? "" : "This verification link is invalid."
+  );
+  const { isAuthenticated } = useSelector((state) => state.auth);
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    if (!token) return;
+
+    dispatch(verifyEmail(token)).then((data) => {
+      if (data?.payload?.success) {
+        setStatus("verified");
+        setMessage(data?.payload?.message);
+      } else {
+        setStatus("failed");
+        setMessage(
+          data?.payload?.message || "This verification link is invalid."
+        );
+      }
+    });
+  }, [dispatch, token]);
+
+  return (
+    <div className="mx-auto w-full max-w-md space-y-6">
+      <div className="text-center">
+        <h1 className="text-3xl font-bold tracking-tight text-foreground">
+          {status === "verifying"
+            ? "Verifying your email..."
+            : status === "verified"
+            ? "Email verified"
+            : "Verification failed"}
+        </h1>
+        {message ? <p className="mt-2">{message}</p> : null}
+        {status !== "verifying" ? (
+          <p className="mt-4">
+            <Link
+              className="font-medium text-primary hover:underline"
+              to={isAuthenticated ? "/shop/home" : "/auth/login"}
+            >
+              {isAuthenticated ? "Continue shopping" : "Back to login"}
+            </Link>
+          </p>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+export default AuthVerifyEmail;
@@ -2,6 +2,7 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import accImg from "../../assets/account.jpg";
 import Address from "@/components/shopping-view/address";
 import ShoppingOrders from "@/components/shopping-view/orders";
+import Profile from "@/components/shopping-view/profile";
 
 function ShoppingAccount() {
   return (
@@ -18,6 +19,7 @@ function ShoppingAccount() {
             <TabsList>
               <TabsTrigger value="orders">Orders</TabsTrigger>
               <TabsTrigger value="address">Address</TabsTrigger>
+              <TabsTrigger value="profile">Profile</TabsTrigger>
             </TabsList>
             <TabsContent value="orders">
               <ShoppingOrders />
@@ -25,6 +27,9 @@ function ShoppingAccount() {
             <TabsContent value="address">
               <Address />
             </TabsContent>
+            <TabsContent value="profile">
+              <Profile />
+            </TabsContent>
           </Tabs>
         </div>
       </div>
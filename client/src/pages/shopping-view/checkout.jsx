@@ -3,14 +3,16 @@ import img from "../../assets/account.jpg";
 import UserCartItemsContent from "@/components/shopping-view/cart-items-content";
 import { useDispatch, useSelector } from "react-redux";
 import { Button } from "@/components/ui/button";
-import { useState } from "react";
-import { createNewOrder } from "@/store/shop/order-slice";
+import { useEffect, useState } from "react";
+import { createNewOrder, fetchOrderQuote } from "@/store/shop/order-slice";
 import { useToast } from "@/components/ui/use-toast";
 
 function ShoppingCheckout() {
   const { cartItems } = useSelector((state) => state.shopCart);
   const { user } = useSelector((state) => state.auth);
-  const { authorizationURL } = useSelector((state) => state.shopOrder);
+  const { authorizationURL, quote, isQuoteLoading } = useSelector(
+    (state) => state.shopOrder
+  );
   const [currentSelectedAddress, setCurrentSelectedAddress] = useState(null);
   const [isPaymentStart, setIsPaymemntStart] = useState(false);
   const dispatch = useDispatch();
@@ -18,21 +20,13 @@ function ShoppingCheckout() {
 
   console.log(currentSelectedAddress, "cartItems");
 
-  const totalCartAmount =
-    cartItems && cartItems.items && cartItems.items.length > 0
-      ? cartItems.items.reduce(
-          (sum, currentItem) =>
-            sum +
-            (currentItem?.salePrice > 0
-              ? currentItem?.salePrice
-              : currentItem?.price) *
-              currentItem?.quantity,
-          0
-        )
-      : 0;
+  // Totals always come from the server quote, the cart only drives refreshes
+  useEffect(() => {
+    if (user?.id) dispatch(fetchOrderQuote(user?.id));
+  }, [dispatch, user?.id, cartItems]);
 
   function handleInitiatePaystackPayment() {
-    if (cartItems.length === 0) {
+    if (!quote || quote.items.length === 0) {
       toast({
         title: "Your cart is empty. Please add items to proceed",
         variant: "destructive",
@@ -52,16 +46,12 @@ function ShoppingCheckout() {
     const orderData = {
       userId: user?.id,
       userEmail: user?.email,
-      cartId: cartItems?._id,
-      cartItems: cartItems.items.map((singleCartItem) => ({
-        productId: singleCartItem?.productId,
-        title: singleCartItem?.title,
-        image: singleCartItem?.image,
-        price:
-          singleCartItem?.salePrice > 0
-            ? singleCartItem?.salePrice
-            : singleCartItem?.price,
-        quantity: singleCartItem?.quantity,
+      cartId: quote.cartId,
+      cartItems: quote.items.map((quoteItem) => ({
+        productId: quoteItem.productId,
+        variantId: quoteItem.variantId,
+        price: quoteItem.unitPrice,
+        quantity: quoteItem.quantity,
       })),
       addressInfo: {
         addressId: currentSelectedAddress?._id,
@@ -71,14 +61,8 @@ function ShoppingCheckout() {
         phone: currentSelectedAddress?.phone,
         notes: currentSelectedAddress?.notes,
       },
-      orderStatus: "pending",
       paymentMethod: "paystack",
-      paymentStatus: "pending",
-      totalAmount: totalCartAmount,
-      orderDate: new Date(),
-      orderUpdateDate: new Date(),
-      paymentId: "",
-      payerId: "",
+      totalAmount: quote.totalAmount,
     };
 
     dispatch(createNewOrder(orderData)).then((data) => {
@@ -87,6 +71,10 @@ function ShoppingCheckout() {
         setIsPaymemntStart(true);
       } else {
         setIsPaymemntStart(false);
+        toast({
+          title: data?.payload?.message || "Could not start payment",
+          variant: "destructive",
+        });
       }
     });
   }
@@ -111,14 +99,40 @@ function ShoppingCheckout() {
                 <UserCartItemsContent key={index} cartItem={item} />
               ))
             : null}
-          <div className="mt-8 space-y-4">
+          <div className="mt-8 space-y-2">
+            {quote?.items?.map((quoteItem) => (
+              <div
+                key={`${quoteItem.productId}-${quoteItem.variantId}`}
+                className="flex justify-between text-sm text-muted-foreground"
+              >
+                <span>
+                  {quoteItem.title}
+                  {quoteItem.variantLabel
+                    ? ` (${quoteItem.variantLabel})`
+                    : ""}{" "}
+                  x {quoteItem.quantity} @ $
+                  {quoteItem.unitPrice.toFixed(2)}
+                </span>
+                <span>${quoteItem.lineTotal.toFixed(2)}</span>
+              </div>
+            ))}
+            <div className="flex justify-between">
+              <span>Subtotal</span>
+              <span>${(quote?.subtotal || 0).toFixed(2)}</span>
+            </div>
             <div className="flex justify-between">
               <span className="font-bold">Total</span>
-              <span className="font-bold">${totalCartAmount}</span>
+              <span className="font-bold">
+                ${(quote?.totalAmount || 0).toFixed(2)}
+              </span>
             </div>
           </div>
           <div className="mt-4 w-full">
-            <Button onClick={handleInitiatePaystackPayment} className="w-full">
+            <Button
+              onClick={handleInitiatePaystackPayment}
+              disabled={isQuoteLoading}
+              className="w-full"
+            >
               {isPaymentStart
                 ? "Processing Paystack Payment..."
                 : "Checkout with Paystack"}
@@ -2,21 +2,7 @@ import { Button } from "@/components/ui/button";
 import bannerOne from "../../assets/banner-1.webp";
 import bannerTwo from "../../assets/banner-2.webp";
 import bannerThree from "../../assets/banner-3.webp";
-import {
-  Airplay,
-  BabyIcon,
-  ChevronLeftIcon,
-  ChevronRightIcon,
-  CloudLightning,
-  Heater,
-  Images,
-  Shirt,
-  ShirtIcon,
-  ShoppingBasket,
-  UmbrellaIcon,
-  WashingMachine,
-  WatchIcon,
-} from "lucide-react";
+import { ChevronLeftIcon, ChevronRightIcon } from "lucide-react";
 import { Card, CardContent } from "@/components/ui/card";
 import { useEffect, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
@@ -30,29 +16,41 @@ import { addToCart, fetchCartItems } from "@/store/shop/cart-slice";
 import { useToast } from "@/components/ui/use-toast";
 import ProductDetailsDialog from "@/components/shopping-view/product-details";
 import { getFeatureImages } from "@/store/common-slice";
+import { getTaxonomyIcon } from "@/lib/taxonomy";
+import ResponsiveImage from "@/components/common/responsive-image";
+
+// A category or brand tile, with its image or else its icon
+function TaxonomyTile({ item, onClick }) {
+  const Icon = getTaxonomyIcon(item.icon);
+
+  return (
+    <Card
+      onClick={onClick}
+      className="cursor-pointer hover:shadow-lg transition-shadow"
+    >
+      <CardContent className="flex flex-col items-center justify-center p-6">
+        {item.image ? (
+          <img
+            src={item.image}
+            alt={item.name}
+            className="w-12 h-12 mb-4 object-cover rounded-full"
+          />
+        ) : (
+          <Icon className="w-12 h-12 mb-4 text-primary" />
+        )}
+        <span className="font-bold">{item.name}</span>
+      </CardContent>
+    </Card>
+  );
+}
 
-const categoriesWithIcon = [
-  { id: "men", label: "Men", icon: ShirtIcon },
-  { id: "women", label: "Women", icon: CloudLightning },
-  { id: "kids", label: "Kids", icon: BabyIcon },
-  { id: "accessories", label: "Accessories", icon: WatchIcon },
-  { id: "footwear", label: "Footwear", icon: UmbrellaIcon },
-];
-
-const brandsWithIcon = [
-  { id: "nike", label: "Nike", icon: Shirt },
-  { id: "adidas", label: "Adidas", icon: WashingMachine },
-  { id: "puma", label: "Puma", icon: ShoppingBasket },
-  { id: "levi", label: "Levi's", icon: Airplay },
-  { id: "zara", label: "Zara", icon: Images },
-  { id: "h&m", label: "H&M", icon: Heater },
-];
 function ShoppingHome() {
   const [currentSlide, setCurrentSlide] = useState(0);
   const { productList, productDetails } = useSelector(
     (state) => state.shopProducts
   );
   const { featureImageList } = useSelector((state) => state.commonFeature);
+  const { categories, brands } = useSelector((state) => state.taxonomy);
 
   const [openDetailsDialog, setOpenDetailsDialog] = useState(false);
 
@@ -65,7 +63,7 @@ function ShoppingHome() {
   function handleNavigateToListingPage(getCurrentItem, section) {
     sessionStorage.removeItem("filters");
     const currentFilter = {
-      [section]: [getCurrentItem.id],
+      [section]: [getCurrentItem.slug],
     };
 
     sessionStorage.setItem("filters", JSON.stringify(currentFilter));
@@ -125,8 +123,11 @@ function ShoppingHome() {
       <div className="relative w-full h-[600px] overflow-hidden">
         {featureImageList && featureImageList.length > 0
           ? featureImageList.map((slide, index) => (
-              <img
+              <ResponsiveImage
+                image={slide}
                 src={slide?.image}
+                alt=""
+                sizes="100vw"
                 key={index}
                 className={`${
                   index === currentSlide ? "opacity-100" : "opacity-0"
@@ -167,19 +168,17 @@ function ShoppingHome() {
             Shop by category
           </h2>
           <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
-            {categoriesWithIcon.map((categoryItem) => (
-              <Card
-                onClick={() =>
-                  handleNavigateToListingPage(categoryItem, "category")
-                }
-                className="cursor-pointer hover:shadow-lg transition-shadow"
-              >
-                <CardContent className="flex flex-col items-center justify-center p-6">
-                  <categoryItem.icon className="w-12 h-12 mb-4 text-primary" />
-                  <span className="font-bold">{categoryItem.label}</span>
-                </CardContent>
-              </Card>
-            ))}
+            {categories
+              .filter((categoryItem) => categoryItem.parent === null)
+              .map((categoryItem) => (
+                <TaxonomyTile
+                  key={categoryItem.id}
+                  item={categoryItem}
+                  onClick={() =>
+                    handleNavigateToListingPage(categoryItem, "category")
+                  }
+                />
+              ))}
           </div>
         </div>
       </section>
@@ -188,16 +187,12 @@ function ShoppingHome() {
         <div className="container mx-auto px-4">
           <h2 className="text-3xl font-bold text-center mb-8">Shop by Brand</h2>
           <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
-            {brandsWithIcon.map((brandItem) => (
-              <Card
+            {brands.map((brandItem) => (
+              <TaxonomyTile
+                key={brandItem.id}
+                item={brandItem}
                 onClick={() => handleNavigateToListingPage(brandItem, "brand")}
-                className="cursor-pointer hover:shadow-lg transition-shadow"
-              >
-                <CardContent className="flex flex-col items-center justify-center p-6">
-                  <brandItem.icon className="w-12 h-12 mb-4 text-primary" />
-                  <span className="font-bold">{brandItem.label}</span>
-                </CardContent>
-              </Card>
+              />
             ))}
           </div>
         </div>
@@ -10,16 +10,15 @@ import {
   DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu";
 import { useToast } from "@/components/ui/use-toast";
-import { sortOptions } from "@/config";
+import { sortOptions, taxonomyFilterKeys, valueFilterKeys } from "@/config";
 import { addToCart, fetchCartItems } from "@/store/shop/cart-slice";
 import {
   fetchAllFilteredProducts,
-  fetchProductsFromMongoDB,
+  fetchMoreProducts,
   fetchProductDetails,
-  clearProductErrors,
 } from "@/store/shop/products-slice";
 import { ArrowUpDownIcon } from "lucide-react";
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useRef, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useSearchParams } from "react-router-dom";
 
@@ -31,6 +30,8 @@ function createSearchParamsHelper(filterParams) {
       const paramValue = value.join(",");
 
       queryParams.push(`${key}=${encodeURIComponent(paramValue)}`);
+    } else if (!Array.isArray(value) && value !== "" && value != null) {
+      queryParams.push(`${key}=${encodeURIComponent(value)}`);
     }
   }
 
@@ -39,23 +40,42 @@ function createSearchParamsHelper(filterParams) {
   return queryParams.join("&");
 }
 
+// Filters in a shared or reloaded listing URL
+function getFiltersFromSearchParams(searchParams) {
+  const filters = {};
+
+  for (const key of taxonomyFilterKeys) {
+    const value = searchParams.get(key);
+    if (value) filters[key] = value.split(",");
+  }
+
+  for (const key of valueFilterKeys) {
+    const value = searchParams.get(key);
+    if (value) filters[key] = value;
+  }
+
+  return filters;
+}
+
 function ShoppingListing() {
   const dispatch = useDispatch();
-  const { 
-    productList, 
-    productDetails, 
-    isLoading, 
-    error, 
-    firebaseError, 
-    authError 
+  const {
+    productList,
+    productDetails,
+    total,
+    nextCursor,
+    facets,
+    isLoading,
+    isLoadingMore,
+    error,
   } = useSelector((state) => state.shopProducts);
   const { cartItems } = useSelector((state) => state.shopCart);
-  const { user, isAuthenticated } = useSelector((state) => state.auth);
-  const [filters, setFilters] = useState({});
+  const { user } = useSelector((state) => state.auth);
+  const [filters, setFilters] = useState(null);
   const [sort, setSort] = useState(null);
   const [searchParams, setSearchParams] = useSearchParams();
   const [openDetailsDialog, setOpenDetailsDialog] = useState(false);
-  const [fallbackMode, setFallbackMode] = useState(false);
+  const loadMoreRef = useRef(null);
   const { toast } = useToast();
 
   const categorySearchParam = searchParams.get("category");
@@ -86,6 +106,20 @@ function ShoppingListing() {
     sessionStorage.setItem("filters", JSON.stringify(cpyFilters));
   }
 
+  // Sets single value filters (price range, rating, availability);
+  // an empty value removes the filter
+  function handleFilterValues(changes) {
+    const cpyFilters = { ...filters };
+
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === "" || value == null) delete cpyFilters[key];
+      else cpyFilters[key] = value;
+    }
+
+    setFilters(cpyFilters);
+    sessionStorage.setItem("filters", JSON.stringify(cpyFilters));
+  }
+
   function handleGetProductDetails(getCurrentProductId) {
     console.log(getCurrentProductId);
     dispatch(fetchProductDetails(getCurrentProductId));
@@ -128,97 +162,90 @@ function ShoppingListing() {
     });
   }
 
-  // Main function to fetch products
   const fetchProducts = () => {
     if (filters !== null && sort !== null) {
-      if (fallbackMode) {
-        // Use MongoDB fallback
-        dispatch(fetchProductsFromMongoDB({ filterParams: filters, sortParams: sort }));
-      } else {
-        // Try Firebase first
-        dispatch(fetchAllFilteredProducts({ filterParams: filters, sortParams: sort }));
-      }
+      dispatch(
+        fetchAllFilteredProducts({ filterParams: filters, sortParams: sort })
+      );
     }
   };
 
-  // Handle Firebase errors and switch to fallback
-  useEffect(() => {
-    if (authError) {
-      toast({
-        title: "Authentication Required",
-        description: authError.message || "Please log in to view products",
-        variant: "destructive",
-      });
-      dispatch(clearProductErrors());
-    }
-  }, [authError, toast, dispatch]);
+  const handleLoadMore = useCallback(() => {
+    dispatch(
+      fetchMoreProducts({
+        filterParams: filters,
+        sortParams: sort,
+        cursor: nextCursor,
+      })
+    );
+  }, [dispatch, filters, sort, nextCursor]);
 
+  // Infinite scroll: load the next page as the end of the grid comes into view
   useEffect(() => {
-    if (firebaseError && !fallbackMode) {
-      console.log("Firebase error, switching to MongoDB fallback");
-      setFallbackMode(true);
-      toast({
-        title: "Using Backup Database",
-        description: "Primary database unavailable, using backup source",
-        variant: "default",
-      });
-    }
-  }, [firebaseError, fallbackMode, toast]);
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) handleLoadMore();
+      },
+      { rootMargin: "200px" }
+    );
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, handleLoadMore]);
 
-  // Initial setup
+  // Initial setup: filters in the URL win over the ones from this session
   useEffect(() => {
+    const filtersFromUrl = getFiltersFromSearchParams(
+      new URLSearchParams(window.location.search)
+    );
+
     setSort("price-lowtohigh");
-    setFilters(JSON.parse(sessionStorage.getItem("filters")) || {});
+    setFilters(
+      Object.keys(filtersFromUrl).length > 0
+        ? filtersFromUrl
+        : JSON.parse(sessionStorage.getItem("filters")) || {}
+    );
   }, [categorySearchParam]);
 
   // Update URL with filters
   useEffect(() => {
-    if (filters && Object.keys(filters).length > 0) {
+    if (filters !== null) {
       const createQueryString = createSearchParamsHelper(filters);
       setSearchParams(new URLSearchParams(createQueryString));
     }
   }, [filters]);
 
-  // Fetch products when filters, sort, or fallback mode changes
+  // Fetch products when filters or sort change
   useEffect(() => {
     fetchProducts();
-  }, [dispatch, sort, filters, fallbackMode]);
+  }, [dispatch, sort, filters]);
 
   // Handle product details dialog
   useEffect(() => {
     if (productDetails !== null) setOpenDetailsDialog(true);
   }, [productDetails]);
 
-  // Handle auth error - redirect to login
-  useEffect(() => {
-    if (authError?.code === "UNAUTHORIZED") {
-      // The auth slice should handle redirect to login page
-    }
-  }, [authError]);
-
   console.log(productList, "productListproductListproductList");
-  console.log("Loading:", isLoading, "Error:", error, "Fallback:", fallbackMode);
-
-  const handleRetryWithFirebase = () => {
-    setFallbackMode(false);
-    dispatch(clearProductErrors());
-    fetchProducts();
-  };
 
   return (
     <div className="grid grid-cols-1 md:grid-cols-[200px_1fr] gap-6 p-4 md:p-6">
-      <ProductFilter filters={filters} handleFilter={handleFilter} />
+      <ProductFilter
+        filters={filters}
+        facets={facets}
+        handleFilter={handleFilter}
+        handleFilterValues={handleFilterValues}
+      />
       <div className="bg-background w-full rounded-lg shadow-sm">
         <div className="p-4 border-b flex items-center justify-between">
-          <h2 className="text-lg font-extrabold">
-            All Products 
-            {fallbackMode && (
-              <span className="ml-2 text-sm text-orange-500">(Backup Mode)</span>
-            )}
-          </h2>
+          <h2 className="text-lg font-extrabold">All Products</h2>
           <div className="flex items-center gap-3">
             <span className="text-muted-foreground">
-              {productList?.length} Products
+              {productList.length < total
+                ? `${productList.length} of ${total} Products`
+                : `${total} Products`}
             </span>
             <DropdownMenu>
               <DropdownMenuTrigger asChild>
@@ -267,7 +294,7 @@ function ShoppingListing() {
         )}
 
         {/* Error State */}
-        {!isLoading && error && !authError && (
+        {!isLoading && error && (
           <div className="p-8 text-center">
             <div className="text-red-500 mb-4">
               <svg
@@ -292,11 +319,6 @@ function ShoppingListing() {
               <Button onClick={fetchProducts} variant="outline">
                 Try Again
               </Button>
-              {fallbackMode && (
-                <Button onClick={handleRetryWithFirebase}>
-                  Switch to Primary
-                </Button>
-              )}
             </div>
           </div>
         )}
@@ -331,7 +353,7 @@ function ShoppingListing() {
           <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 p-4">
             {productList.map((productItem) => (
               <ShoppingProductTile
-                key={productItem._id || productItem.id}
+                key={productItem.id}
                 handleGetProductDetails={handleGetProductDetails}
                 product={productItem}
                 handleAddtoCart={handleAddtoCart}
@@ -339,6 +361,19 @@ function ShoppingListing() {
             ))}
           </div>
         )}
+
+        {/* Next page, loaded on scroll or on click */}
+        {!isLoading && !error && nextCursor && (
+          <div ref={loadMoreRef} className="flex justify-center pb-6">
+            <Button
+              variant="outline"
+              onClick={handleLoadMore}
+              disabled={isLoadingMore}
+            >
+              {isLoadingMore ? "Loading..." : "Load more"}
+            </Button>
+          </div>
+        )}
       </div>
       <ProductDetailsDialog
         open={openDetailsDialog}
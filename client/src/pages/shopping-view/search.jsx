@@ -1,23 +1,41 @@
 import ProductDetailsDialog from "@/components/shopping-view/product-details";
 import ShoppingProductTile from "@/components/shopping-view/product-tile";
+import { Button } from "@/components/ui/button";
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem,
+  DropdownMenuTrigger,
+} from "@/components/ui/dropdown-menu";
 import { Input } from "@/components/ui/input";
 import { useToast } from "@/components/ui/use-toast";
+import { sortOptions } from "@/config";
 import { addToCart, fetchCartItems } from "@/store/shop/cart-slice";
 import { fetchProductDetails } from "@/store/shop/products-slice";
 import {
   getSearchResults,
   resetSearchResults,
 } from "@/store/shop/search-slice";
+import { ArrowUpDownIcon } from "lucide-react";
 import { useEffect, useState } from "react";
 import { useDispatch, useSelector } from "react-redux";
 import { useSearchParams } from "react-router-dom";
 
+// Search results come best match first unless sorted like the listing
+const searchSortOptions = [
+  { id: "relevance", label: "Relevance" },
+  ...sortOptions,
+];
+
 function SearchProducts() {
   const [keyword, setKeyword] = useState("");
+  const [sort, setSort] = useState("relevance");
   const [openDetailsDialog, setOpenDetailsDialog] = useState(false);
   const [searchParams, setSearchParams] = useSearchParams();
   const dispatch = useDispatch();
-  const { searchResults } = useSelector((state) => state.shopSearch);
+  const { searchResults, isLoading, isLoadingMore, total, page, totalPages } =
+    useSelector((state) => state.shopSearch);
   const { productDetails } = useSelector((state) => state.shopProducts);
 
   const { user } = useSelector((state) => state.auth);
@@ -26,15 +44,21 @@ function SearchProducts() {
   const { toast } = useToast();
   useEffect(() => {
     if (keyword && keyword.trim() !== "" && keyword.trim().length > 3) {
-      setTimeout(() => {
-        setSearchParams(new URLSearchParams(`?keyword=${keyword}`));
-        dispatch(getSearchResults(keyword));
+      const timer = setTimeout(() => {
+        setSearchParams(new URLSearchParams({ keyword }));
+        dispatch(getSearchResults({ keyword, sortBy: sort }));
       }, 1000);
+
+      return () => clearTimeout(timer);
     } else {
-      setSearchParams(new URLSearchParams(`?keyword=${keyword}`));
+      setSearchParams(new URLSearchParams({ keyword }));
       dispatch(resetSearchResults());
     }
-  }, [keyword]);
+  }, [keyword, sort]);
+
+  function handleLoadMore() {
+    dispatch(getSearchResults({ keyword, sortBy: sort, page: page + 1 }));
+  }
 
   function handleAddtoCart(getCurrentProductId, getTotalStock) {
     console.log(cartItems);
@@ -97,18 +121,59 @@ function SearchProducts() {
           />
         </div>
       </div>
-      {!searchResults.length ? (
+      {searchResults.length ? (
+        <div className="flex items-center justify-between mb-4">
+          <span className="text-muted-foreground">
+            {searchResults.length < total
+              ? `${searchResults.length} of ${total} Products`
+              : `${total} Products`}
+          </span>
+          <DropdownMenu>
+            <DropdownMenuTrigger asChild>
+              <Button
+                variant="outline"
+                size="sm"
+                className="flex items-center gap-1"
+              >
+                <ArrowUpDownIcon className="h-4 w-4" />
+                <span>Sort by</span>
+              </Button>
+            </DropdownMenuTrigger>
+            <DropdownMenuContent align="end" className="w-[200px]">
+              <DropdownMenuRadioGroup value={sort} onValueChange={setSort}>
+                {searchSortOptions.map((sortItem) => (
+                  <DropdownMenuRadioItem value={sortItem.id} key={sortItem.id}>
+                    {sortItem.label}
+                  </DropdownMenuRadioItem>
+                ))}
+              </DropdownMenuRadioGroup>
+            </DropdownMenuContent>
+          </DropdownMenu>
+        </div>
+      ) : !isLoading ? (
         <h1 className="text-5xl font-extrabold">No result found!</h1>
       ) : null}
       <div className="grid grid-cols-1 sm:grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-5">
         {searchResults.map((item) => (
           <ShoppingProductTile
+            key={item.id}
             handleAddtoCart={handleAddtoCart}
             product={item}
             handleGetProductDetails={handleGetProductDetails}
           />
         ))}
       </div>
+      {page < totalPages ? (
+        <div className="flex justify-center mt-6">
+          <Button
+            variant="outline"
+            onClick={handleLoadMore}
+            disabled={isLoadingMore}
+          >
+            {isLoadingMore ? "Loading..." : "Load more"}
+          </Button>
+        </div>
+      ) : null}
       <ProductDetailsDialog
         open={openDetailsDialog}
         setOpen={setOpenDetailsDialog}
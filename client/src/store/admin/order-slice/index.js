@@ -10,7 +10,8 @@ export const getAllOrdersForAdmin = createAsyncThunk(
   "/order/getAllOrdersForAdmin",
   async () => {
     const response = await axios.get(
-      `http://localhost:5000/api/admin/orders/get`
+      `http://localhost:5000/api/admin/orders/get`,
+      { withCredentials: true }
     );
 
     return response.data;
@@ -21,7 +22,8 @@ export const getOrderDetailsForAdmin = createAsyncThunk(
   "/order/getOrderDetailsForAdmin",
   async (id) => {
     const response = await axios.get(
-      `http://localhost:5000/api/admin/orders/details/${id}`
+      `http://localhost:5000/api/admin/orders/details/${id}`,
+      { withCredentials: true }
     );
 
     return response.data;
@@ -35,7 +37,8 @@ export const updateOrderStatus = createAsyncThunk(
       `http://localhost:5000/api/admin/orders/update/${id}`,
       {
         orderStatus,
-      }
+      },
+      { withCredentials: true }
     );
 
     return response.data;
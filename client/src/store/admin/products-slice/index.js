@@ -6,20 +6,31 @@ const initialState = {
   productList: [],
 };
 
+// The server rejects invalid options and variants with a message to show
+const toProductError = (error, fallbackMessage) => ({
+  message: error.response?.data?.message || fallbackMessage,
+  status: error.response?.status,
+});
+
 export const addNewProduct = createAsyncThunk(
   "/products/addnewproduct",
-  async (formData) => {
-    const result = await axios.post(
-      "http://localhost:5000/api/admin/products/add",
-      formData,
-      {
-        headers: {
-          "Content-Type": "application/json",
-        },
-      }
-    );
+  async (formData, { rejectWithValue }) => {
+    try {
+      const result = await axios.post(
+        "http://localhost:5000/api/admin/products/add",
+        formData,
+        {
+          withCredentials: true,
+          headers: {
+            "Content-Type": "application/json",
+          },
+        }
+      );
 
-    return result?.data;
+      return result?.data;
+    } catch (error) {
+      return rejectWithValue(toProductError(error, "Failed to add product"));
+    }
   }
 );
 
@@ -27,7 +38,8 @@ export const fetchAllProducts = createAsyncThunk(
   "/products/fetchAllProducts",
   async () => {
     const result = await axios.get(
-      "http://localhost:5000/api/admin/products/get"
+      "http://localhost:5000/api/admin/products/get",
+      { withCredentials: true }
     );
 
     return result?.data;
@@ -36,18 +48,23 @@ export const fetchAllProducts = createAsyncThunk(
 
 export const editProduct = createAsyncThunk(
   "/products/editProduct",
-  async ({ id, formData }) => {
-    const result = await axios.put(
-      `http://localhost:5000/api/admin/products/edit/${id}`,
-      formData,
-      {
-        headers: {
-          "Content-Type": "application/json",
-        },
-      }
-    );
+  async ({ id, formData }, { rejectWithValue }) => {
+    try {
+      const result = await axios.put(
+        `http://localhost:5000/api/admin/products/edit/${id}`,
+        formData,
+        {
+          withCredentials: true,
+          headers: {
+            "Content-Type": "application/json",
+          },
+        }
+      );
 
-    return result?.data;
+      return result?.data;
+    } catch (error) {
+      return rejectWithValue(toProductError(error, "Failed to edit product"));
+    }
   }
 );
 
@@ -55,7 +72,8 @@ export const deleteProduct = createAsyncThunk(
   "/products/deleteProduct",
   async (id) => {
     const result = await axios.delete(
-      `http://localhost:5000/api/admin/products/delete/${id}`
+      `http://localhost:5000/api/admin/products/delete/${id}`,
+      { withCredentials: true }
     );
 
     return result?.data;
@@ -11,7 +11,8 @@ export const addNewAddress = createAsyncThunk(
   async (formData) => {
     const response = await axios.post(
       "http://localhost:5000/api/shop/address/add",
-      formData
+      formData,
+      { withCredentials: true }
     );
 
     return response.data;
@@ -22,7 +23,8 @@ export const fetchAllAddresses = createAsyncThunk(
   "/addresses/fetchAllAddresses",
   async (userId) => {
     const response = await axios.get(
-      `http://localhost:5000/api/shop/address/get/${userId}`
+      `http://localhost:5000/api/shop/address/get/${userId}`,
+      { withCredentials: true }
     );
 
     return response.data;
@@ -34,7 +36,8 @@ export const editaAddress = createAsyncThunk(
   async ({ userId, addressId, formData }) => {
     const response = await axios.put(
       `http://localhost:5000/api/shop/address/update/${userId}/${addressId}`,
-      formData
+      formData,
+      { withCredentials: true }
     );
 
     return response.data;
@@ -45,7 +48,8 @@ export const deleteAddress = createAsyncThunk(
   "/addresses/deleteAddress",
   async ({ userId, addressId }) => {
     const response = await axios.delete(
-      `http://localhost:5000/api/shop/address/delete/${userId}/${addressId}`
+      `http://localhost:5000/api/shop/address/delete/${userId}/${addressId}`,
+      { withCredentials: true }
     );
 
     return response.data;
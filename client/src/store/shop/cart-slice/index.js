@@ -8,14 +8,16 @@ const initialState = {
 
 export const addToCart = createAsyncThunk(
   "cart/addToCart",
-  async ({ userId, productId, quantity }) => {
+  async ({ userId, productId, variantId, quantity }) => {
     const response = await axios.post(
       "http://localhost:5000/api/shop/cart/add",
       {
         userId,
         productId,
+        variantId,
         quantity,
-      }
+      },
+      { withCredentials: true }
     );
 
     return response.data;
@@ -26,7 +28,8 @@ export const fetchCartItems = createAsyncThunk(
   "cart/fetchCartItems",
   async (userId) => {
     const response = await axios.get(
-      `http://localhost:5000/api/shop/cart/get/${userId}`
+      `http://localhost:5000/api/shop/cart/get/${userId}`,
+      { withCredentials: true }
     );
 
     return response.data;
@@ -35,9 +38,12 @@ export const fetchCartItems = createAsyncThunk(
 
 export const deleteCartItem = createAsyncThunk(
   "cart/deleteCartItem",
-  async ({ userId, productId }) => {
+  async ({ userId, productId, variantId }) => {
     const response = await axios.delete(
-      `http://localhost:5000/api/shop/cart/${userId}/${productId}`
+      `http://localhost:5000/api/shop/cart/${userId}/${productId}${
+        variantId ? `/${variantId}` : ""
+      }`,
+      { withCredentials: true }
     );
 
     return response.data;
@@ -46,14 +52,16 @@ export const deleteCartItem = createAsyncThunk(
 
 export const updateCartQuantity = createAsyncThunk(
   "cart/updateCartQuantity",
-  async ({ userId, productId, quantity }) => {
+  async ({ userId, productId, variantId, quantity }) => {
     const response = await axios.put(
       "http://localhost:5000/api/shop/cart/update-cart",
       {
         userId,
         productId,
+        variantId,
         quantity,
-      }
+      },
+      { withCredentials: true }
     );
 
     return response.data;
@@ -7,23 +7,48 @@ const initialState = {
   orderId: null,
   orderList: [],
   orderDetails: null,
+  quote: null,
+  isQuoteLoading: false,
 };
 
+export const fetchOrderQuote = createAsyncThunk(
+  "/order/fetchOrderQuote",
+  async (userId, { rejectWithValue }) => {
+    try {
+      const response = await axios.post(
+        "http://localhost:5000/api/shop/order/quote",
+        { userId },
+        { withCredentials: true }
+      );
+
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data);
+    }
+  }
+);
+
 export const createNewOrder = createAsyncThunk(
   "/order/createNewOrder",
-  async (orderData) => {
+  async (orderData, { rejectWithValue }) => {
     // Add customer email for Paystack integration
     const orderDataWithEmail = {
       ...orderData,
       customerEmail: orderData.userEmail || 'customer@example.com'
     };
-    
-    const response = await axios.post(
-      "http://localhost:5000/api/shop/order/create",
-      orderDataWithEmail
-    );
 
-    return response.data;
+    try {
+      const response = await axios.post(
+        "http://localhost:5000/api/shop/order/create",
+        orderDataWithEmail,
+        { withCredentials: true }
+      );
+
+      return response.data;
+    } catch (error) {
+      // A 409 carries a fresh quote when the server re-priced the cart
+      return rejectWithValue(error.response?.data);
+    }
   }
 );
 
@@ -35,7 +60,8 @@ export const capturePayment = createAsyncThunk(
       {
         reference,
         orderId,
-      }
+      },
+      { withCredentials: true }
     );
 
     return response.data;
@@ -46,7 +72,8 @@ export const getAllOrdersByUserId = createAsyncThunk(
   "/order/getAllOrdersByUserId",
   async (userId) => {
     const response = await axios.get(
-      `http://localhost:5000/api/shop/order/list/${userId}`
+      `http://localhost:5000/api/shop/order/list/${userId}`,
+      { withCredentials: true }
     );
 
     return response.data;
@@ -57,7 +84,8 @@ export const getOrderDetails = createAsyncThunk(
   "/order/getOrderDetails",
   async (id) => {
     const response = await axios.get(
-      `http://localhost:5000/api/shop/order/details/${id}`
+      `http://localhost:5000/api/shop/order/details/${id}`,
+      { withCredentials: true }
     );
 
     return response.data;
@@ -74,6 +102,17 @@ const shoppingOrderSlice = createSlice({
   },
   extraReducers: (builder) => {
     builder
+      .addCase(fetchOrderQuote.pending, (state) => {
+        state.isQuoteLoading = true;
+      })
+      .addCase(fetchOrderQuote.fulfilled, (state, action) => {
+        state.isQuoteLoading = false;
+        state.quote = action.payload.data;
+      })
+      .addCase(fetchOrderQuote.rejected, (state) => {
+        state.isQuoteLoading = false;
+        state.quote = null;
+      })
       .addCase(createNewOrder.pending, (state) => {
         state.isLoading = true;
       })
@@ -81,15 +120,19 @@ const shoppingOrderSlice = createSlice({
         state.isLoading = false;
         state.authorizationURL = action.payload.authorizationURL;
         state.orderId = action.payload.orderId;
+        state.quote = action.payload.quote;
         sessionStorage.setItem(
           "currentOrderId",
           JSON.stringify(action.payload.orderId)
         );
       })
-      .addCase(createNewOrder.rejected, (state) => {
+      .addCase(createNewOrder.rejected, (state, action) => {
         state.isLoading = false;
         state.authorizationURL = null;
         state.orderId = null;
+        if (action.payload?.quote) {
+          state.quote = action.payload.quote;
+        }
       })
       .addCase(getAllOrdersByUserId.pending, (state) => {
         state.isLoading = true;
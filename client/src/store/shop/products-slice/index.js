@@ -1,210 +1,88 @@
 import { createAsyncThunk, createSlice } from "@reduxjs/toolkit";
 import axios from "axios";
-import { debugAuthStateAsync, debugAuthFlow } from "@/lib/auth-debug";
 
 const initialState = {
   isLoading: false,
+  isLoadingMore: false,
   productList: [],
   productDetails: null,
+  total: 0,
+  page: 1,
+  totalPages: 0,
+  nextCursor: null,
+  facets: null,
   error: null,
-  firebaseError: null,
-  authError: null,
 };
 
 const API_URL = "http://localhost:5000/api/shop/products";
 
-/**
- * Async thunk to fetch filtered products from Firebase
- * First authenticates the user, then fetches product data
- */
+const toProductError = (error, fallbackMessage) => ({
+  message: error.response?.data?.message || fallbackMessage,
+  status: error.response?.status,
+});
+
 export const fetchAllFilteredProducts = createAsyncThunk(
   "/products/fetchAllProducts",
-  async ({ filterParams, sortParams }, { rejectWithValue, getState }) => {
+  async ({ filterParams, sortParams, page, limit }, { rejectWithValue }) => {
     try {
-      console.log("Fetching products from Firebase...");
-      
-      // Debug: Check auth state before making request
-      const authState = getState().auth;
-      console.log("Auth state before request:", {
-        isAuthenticated: authState.isAuthenticated,
-        userId: authState.user?.id,
-        userEmail: authState.user?.email,
-      });
-
-      // If not authenticated, try to debug and fix
-      if (!authState.isAuthenticated) {
-        console.warn("⚠️ User not authenticated, running auth debug...");
-        await debugAuthFlow();
-      }
-
       const query = new URLSearchParams({
         ...filterParams,
         sortBy: sortParams,
+        ...(page && { page }),
+        ...(limit && { limit }),
       });
 
-      const result = await axios.get(
-        `${API_URL}/firebase/get?${query}`,
-        {
-          withCredentials: true,
-          headers: {
-            "Content-Type": "application/json",
-            "X-User-ID": authState.user?.id || "",
-            "X-User-Email": authState.user?.email || "",
-          },
-        }
-      );
+      const result = await axios.get(`${API_URL}/get?${query}`);
 
-      console.log("Products fetched successfully:", result.data);
       return result.data;
     } catch (error) {
-      console.error("Error fetching products:", error);
-      
-      // Debug: Log detailed error info
-      console.error("Error details:", {
-        status: error.response?.status,
-        message: error.response?.data?.message,
-        url: error.config?.url,
-        method: error.config?.method,
-      });
-
-      // Handle different error types
-      if (error.response) {
-        const { status, data } = error.response;
-
-        if (status === 401) {
-          // Run auth debug to understand why auth failed
-          await debugAuthStateAsync();
-          
-          return rejectWithValue({
-            type: "AUTH_ERROR",
-            message: data.message || "Authentication required. Please log in.",
-            code: "UNAUTHORIZED",
-          });
-        }
-
-        if (status === 404) {
-          return rejectWithValue({
-            type: "NOT_FOUND",
-            message: "Products not found",
-            code: "PRODUCTS_NOT_FOUND",
-          });
-        }
-
-        if (status === 500) {
-          return rejectWithValue({
-            type: "SERVER_ERROR",
-            message: data.error || "Server error while fetching products",
-            code: "SERVER_ERROR",
-          });
-        }
-
-        return rejectWithValue({
-          type: "API_ERROR",
-          message: data.message || "Failed to fetch products",
-          code: "API_ERROR",
-        });
-      }
-
-      if (error.code === "ECONNABORTED") {
-        return rejectWithValue({
-          type: "NETWORK_ERROR",
-          message: "Request timeout. Please check your connection.",
-          code: "TIMEOUT",
-        });
-      }
-
-      return rejectWithValue({
-        type: "NETWORK_ERROR",
-        message: error.message || "Network error occurred",
-        code: "NETWORK_ERROR",
-      });
+      return rejectWithValue(
+        toProductError(error, "Failed to fetch products")
+      );
     }
   }
 );
 
-/**
- * Async thunk to fetch product details from Firebase
- */
-export const fetchProductDetails = createAsyncThunk(
-  "/products/fetchProductDetails",
-  async (id, { rejectWithValue }) => {
+// Appends the page after cursor (the last nextCursor) to productList
+export const fetchMoreProducts = createAsyncThunk(
+  "/products/fetchMoreProducts",
+  async ({ filterParams, sortParams, cursor, limit }, { rejectWithValue }) => {
     try {
-      console.log("Fetching product details from Firebase:", id);
+      const query = new URLSearchParams({
+        ...filterParams,
+        sortBy: sortParams,
+        cursor,
+        ...(limit && { limit }),
+      });
 
-      const result = await axios.get(
-        `${API_URL}/firebase/get/${id}`,
-        {
-          withCredentials: true,
-          headers: {
-            "Content-Type": "application/json",
-          },
-        }
-      );
+      const result = await axios.get(`${API_URL}/get?${query}`);
 
-      console.log("Product details fetched:", result.data);
       return result.data;
     } catch (error) {
-      console.error("Error fetching product details:", error);
-
-      if (error.response) {
-        const { status, data } = error.response;
-
-        if (status === 401) {
-          return rejectWithValue({
-            type: "AUTH_ERROR",
-            message: "Authentication required to view product details",
-            code: "UNAUTHORIZED",
-          });
-        }
-
-        if (status === 404) {
-          return rejectWithValue({
-            type: "NOT_FOUND",
-            message: "Product not found",
-            code: "PRODUCT_NOT_FOUND",
-          });
-        }
-
-        return rejectWithValue({
-          type: "SERVER_ERROR",
-          message: data.message || "Failed to fetch product details",
-          code: "SERVER_ERROR",
-        });
-      }
-
-      return rejectWithValue({
-        type: "NETWORK_ERROR",
-        message: error.message || "Network error occurred",
-        code: "NETWORK_ERROR",
-      });
+      return rejectWithValue(
+        toProductError(error, "Failed to fetch more products")
+      );
     }
+  },
+  {
+    condition: ({ cursor }, { getState }) => {
+      const { isLoading, isLoadingMore } = getState().shopProducts;
+      return Boolean(cursor) && !isLoading && !isLoadingMore;
+    },
   }
 );
 
-/**
- * Fallback thunk to fetch products from MongoDB (original implementation)
- */
-export const fetchProductsFromMongoDB = createAsyncThunk(
-  "/products/fetchFromMongoDB",
-  async ({ filterParams, sortParams }, { rejectWithValue }) => {
+export const fetchProductDetails = createAsyncThunk(
+  "/products/fetchProductDetails",
+  async (id, { rejectWithValue }) => {
     try {
-      const query = new URLSearchParams({
-        ...filterParams,
-        sortBy: sortParams,
-      });
-
-      const result = await axios.get(
-        `${API_URL}/get?${query}`
-      );
+      const result = await axios.get(`${API_URL}/get/${id}`);
 
       return result.data;
     } catch (error) {
-      console.error("Error fetching from MongoDB:", error);
-      return rejectWithValue({
-        type: "DATABASE_ERROR",
-        message: error.response?.data?.message || "Failed to fetch products",
-        code: "DATABASE_ERROR",
-      });
+      return rejectWithValue(
+        toProductError(error, "Failed to fetch product details")
+      );
     }
   }
 );
@@ -218,8 +96,6 @@ const shoppingProductSlice = createSlice({
     },
     clearProductErrors: (state) => {
       state.error = null;
-      state.firebaseError = null;
-      state.authError = null;
     },
     clearProductList: (state) => {
       state.productList = [];
@@ -228,33 +104,48 @@ const shoppingProductSlice = createSlice({
   },
   extraReducers: (builder) => {
     builder
-      // Fetch all filtered products
       .addCase(fetchAllFilteredProducts.pending, (state) => {
         state.isLoading = true;
         state.error = null;
-        state.firebaseError = null;
-        state.authError = null;
       })
       .addCase(fetchAllFilteredProducts.fulfilled, (state, action) => {
         state.isLoading = false;
         state.productList = action.payload.data || [];
+        state.total = action.payload.total || 0;
+        state.page = action.payload.page || 1;
+        state.totalPages = action.payload.totalPages || 0;
+        state.nextCursor = action.payload.nextCursor || null;
+        state.facets = action.payload.facets || null;
         state.error = null;
       })
       .addCase(fetchAllFilteredProducts.rejected, (state, action) => {
         state.isLoading = false;
         state.productList = [];
+        state.total = 0;
+        state.totalPages = 0;
+        state.nextCursor = null;
+        state.facets = null;
         state.error = action.payload;
-        
-        // Categorize error for UI handling
-        if (action.payload?.type === "AUTH_ERROR") {
-          state.authError = action.payload;
-        } else if (action.payload?.type === "NOT_FOUND") {
-          state.firebaseError = action.payload;
-        } else {
-          state.error = action.payload;
-        }
       })
-      // Fetch product details
+      .addCase(fetchMoreProducts.pending, (state) => {
+        state.isLoadingMore = true;
+      })
+      .addCase(fetchMoreProducts.fulfilled, (state, action) => {
+        state.isLoadingMore = false;
+        // The list was reloaded (new filters or sort) while this page loaded
+        if (action.meta.arg.cursor !== state.nextCursor) return;
+
+        state.productList = [
+          ...state.productList,
+          ...(action.payload.data || []),
+        ];
+        state.total = action.payload.total || 0;
+        state.nextCursor = action.payload.nextCursor || null;
+      })
+      .addCase(fetchMoreProducts.rejected, (state) => {
+        // Keeps the products already shown, the shopper can try again
+        state.isLoadingMore = false;
+      })
       .addCase(fetchProductDetails.pending, (state) => {
         state.isLoading = true;
         state.error = null;
@@ -268,21 +159,6 @@ const shoppingProductSlice = createSlice({
         state.isLoading = false;
         state.productDetails = null;
         state.error = action.payload;
-      })
-      // MongoDB fallback
-      .addCase(fetchProductsFromMongoDB.pending, (state) => {
-        state.isLoading = true;
-        state.error = null;
-      })
-      .addCase(fetchProductsFromMongoDB.fulfilled, (state, action) => {
-        state.isLoading = false;
-        state.productList = action.payload.data || [];
-        state.error = null;
-      })
-      .addCase(fetchProductsFromMongoDB.rejected, (state, action) => {
-        state.isLoading = false;
-        state.productList = [];
-        state.error = action.payload;
       });
   },
 });
@@ -0,0 +1,61 @@
+import { createSlice, createAsyncThunk } from "@reduxjs/toolkit";
+import axios from "axios";
+
+const initialState = {
+  isLoading: false,
+  profile: null,
+};
+
+export const fetchProfile = createAsyncThunk(
+  "/profile/fetchProfile",
+  async () => {
+    const response = await axios.get(
+      "http://localhost:5000/api/auth/profile",
+      { withCredentials: true }
+    );
+
+    return response.data;
+  }
+);
+
+export const updateProfile = createAsyncThunk(
+  "/profile/updateProfile",
+  async (formData, { rejectWithValue }) => {
+    try {
+      const response = await axios.put(
+        "http://localhost:5000/api/auth/profile",
+        formData,
+        { withCredentials: true }
+      );
+
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(error.response?.data);
+    }
+  }
+);
+
+const profileSlice = createSlice({
+  name: "profileSlice",
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchProfile.pending, (state) => {
+        state.isLoading = true;
+      })
+      .addCase(fetchProfile.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.profile = action.payload.data;
+      })
+      .addCase(fetchProfile.rejected, (state) => {
+        state.isLoading = false;
+        state.profile = null;
+      })
+      .addCase(updateProfile.fulfilled, (state, action) => {
+        state.profile = action.payload.data;
+      });
+  },
+});
+
+export default profileSlice.reducer;
@@ -3,17 +3,40 @@ import axios from "axios";
 
 const initialState = {
   isLoading: false,
+  isLoadingMore: false,
   searchResults: [],
+  total: 0,
+  page: 1,
+  totalPages: 0,
+  latestRequestId: null,
+  error: null,
 };
 
+const toSearchError = (error, fallbackMessage) => ({
+  message: error.response?.data?.message || fallbackMessage,
+  status: error.response?.status,
+});
+
+// Pages after the first are appended to searchResults
 export const getSearchResults = createAsyncThunk(
   "/order/getSearchResults",
-  async (keyword) => {
-    const response = await axios.get(
-      `http://localhost:5000/api/shop/search/${keyword}`
-    );
+  async ({ keyword, sortBy, page = 1 }, { rejectWithValue }) => {
+    try {
+      const query = new URLSearchParams({
+        ...(sortBy && { sortBy }),
+        page,
+      });
 
-    return response.data;
+      const response = await axios.get(
+        `http://localhost:5000/api/shop/search/${encodeURIComponent(
+          keyword
+        )}?${query}`
+      );
+
+      return response.data;
+    } catch (error) {
+      return rejectWithValue(toSearchError(error, "Search failed"));
+    }
   }
 );
 
@@ -22,21 +45,50 @@ const searchSlice = createSlice({
   initialState,
   reducers: {
     resetSearchResults: (state) => {
+      state.isLoading = false;
+      state.isLoadingMore = false;
       state.searchResults = [];
+      state.total = 0;
+      state.page = 1;
+      state.totalPages = 0;
+      state.latestRequestId = null;
+      state.error = null;
     },
   },
   extraReducers: (builder) => {
     builder
-      .addCase(getSearchResults.pending, (state) => {
-        state.isLoading = true;
+      .addCase(getSearchResults.pending, (state, action) => {
+        // Only the latest search updates the results, answers to searches
+        // typed over in the meantime are dropped
+        state.latestRequestId = action.meta.requestId;
+        if (action.meta.arg.page > 1) state.isLoadingMore = true;
+        else state.isLoading = true;
       })
       .addCase(getSearchResults.fulfilled, (state, action) => {
+        if (action.meta.requestId !== state.latestRequestId) return;
+
+        const { data = [], total, page, totalPages } = action.payload;
         state.isLoading = false;
-        state.searchResults = action.payload.data;
+        state.isLoadingMore = false;
+        state.searchResults =
+          page > 1 ? [...state.searchResults, ...data] : data;
+        state.total = total || 0;
+        state.page = page || 1;
+        state.totalPages = totalPages || 0;
+        state.error = null;
       })
-      .addCase(getSearchResults.rejected, (state) => {
+      .addCase(getSearchResults.rejected, (state, action) => {
+        if (action.meta.requestId !== state.latestRequestId) return;
+
         state.isLoading = false;
-        state.searchResults = [];
+        state.isLoadingMore = false;
+        // Keeps the results already shown when a further page fails
+        if (!(action.meta.arg.page > 1)) {
+          state.searchResults = [];
+          state.total = 0;
+          state.totalPages = 0;
+        }
+        state.error = action.payload;
       });
   },
 });
@@ -9,7 +9,9 @@ import shopAddressSlice from "./shop/address-slice";
 import shopOrderSlice from "./shop/order-slice";
 import shopSearchSlice from "./shop/search-slice";
 import shopReviewSlice from "./shop/review-slice";
+import shopProfileSlice from "./shop/profile-slice";
 import commonFeatureSlice from "./common-slice";
+import taxonomySlice from "./taxonomy-slice";
 
 const store = configureStore({
   reducer: {
@@ -24,8 +26,10 @@ const store = configureStore({
     shopOrder: shopOrderSlice,
     shopSearch: shopSearchSlice,
     shopReview: shopReviewSlice,
+    shopProfile: shopProfileSlice,
 
     commonFeature: commonFeatureSlice,
+    taxonomy: taxonomySlice,
   },
 });
 
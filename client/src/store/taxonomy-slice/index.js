@@ -0,0 +1,158 @@
+import { createAsyncThunk, createSlice } from "@reduxjs/toolkit";
+import axios from "axios";
+
+const initialState = {
+  isLoading: false,
+  categories: [],
+  brands: [],
+  error: null,
+};
+
+const API_URL = "http://localhost:5000/api";
+
+const toTaxonomyError = (error, fallbackMessage) => ({
+  message: error.response?.data?.message || fallbackMessage,
+  status: error.response?.status,
+});
+
+export const fetchTaxonomy = createAsyncThunk(
+  "/taxonomy/fetchTaxonomy",
+  async (_, { rejectWithValue }) => {
+    try {
+      const result = await axios.get(`${API_URL}/common/taxonomy`);
+
+      return result.data;
+    } catch (error) {
+      return rejectWithValue(
+        toTaxonomyError(error, "Failed to fetch categories and brands")
+      );
+    }
+  }
+);
+
+// Admin writes, callers fetch the taxonomy again once they succeed
+export const addCategory = createAsyncThunk(
+  "/taxonomy/addCategory",
+  async (formData, { rejectWithValue }) => {
+    try {
+      const result = await axios.post(
+        `${API_URL}/admin/taxonomy/categories/add`,
+        formData,
+        { withCredentials: true }
+      );
+
+      return result.data;
+    } catch (error) {
+      return rejectWithValue(toTaxonomyError(error, "Failed to add category"));
+    }
+  }
+);
+
+export const editCategory = createAsyncThunk(
+  "/taxonomy/editCategory",
+  async ({ id, formData }, { rejectWithValue }) => {
+    try {
+      const result = await axios.put(
+        `${API_URL}/admin/taxonomy/categories/edit/${id}`,
+        formData,
+        { withCredentials: true }
+      );
+
+      return result.data;
+    } catch (error) {
+      return rejectWithValue(toTaxonomyError(error, "Failed to edit category"));
+    }
+  }
+);
+
+export const deleteCategory = createAsyncThunk(
+  "/taxonomy/deleteCategory",
+  async (id, { rejectWithValue }) => {
+    try {
+      const result = await axios.delete(
+        `${API_URL}/admin/taxonomy/categories/delete/${id}`,
+        { withCredentials: true }
+      );
+
+      return result.data;
+    } catch (error) {
+      return rejectWithValue(
+        toTaxonomyError(error, "Failed to delete category")
+      );
+    }
+  }
+);
+
+export const addBrand = createAsyncThunk(
+  "/taxonomy/addBrand",
+  async (formData, { rejectWithValue }) => {
+    try {
+      const result = await axios.post(
+        `${API_URL}/admin/taxonomy/brands/add`,
+        formData,
+        { withCredentials: true }
+      );
+
+      return result.data;
+    } catch (error) {
+      return rejectWithValue(toTaxonomyError(error, "Failed to add brand"));
+    }
+  }
+);
+
+export const editBrand = createAsyncThunk(
+  "/taxonomy/editBrand",
+  async ({ id, formData }, { rejectWithValue }) => {
+    try {
+      const result = await axios.put(
+        `${API_URL}/admin/taxonomy/brands/edit/${id}`,
+        formData,
+        { withCredentials: true }
+      );
+
+      return result.data;
+    } catch (error) {
+      return rejectWithValue(toTaxonomyError(error, "Failed to edit brand"));
+    }
+  }
+);
+
+export const deleteBrand = createAsyncThunk(
+  "/taxonomy/deleteBrand",
+  async (id, { rejectWithValue }) => {
+    try {
+      const result = await axios.delete(
+        `${API_URL}/admin/taxonomy/brands/delete/${id}`,
+        { withCredentials: true }
+      );
+
+      return result.data;
+    } catch (error) {
+      return rejectWithValue(toTaxonomyError(error, "Failed to delete brand"));
+    }
+  }
+);
+
+const taxonomySlice = createSlice({
+  name: "taxonomy",
+  initialState,
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchTaxonomy.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchTaxonomy.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.categories = action.payload.data?.categories || [];
+        state.brands = action.payload.data?.brands || [];
+      })
+      .addCase(fetchTaxonomy.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload;
+      });
+  },
+});
+
+export default taxonomySlice.reducer;
@@ -0,0 +1,181 @@
+// Central server configuration, read once from the environment.
+// Call validateConfig() on startup so production never runs on defaults.
+
+const path = require("path");
+
+const env = process.env.NODE_ENV || "development";
+const isProduction = env === "production";
+
+// Only used outside production so a fresh checkout still starts
+const DEVELOPMENT_JWT_SECRET = "development-only-jwt-secret";
+
+// Hop count ("1"), "true", or a list of trusted addresses
+const parseTrustProxy = (value) => {
+  if (!value) return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value === "true" ? true : value;
+};
+
+const config = {
+  env,
+  isProduction,
+  // Used to build links in emails
+  clientUrl: process.env.CLIENT_URL || "http://localhost:5173",
+  // Express "trust proxy" setting so req.ip is the client behind a proxy
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  // Home page features always live in Firestore, so none exist without it
+  firebaseConfigured: Boolean(process.env.FIREBASE_PROJECT_ID),
+  users: {
+    // "firestore" or "mongo", see helpers/migrate-users.js to move between them
+    // ("memory" keeps users in process memory, for tests)
+    store: process.env.USER_STORE || "firestore",
+  },
+  products: {
+    // "mongo", "firestore" or "memory". Carts, orders and stock reservations
+    // always read products from Mongo, so mirror to it when using Firestore.
+    store: process.env.PRODUCT_STORE || "mongo",
+    // Optional second store that receives a copy of every product write
+    mirrorTo: process.env.PRODUCT_MIRROR_STORE || null,
+  },
+  auth: {
+    jwtSecret:
+      process.env.JWT_SECRET ||
+      (isProduction ? undefined : DEVELOPMENT_JWT_SECRET),
+    accessTokenTtlSeconds:
+      parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60,
+    refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+    cookieSecure:
+      process.env.COOKIE_SECURE !== undefined
+        ? process.env.COOKIE_SECURE === "true"
+        : isProduction,
+    passwordResetTtlMinutes:
+      parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30,
+    emailVerificationTtlHours:
+      parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 24,
+    // Unverified users can browse but not order or review when enabled
+    requireVerifiedEmail: process.env.REQUIRE_VERIFIED_EMAIL !== "false",
+    loginThrottle: {
+      // "memory" (single instance) or "mongo" (shared between instances)
+      store: process.env.LOGIN_THROTTLE_STORE || "memory",
+      windowMinutes:
+        parseInt(process.env.LOGIN_THROTTLE_WINDOW_MINUTES, 10) || 15,
+      // Failures before each further attempt has to wait
+      freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10) || 3,
+      baseDelaySeconds: parseInt(process.env.LOGIN_BASE_DELAY_SECONDS, 10) || 1,
+      maxDelaySeconds: parseInt(process.env.LOGIN_MAX_DELAY_SECONDS, 10) || 30,
+      maxAccountAttempts:
+        parseInt(process.env.LOGIN_MAX_ACCOUNT_ATTEMPTS, 10) || 10,
+      maxIpAttempts: parseInt(process.env.LOGIN_MAX_IP_ATTEMPTS, 10) || 50,
+      lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+    },
+    mfa: {
+      // Name shown in authenticator apps
+      issuer: process.env.MFA_ISSUER || "ECommerce Shopping",
+      // Admins without 2FA must enroll before their first session is issued
+      requireForAdmins: process.env.REQUIRE_ADMIN_MFA === "true",
+      pendingTokenTtlMinutes:
+        parseInt(process.env.MFA_PENDING_TOKEN_TTL_MINUTES, 10) || 5,
+      recoveryCodeCount: 10,
+    },
+  },
+  storage: {
+    // Where uploads go: "firebase", "local" (disk, served by this server)
+    // or "s3" (Amazon S3 or a compatible server such as MinIO)
+    driver: process.env.STORAGE_DRIVER || "firebase",
+    // Largest image file accepted, checked while it is received
+    maxUploadMb: parseFloat(process.env.IMAGE_MAX_UPLOAD_MB) || 10,
+    // Uploads not saved with anything for this long are deleted
+    orphanUploadHours: parseFloat(process.env.UPLOAD_ORPHAN_HOURS) || 24,
+    local: {
+      dir:
+        process.env.UPLOADS_DIR || path.join(__dirname, "..", "uploads"),
+      // Express serves dir here, publicUrl is how browsers reach it
+      publicPath: "/uploads",
+      publicUrl:
+        process.env.UPLOADS_PUBLIC_URL ||
+        `http://localhost:${process.env.PORT || 5000}/uploads`,
+    },
+    s3: {
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION || "us-east-1",
+      // Set for MinIO and other S3 compatible servers
+      endpoint: process.env.S3_ENDPOINT,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      // Defaults to the endpoint (or AWS) URL of the bucket
+      publicUrl: process.env.S3_PUBLIC_URL,
+    },
+  },
+  mail: {
+    // "smtp" or "outbox" (writes messages to disk for development and tests)
+    transport:
+      process.env.MAIL_TRANSPORT || (isProduction ? "smtp" : "outbox"),
+    from: process.env.MAIL_FROM || "ECommerce Shopping <no-reply@localhost>",
+    outboxDir:
+      process.env.MAIL_OUTBOX_DIR || path.join(__dirname, "..", "outbox"),
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    },
+  },
+};
+
+const requiredInProduction = [["auth.jwtSecret", "JWT_SECRET"]];
+
+if (config.mail.transport === "smtp") {
+  requiredInProduction.push(["mail.smtp.host", "SMTP_HOST"]);
+}
+
+if (config.storage.driver === "s3") {
+  requiredInProduction.push(["storage.s3.bucket", "S3_BUCKET"]);
+}
+
+// Numeric settings fall back to their defaults when unset, but a value that
+// is set has to be a positive number
+const positiveNumberSettings = [
+  ["IMAGE_MAX_UPLOAD_MB"],
+  ["UPLOAD_ORPHAN_HOURS"],
+];
+
+const validateConfig = () => {
+  const invalid = positiveNumberSettings
+    .map(([envName]) => envName)
+    .filter(
+      (envName) =>
+        process.env[envName] !== undefined &&
+        !(parseFloat(process.env[envName]) > 0)
+    );
+
+  if (invalid.length) {
+    throw new Error(
+      `Expected a positive number for: ${invalid.join(", ")}`
+    );
+  }
+
+  if (!isProduction) {
+    if (!process.env.JWT_SECRET) {
+      console.warn("⚠️  JWT_SECRET is not set, using the development secret");
+    }
+    return;
+  }
+
+  const missing = requiredInProduction
+    .filter(
+      ([keyPath]) =>
+        keyPath.split(".").reduce((value, key) => value?.[key], config) ===
+        undefined
+    )
+    .map(([, envName]) => envName);
+
+  if (missing.length) {
+    throw new Error(
+      `Missing required configuration in production: ${missing.join(", ")}`
+    );
+  }
+};
+
+module.exports = { config, validateConfig };
@@ -1,4 +1,5 @@
 const Order = require("../../models/Order");
+const { refreshUnitsSold } = require("../../helpers/product-sales");
 
 const getAllOrdersOfAllUsers = async (req, res) => {
   try {
@@ -66,6 +67,11 @@ const updateOrderStatus = async (req, res) => {
 
     await Order.findByIdAndUpdate(id, { orderStatus });
 
+    // Rejecting a paid order (or taking it back) changes its units sold
+    if (order.paymentStatus === "paid" && order.orderStatus !== orderStatus) {
+      await refreshUnitsSold(order.cartItems.map((item) => item.productId));
+    }
+
     res.status(200).json({
       success: true,
       message: "Order status is updated successfully!",
@@ -1,5 +1,39 @@
 const { imageUploadUtil } = require("../../helpers/cloudinary");
-const Product = require("../../models/Product");
+const { ImageValidationError } = require("../../helpers/image-processing");
+const { getProductRepository } = require("../../helpers/product-repository");
+const { validateVariants } = require("../../helpers/product-variants");
+const {
+  deleteRemovedImages,
+  getProductImageUrls,
+} = require("../../helpers/product-images");
+const { attachUploads } = require("../../helpers/uploads");
+
+// Format response to match expected structure
+const toUploadResult = (result) => ({
+  url: result.url,
+  public_id: result.fileName,
+  secure_url: result.url,
+  original_filename: result.originalName,
+  bytes: result.size,
+  format: result.contentType,
+  resource_type: "image",
+  renditions: result.renditions,
+});
+
+const sendUploadError = (res, error) => {
+  if (error instanceof ImageValidationError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  console.error("Image upload error:", error);
+  res.status(500).json({
+    success: false,
+    message: "Error uploading image: " + error.message,
+  });
+};
 
 const handleImageUpload = async (req, res) => {
   try {
@@ -13,27 +47,36 @@ const handleImageUpload = async (req, res) => {
     // Upload file to Firebase Storage
     const result = await imageUploadUtil(req.file, "products");
 
-    // Format response to match expected structure
-    const formattedResult = {
-      url: result.url,
-      public_id: result.fileName,
-      secure_url: result.url,
-      original_filename: result.originalName,
-      bytes: result.size,
-      format: result.contentType,
-      resource_type: "image",
-    };
-
     res.json({
       success: true,
-      result: formattedResult,
+      result: toUploadResult(result),
     });
   } catch (error) {
-    console.error("Image upload error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Error uploading image: " + error.message,
+    sendUploadError(res, error);
+  }
+};
+
+// Gallery uploads, results are in the order the files were sent
+const handleImagesUpload = async (req, res) => {
+  try {
+    if (!req.files?.length) {
+      return res.status(400).json({
+        success: false,
+        message: "No files provided",
+      });
+    }
+
+    const results = [];
+    for (const file of req.files) {
+      results.push(toUploadResult(await imageUploadUtil(file, "products")));
+    }
+
+    res.json({
+      success: true,
+      results,
     });
+  } catch (error) {
+    sendUploadError(res, error);
   }
 };
 
@@ -42,6 +85,7 @@ const addProduct = async (req, res) => {
   try {
     const {
       image,
+      images,
       title,
       description,
       category,
@@ -50,12 +94,23 @@ const addProduct = async (req, res) => {
       salePrice,
       totalStock,
       averageReview,
+      options = [],
+      variants = [],
     } = req.body;
 
     console.log(averageReview, "averageReview");
 
-    const newlyCreatedProduct = new Product({
+    const variantError = validateVariants(options, variants);
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError,
+      });
+    }
+
+    const newlyCreatedProduct = await getProductRepository().create({
       image,
+      images,
       title,
       description,
       category,
@@ -64,9 +119,12 @@ const addProduct = async (req, res) => {
       salePrice,
       totalStock,
       averageReview,
+      options,
+      // Reservations are only made by checkouts
+      variants: variants.map(({ reservedStock, ...variant }) => variant),
     });
+    await attachUploads(getProductImageUrls(newlyCreatedProduct));
 
-    await newlyCreatedProduct.save();
     res.status(201).json({
       success: true,
       data: newlyCreatedProduct,
@@ -84,7 +142,7 @@ const addProduct = async (req, res) => {
 
 const fetchAllProducts = async (req, res) => {
   try {
-    const listOfProducts = await Product.find({});
+    const { items: listOfProducts } = await getProductRepository().list({});
     res.status(200).json({
       success: true,
       data: listOfProducts,
@@ -104,6 +162,7 @@ const editProduct = async (req, res) => {
     const { id } = req.params;
     const {
       image,
+      images,
       title,
       description,
       category,
@@ -112,30 +171,55 @@ const editProduct = async (req, res) => {
       salePrice,
       totalStock,
       averageReview,
+      options,
+      variants,
     } = req.body;
 
-    let findProduct = await Product.findById(id);
+    const productRepository = getProductRepository();
+    const findProduct = await productRepository.findById(id);
     if (!findProduct)
       return res.status(404).json({
         success: false,
         message: "Product not found",
       });
 
-    findProduct.title = title || findProduct.title;
-    findProduct.description = description || findProduct.description;
-    findProduct.category = category || findProduct.category;
-    findProduct.brand = brand || findProduct.brand;
-    findProduct.price = price === "" ? 0 : price || findProduct.price;
-    findProduct.salePrice =
-      salePrice === "" ? 0 : salePrice || findProduct.salePrice;
-    findProduct.totalStock = totalStock || findProduct.totalStock;
-    findProduct.image = image || findProduct.image;
-    findProduct.averageReview = averageReview || findProduct.averageReview;
-
-    await findProduct.save();
+    // Forms that do not send options keep the stored ones
+    const nextOptions = options || findProduct.options;
+    const nextVariants = variants || findProduct.variants;
+    const variantError = validateVariants(nextOptions, nextVariants);
+    if (variantError) {
+      return res.status(400).json({
+        success: false,
+        message: variantError,
+      });
+    }
+
+    const updatedProduct = await productRepository.update(id, {
+      title: title || findProduct.title,
+      description: description || findProduct.description,
+      category: category || findProduct.category,
+      brand: brand || findProduct.brand,
+      price: price === "" ? 0 : price || findProduct.price,
+      salePrice: salePrice === "" ? 0 : salePrice || findProduct.salePrice,
+      totalStock: totalStock || findProduct.totalStock,
+      image: image || findProduct.image,
+      // Forms that do not send a gallery keep the stored one
+      images,
+      averageReview: averageReview || findProduct.averageReview,
+      options: nextOptions,
+      // The repository keeps the stored reservations of these variants
+      variants: nextVariants,
+    });
+
+    await attachUploads(getProductImageUrls(updatedProduct));
+    await deleteRemovedImages(
+      findProduct.images,
+      getProductImageUrls(updatedProduct)
+    );
+
     res.status(200).json({
       success: true,
-      data: findProduct,
+      data: updatedProduct,
     });
   } catch (e) {
     console.log(e);
@@ -150,14 +234,18 @@ const editProduct = async (req, res) => {
 const deleteProduct = async (req, res) => {
   try {
     const { id } = req.params;
-    const product = await Product.findByIdAndDelete(id);
+    const productRepository = getProductRepository();
+    const product = await productRepository.findById(id);
+    const deleted = product && (await productRepository.delete(id));
 
-    if (!product)
+    if (!deleted)
       return res.status(404).json({
         success: false,
         message: "Product not found",
       });
 
+    await deleteRemovedImages(product.images);
+
     res.status(200).json({
       success: true,
       message: "Product delete successfully",
@@ -173,6 +261,7 @@ const deleteProduct = async (req, res) => {
 
 module.exports = {
   handleImageUpload,
+  handleImagesUpload,
   addProduct,
   fetchAllProducts,
   editProduct,
@@ -0,0 +1,272 @@
+const mongoose = require("mongoose");
+const Category = require("../../models/Category");
+const Brand = require("../../models/Brand");
+const { getProductRepository } = require("../../helpers/product-repository");
+const {
+  slugify,
+  toCategory,
+  toBrand,
+  getCategorySubtreeIds,
+} = require("../../helpers/taxonomy");
+const { attachUploads } = require("../../helpers/uploads");
+
+// Products are filtered by comma separated slugs, so a slug cannot hold one
+const readTaxonomyFields = (body) => {
+  const name = String(body.name || "").trim();
+  const slug = String(body.slug || "").trim() || slugify(name);
+
+  if (!name) return { error: "Name is required" };
+  if (!slug || slug.includes(",")) {
+    return { error: "Slug is required and cannot contain commas" };
+  }
+
+  return {
+    fields: {
+      name,
+      slug,
+      image: body.image || "",
+      icon: body.icon || "",
+      sortOrder: Number(body.sortOrder) || 0,
+    },
+  };
+};
+
+const countProducts = async (filterKey, slug) => {
+  const { total } = await getProductRepository().list({
+    [filterKey]: [slug],
+    limit: 1,
+  });
+
+  return total;
+};
+
+// Products keep the slug, so renaming one moves its products along
+const moveProducts = async (field, filterKey, fromSlug, toSlug) => {
+  const productRepository = getProductRepository();
+  const { items } = await productRepository.list({ [filterKey]: [fromSlug] });
+
+  for (const product of items) {
+    await productRepository.update(product.id, { [field]: toSlug });
+  }
+};
+
+const sendError = (res, status, message) =>
+  res.status(status).json({
+    success: false,
+    message,
+  });
+
+const handleWriteError = (res, e, entity) => {
+  if (e.code === 11000) {
+    return sendError(res, 409, `A ${entity} with this slug already exists`);
+  }
+
+  console.log(e);
+  sendError(res, 500, "Some error occured");
+};
+
+// Resolves the parent sent by the admin form, "" or "none" for top level
+const readParent = async (parent) => {
+  if (!parent || parent === "none") return { parent: null };
+
+  if (
+    !mongoose.isValidObjectId(parent) ||
+    !(await Category.exists({ _id: parent }))
+  ) {
+    return { error: "Parent category not found" };
+  }
+
+  return { parent };
+};
+
+const addCategory = async (req, res) => {
+  try {
+    const { fields, error } = readTaxonomyFields(req.body);
+    if (error) return sendError(res, 400, error);
+
+    const parent = await readParent(req.body.parent);
+    if (parent.error) return sendError(res, 400, parent.error);
+
+    const category = await Category.create({
+      ...fields,
+      parent: parent.parent,
+    });
+    await attachUploads([category.image]);
+
+    res.status(201).json({
+      success: true,
+      data: toCategory(category.toObject()),
+    });
+  } catch (e) {
+    handleWriteError(res, e, "category");
+  }
+};
+
+const editCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const category = mongoose.isValidObjectId(id)
+      ? await Category.findById(id).lean()
+      : null;
+
+    if (!category) return sendError(res, 404, "Category not found");
+
+    const { fields, error } = readTaxonomyFields(req.body);
+    if (error) return sendError(res, 400, error);
+
+    const parent = await readParent(req.body.parent);
+    if (parent.error) return sendError(res, 400, parent.error);
+
+    if (parent.parent) {
+      const categories = (await Category.find({}).lean()).map(toCategory);
+
+      if (getCategorySubtreeIds(categories, id).has(String(parent.parent))) {
+        return sendError(
+          res,
+          400,
+          "A category cannot be moved under itself or its subcategories"
+        );
+      }
+    }
+
+    const updated = await Category.findByIdAndUpdate(
+      id,
+      { $set: { ...fields, parent: parent.parent } },
+      { new: true }
+    ).lean();
+    await attachUploads([updated.image]);
+
+    if (updated.slug !== category.slug) {
+      await moveProducts("category", "categories", category.slug, updated.slug);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toCategory(updated),
+    });
+  } catch (e) {
+    handleWriteError(res, e, "category");
+  }
+};
+
+const deleteCategory = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const category = mongoose.isValidObjectId(id)
+      ? await Category.findById(id).lean()
+      : null;
+
+    if (!category) return sendError(res, 404, "Category not found");
+
+    if (await Category.exists({ parent: id })) {
+      return sendError(res, 409, "Move or delete its subcategories first");
+    }
+
+    const productCount = await countProducts("categories", category.slug);
+    if (productCount) {
+      return sendError(
+        res,
+        409,
+        `${productCount} products still use this category`
+      );
+    }
+
+    await Category.findByIdAndDelete(id);
+
+    res.status(200).json({
+      success: true,
+      message: "Category deleted successfully",
+    });
+  } catch (e) {
+    console.log(e);
+    sendError(res, 500, "Some error occured");
+  }
+};
+
+const addBrand = async (req, res) => {
+  try {
+    const { fields, error } = readTaxonomyFields(req.body);
+    if (error) return sendError(res, 400, error);
+
+    const brand = await Brand.create(fields);
+    await attachUploads([brand.image]);
+
+    res.status(201).json({
+      success: true,
+      data: toBrand(brand.toObject()),
+    });
+  } catch (e) {
+    handleWriteError(res, e, "brand");
+  }
+};
+
+const editBrand = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const brand = mongoose.isValidObjectId(id)
+      ? await Brand.findById(id).lean()
+      : null;
+
+    if (!brand) return sendError(res, 404, "Brand not found");
+
+    const { fields, error } = readTaxonomyFields(req.body);
+    if (error) return sendError(res, 400, error);
+
+    const updated = await Brand.findByIdAndUpdate(
+      id,
+      { $set: fields },
+      { new: true }
+    ).lean();
+    await attachUploads([updated.image]);
+
+    if (updated.slug !== brand.slug) {
+      await moveProducts("brand", "brands", brand.slug, updated.slug);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: toBrand(updated),
+    });
+  } catch (e) {
+    handleWriteError(res, e, "brand");
+  }
+};
+
+const deleteBrand = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const brand = mongoose.isValidObjectId(id)
+      ? await Brand.findById(id).lean()
+      : null;
+
+    if (!brand) return sendError(res, 404, "Brand not found");
+
+    const productCount = await countProducts("brands", brand.slug);
+    if (productCount) {
+      return sendError(
+        res,
+        409,
+        `${productCount} products still use this brand`
+      );
+    }
+
+    await Brand.findByIdAndDelete(id);
+
+    res.status(200).json({
+      success: true,
+      message: "Brand deleted successfully",
+    });
+  } catch (e) {
+    console.log(e);
+    sendError(res, 500, "Some error occured");
+  }
+};
+
+module.exports = {
+  addCategory,
+  editCategory,
+  deleteCategory,
+  addBrand,
+  editBrand,
+  deleteBrand,
+};
@@ -0,0 +1,39 @@
+const { getUserRepository } = require("../../helpers/user-repository");
+const { unlockAccount } = require("../../helpers/login-throttle");
+
+const unlockUserAccount = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const user = await getUserRepository().findById(userId);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found!",
+      });
+    }
+
+    const { wasLocked } = await unlockAccount({
+      email: user.email,
+      userId,
+      actorId: req.user.id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: wasLocked
+        ? "Account unlocked successfully!"
+        : "Account was not locked, login attempts have been reset",
+      data: { userId, wasLocked },
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+module.exports = { unlockUserAccount };
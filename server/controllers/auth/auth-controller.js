@@ -1,37 +1,164 @@
+const crypto = require("crypto");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
-const { db } = require("../../helpers/firebase");
+const QRCode = require("qrcode");
+const {
+  DELETE_FIELD,
+  getUserRepository,
+} = require("../../helpers/user-repository");
+const { config } = require("../../config");
+const { sendMail } = require("../../helpers/mailer");
+const {
+  passwordResetEmail,
+  emailVerificationEmail,
+} = require("../../helpers/mail-templates");
+const {
+  REFRESH_COOKIE,
+  ACCESS_COOKIE,
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signMfaPendingToken,
+  verifyMfaPendingToken,
+  createRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+  setAuthCookies,
+  clearAuthCookies,
+} = require("../../helpers/auth-tokens");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+} = require("../../helpers/login-throttle");
+const { recordAuthEvent } = require("../../helpers/auth-audit");
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpAuthUri,
+} = require("../../helpers/totp");
+
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+// Same message for unknown emails and wrong passwords to prevent enumeration
+const INVALID_CREDENTIALS_MESSAGE =
+  "Invalid email or password! Please try again";
+
+let dummyPasswordHash = null;
+const getDummyPasswordHash = () => {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = bcrypt.hash(crypto.randomBytes(16).toString("hex"), 12);
+  }
+  return dummyPasswordHash;
+};
+
+const formatRetryAfter = (seconds) => {
+  const [amount, unit] =
+    seconds < 60 ? [seconds, "second"] : [Math.ceil(seconds / 60), "minute"];
+  return `${amount} ${unit}${amount === 1 ? "" : "s"}`;
+};
+
+//public user fields carried in the access token and auth responses
+const toSessionUser = (storedUser) => ({
+  email: storedUser.email,
+  role: storedUser.role,
+  id: storedUser.id,
+  userName: storedUser.userName,
+  // Accounts created before email verification existed count as verified
+  emailVerified: storedUser.emailVerified !== false,
+  mfaEnabled: storedUser.mfa?.enabled === true,
+});
+
+// Issues access and refresh cookies and responds with the session user
+const startSession = async (res, storedUser, body = {}) => {
+  const user = toSessionUser(storedUser);
+
+  const accessToken = signAccessToken(user);
+  const refreshToken = await createRefreshToken(user.id);
+
+  setAuthCookies(res, { accessToken, refreshToken }).json({
+    success: true,
+    ...body,
+    user,
+  });
+};
+
+const sendTooManyAttempts = (res, { retryAfterSeconds }) => {
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    success: false,
+    message: `Too many login attempts! Please try again in ${formatRetryAfter(
+      retryAfterSeconds
+    )}`,
+  });
+};
+
+const sendVerificationEmail = ({ id, email, userName }) => {
+  const token = signEmailVerificationToken({ id, email });
+
+  return sendMail({
+    to: email,
+    ...emailVerificationEmail({
+      userName,
+      verifyUrl: `${config.clientUrl}/auth/verify-email?token=${token}`,
+      expiresInHours: config.auth.emailVerificationTtlHours,
+    }),
+  });
+};
+
+const emailTakenResponse = {
+  success: false,
+  message: "User Already exists with the same email! Please try again",
+};
 
 //register
 const registerUser = async (req, res) => {
   const { userName, email, password } = req.body;
 
+  if (typeof email !== "string" || !EMAIL_PATTERN.test(email))
+    return res.status(400).json({
+      success: false,
+      message: "Please enter a valid email address",
+    });
+
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH)
+    return res.status(400).json({
+      success: false,
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+
   try {
-    const usersRef = db.collection("users");
-    const snapshot = await usersRef.where("email", "==", email).get();
+    const users = getUserRepository();
 
-    if (!snapshot.empty)
-      return res.json({
-        success: false,
-        message: "User Already exists with the same email! Please try again",
-      });
+    if (await users.findByEmail(email)) return res.json(emailTakenResponse);
 
     const hashPassword = await bcrypt.hash(password, 12);
-    const newUser = {
+    const newUser = await users.create({
       userName,
       email,
       password: hashPassword,
       role: "user", // Default role
+      emailVerified: false,
       createdAt: new Date().toISOString(),
-    };
+    });
 
-    await usersRef.add(newUser);
+    // The account exists even if the email fails; the user can resend it
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (mailError) {
+      console.log(mailError);
+    }
 
     res.status(200).json({
       success: true,
-      message: "Registration successful",
+      message:
+        "Registration successful. Please check your email to verify your account",
     });
   } catch (e) {
+    if (e.code === "EMAIL_TAKEN") return res.json(emailTakenResponse);
+
     console.log(e);
     res.status(500).json({
       success: false,
@@ -44,49 +171,104 @@ const registerUser = async (req, res) => {
 const loginUser = async (req, res) => {
   const { email, password } = req.body;
 
+  if (typeof email !== "string" || typeof password !== "string")
+    return res.status(400).json({
+      success: false,
+      message: "Email and password are required",
+    });
+
   try {
-    const usersRef = db.collection("users");
-    const snapshot = await usersRef.where("email", "==", email).get();
+    const throttle = await checkLoginAllowed({ ip: req.ip, email });
 
-    if (snapshot.empty)
-      return res.json({
-        success: false,
-        message: "User doesn't exists! Please register first",
-      });
+    if (!throttle.allowed) return sendTooManyAttempts(res, throttle);
 
-    const userDoc = snapshot.docs[0];
-    const userData = userDoc.data();
+    const storedUser = await getUserRepository().findByEmail(email);
 
+    // Compare against a dummy hash for unknown emails so response times do
+    // not reveal which accounts exist
     const checkPasswordMatch = await bcrypt.compare(
-      password,
-      userData.password
+      String(password || ""),
+      storedUser ? storedUser.password : await getDummyPasswordHash()
     );
-    if (!checkPasswordMatch)
-      return res.json({
+
+    if (!storedUser || !checkPasswordMatch) {
+      await recordLoginFailure({ ip: req.ip, email, userId: storedUser?.id });
+      return res.status(401).json({
         success: false,
-        message: "Incorrect password! Please try again",
+        message: INVALID_CREDENTIALS_MESSAGE,
       });
+    }
 
-    const token = jwt.sign(
-      {
-        id: userDoc.id,
-        role: userData.role,
-        email: userData.email,
-        userName: userData.userName,
-      },
-      "CLIENT_SECRET_KEY",
-      { expiresIn: "60m" }
-    );
+    const { mfa, role } = storedUser;
+    const mfaSetupRequired =
+      !mfa?.enabled && role === "admin" && config.auth.mfa.requireForAdmins;
+
+    // The password was right but the session waits for the second factor,
+    // so the throttle counters are only reset once that succeeds too
+    if (mfa?.enabled || mfaSetupRequired) {
+      return res.status(200).json({
+        success: true,
+        message: mfaSetupRequired
+          ? "Set up two-factor authentication to continue"
+          : "Enter your authentication code to continue",
+        mfaRequired: !mfaSetupRequired,
+        mfaSetupRequired,
+        mfaToken: signMfaPendingToken({
+          id: storedUser.id,
+          setupRequired: mfaSetupRequired,
+        }),
+      });
+    }
+
+    await recordLoginSuccess({ email });
+    await startSession(res, storedUser, { message: "Logged in successfully" });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured",
+    });
+  }
+};
+
+//refresh
+const refreshSession = async (req, res) => {
+  const presentedToken = req.cookies[REFRESH_COOKIE];
+  if (!presentedToken)
+    return res.status(401).json({
+      success: false,
+      message: "Unauthorised user!",
+    });
+
+  try {
+    const rotation = await rotateRefreshToken(presentedToken);
+
+    if (rotation.error) {
+      return clearAuthCookies(res).status(401).json({
+        success: false,
+        message: "Session expired! Please login again",
+      });
+    }
 
-    res.cookie("token", token, { httpOnly: true, secure: false }).json({
+    const storedUser = await getUserRepository().findById(rotation.userId);
+
+    if (!storedUser) {
+      await revokeRefreshToken(rotation.refreshToken);
+      return clearAuthCookies(res).status(401).json({
+        success: false,
+        message: "Unauthorised user!",
+      });
+    }
+
+    const user = toSessionUser(storedUser);
+
+    setAuthCookies(res, {
+      accessToken: signAccessToken(user),
+      refreshToken: rotation.refreshToken,
+    }).json({
       success: true,
-      message: "Logged in successfully",
-      user: {
-        email: userData.email,
-        role: userData.role,
-        id: userDoc.id,
-        userName: userData.userName,
-      },
+      message: "Session refreshed",
+      user,
     });
   } catch (e) {
     console.log(e);
@@ -99,13 +281,731 @@ const loginUser = async (req, res) => {
 
 //logout
 
-const logoutUser = (req, res) => {
-  res.clearCookie("token").json({
+const logoutUser = async (req, res) => {
+  try {
+    const presentedToken = req.cookies[REFRESH_COOKIE];
+    if (presentedToken) await revokeRefreshToken(presentedToken);
+  } catch (e) {
+    console.log(e);
+  }
+
+  clearAuthCookies(res).json({
     success: true,
     message: "Logged out successfully!",
   });
 };
 
+//verify email
+const verifyEmail = async (req, res) => {
+  const { token } = req.body;
+
+  const invalidLinkResponse = {
+    success: false,
+    message: "Verification link is invalid or has expired",
+  };
+
+  if (!token) return res.status(400).json(invalidLinkResponse);
+
+  let decoded;
+  try {
+    decoded = verifyEmailVerificationToken(token);
+  } catch (error) {
+    return res.status(400).json(invalidLinkResponse);
+  }
+
+  try {
+    const users = getUserRepository();
+    let storedUser = await users.findById(decoded.sub);
+
+    // The link is only valid for the address it was sent to
+    if (!storedUser || storedUser.email !== decoded.email)
+      return res.status(400).json(invalidLinkResponse);
+
+    if (storedUser.emailVerified === false) {
+      storedUser = await users.update(storedUser.id, {
+        emailVerified: true,
+        emailVerifiedAt: new Date().toISOString(),
+      });
+    }
+
+    const user = toSessionUser(storedUser);
+
+    // Refresh the access token of a signed in user so the claim updates now
+    let signedInUser = null;
+    try {
+      signedInUser = verifyAccessToken(req.cookies[ACCESS_COOKIE]);
+    } catch (error) {
+      signedInUser = null;
+    }
+
+    if (signedInUser?.id === user.id) {
+      setAuthCookies(res, { accessToken: signAccessToken(user) });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+      user: signedInUser?.id === user.id ? user : undefined,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured",
+    });
+  }
+};
+
+//resend verification email
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const storedUser = await getUserRepository().findById(req.user.id);
+
+    if (!storedUser)
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+
+    const user = toSessionUser(storedUser);
+
+    if (user.emailVerified)
+      return res.status(200).json({
+        success: true,
+        message: "Your email is already verified",
+      });
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured",
+    });
+  }
+};
+
+//forgot password
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  // Same response whether or not the account exists, to avoid enumeration
+  const genericResponse = {
+    success: true,
+    message: "If an account exists for that email, a reset link has been sent",
+  };
+
+  if (!email || typeof email !== "string")
+    return res.status(400).json({
+      success: false,
+      message: "Email is required",
+    });
+
+  try {
+    const users = getUserRepository();
+    const storedUser = await users.findByEmail(email);
+
+    if (!storedUser) return res.status(200).json(genericResponse);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    const expiresInMinutes = config.auth.passwordResetTtlMinutes;
+
+    // Only the hash is stored; a new request replaces any earlier token
+    await users.update(storedUser.id, {
+      passwordReset: {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(
+          Date.now() + expiresInMinutes * 60 * 1000
+        ).toISOString(),
+        requestedAt: new Date().toISOString(),
+      },
+    });
+
+    await sendMail({
+      to: email,
+      ...passwordResetEmail({
+        userName: storedUser.userName,
+        resetUrl: `${config.clientUrl}/auth/reset?token=${token}`,
+        expiresInMinutes,
+      }),
+    });
+
+    res.status(200).json(genericResponse);
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured",
+    });
+  }
+};
+
+//reset password
+const resetPassword = async (req, res) => {
+  const { token, password } = req.body;
+
+  // Strings only, so a JSON object cannot pass for a token or a password
+  if (
+    !token ||
+    !password ||
+    typeof token !== "string" ||
+    typeof password !== "string"
+  )
+    return res.status(400).json({
+      success: false,
+      message: "Token and new password are required",
+    });
+
+  if (password.length < MIN_PASSWORD_LENGTH)
+    return res.status(400).json({
+      success: false,
+      message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    });
+
+  const invalidLinkResponse = {
+    success: false,
+    message: "Reset link is invalid or has expired",
+  };
+
+  try {
+    const tokenHash = hashToken(token);
+    const users = getUserRepository();
+    const storedUser = await users.findByPasswordResetTokenHash(tokenHash);
+
+    if (!storedUser) return res.status(400).json(invalidLinkResponse);
+
+    const hashPassword = await bcrypt.hash(password, 12);
+
+    // Re-checked atomically with the update so the token works only once
+    const resetUser = await users.updateWith(
+      storedUser.id,
+      ({ passwordReset }) => {
+        if (
+          !passwordReset ||
+          passwordReset.tokenHash !== tokenHash ||
+          new Date(passwordReset.expiresAt) <= new Date()
+        )
+          return null;
+
+        return {
+          password: hashPassword,
+          passwordReset: DELETE_FIELD,
+          passwordChangedAt: new Date().toISOString(),
+        };
+      }
+    );
+
+    if (!resetUser) return res.status(400).json(invalidLinkResponse);
+
+    await revokeUserRefreshTokens(resetUser.id);
+
+    res.status(200).json({
+      success: true,
+      message: "Password has been reset. Please login with your new password",
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured",
+    });
+  }
+};
+
+//profile fields returned by the profile endpoints
+const toProfile = (storedUser) => ({
+  ...toSessionUser(storedUser),
+  createdAt: storedUser.createdAt,
+});
+
+//get profile
+const getProfile = async (req, res) => {
+  try {
+    const storedUser = await getUserRepository().findById(req.user.id);
+
+    if (!storedUser)
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+
+    res.status(200).json({
+      success: true,
+      data: toProfile(storedUser),
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured",
+    });
+  }
+};
+
+//update profile, email and password changes need the current password
+const updateProfile = async (req, res) => {
+  const { userName, email, currentPassword, newPassword } = req.body;
+
+  try {
+    const users = getUserRepository();
+    const userData = await users.findById(req.user.id);
+
+    if (!userData)
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+
+    const updates = {};
+
+    if (userName !== undefined) {
+      const trimmedUserName = String(userName).trim();
+
+      if (!trimmedUserName)
+        return res.status(400).json({
+          success: false,
+          message: "User name cannot be empty",
+        });
+
+      if (trimmedUserName !== userData.userName)
+        updates.userName = trimmedUserName;
+    }
+
+    if (email !== undefined) {
+      const trimmedEmail = String(email).trim();
+
+      if (!EMAIL_PATTERN.test(trimmedEmail))
+        return res.status(400).json({
+          success: false,
+          message: "Please enter a valid email address",
+        });
+
+      if (trimmedEmail !== userData.email) {
+        updates.email = trimmedEmail;
+        updates.emailVerified = false;
+        updates.emailVerifiedAt = DELETE_FIELD;
+      }
+    }
+
+    if (newPassword) {
+      if (newPassword.length < MIN_PASSWORD_LENGTH)
+        return res.status(400).json({
+          success: false,
+          message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+        });
+
+      updates.password = await bcrypt.hash(newPassword, 12);
+      updates.passwordChangedAt = new Date().toISOString();
+    }
+
+    if (!Object.keys(updates).length)
+      return res.status(200).json({
+        success: true,
+        message: "No changes to save",
+        data: toProfile(userData),
+      });
+
+    // Guessing the current password here counts like a failed login
+    if (updates.email || updates.password) {
+      const throttle = await checkLoginAllowed({
+        ip: req.ip,
+        email: userData.email,
+      });
+      if (!throttle.allowed) return sendTooManyAttempts(res, throttle);
+
+      const checkPasswordMatch =
+        Boolean(currentPassword) &&
+        (await bcrypt.compare(String(currentPassword), userData.password));
+
+      if (!checkPasswordMatch) {
+        await recordLoginFailure({
+          ip: req.ip,
+          email: userData.email,
+          userId: userData.id,
+        });
+        return res.status(400).json({
+          success: false,
+          message: "Current password is incorrect! Please try again",
+        });
+      }
+    }
+
+    // The repository rejects an email that belongs to another user
+    const updatedUser = await users.update(userData.id, updates);
+    const user = toSessionUser(updatedUser);
+
+    if (updates.email) {
+      await recordAuthEvent({
+        type: "email_changed",
+        userId: user.id,
+        email: user.email,
+        ip: req.ip,
+        details: { previousEmail: userData.email },
+      });
+
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        console.log(mailError);
+      }
+    }
+
+    const body = {
+      message: updates.email
+        ? "Profile updated. Please check your new email address to verify it"
+        : "Profile updated successfully",
+      data: toProfile(updatedUser),
+    };
+
+    // Sign out every other device after a password change
+    if (updates.password) {
+      await revokeUserRefreshTokens(user.id);
+      await recordAuthEvent({
+        type: "password_changed",
+        userId: user.id,
+        email: user.email,
+        ip: req.ip,
+      });
+      return startSession(res, updatedUser, body);
+    }
+
+    setAuthCookies(res, { accessToken: signAccessToken(user) }).json({
+      success: true,
+      ...body,
+      user,
+    });
+  } catch (e) {
+    if (e.code === "EMAIL_TAKEN")
+      return res.status(409).json(emailTakenResponse);
+
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured",
+    });
+  }
+};
+
+//two-factor authentication helpers
+const generateRecoveryCodes = () =>
+  Array.from({ length: config.auth.mfa.recoveryCodeCount }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[^0-9a-f]/g, "");
+
+/**
+ * Checks a TOTP code or a recovery code against the user's enrolled 2FA
+ * atomically with recording its use, so a TOTP code cannot be replayed and
+ * a recovery code can only be used once. Returns the method used or null.
+ */
+const consumeSecondFactor = async (userId, { code, recoveryCode }) => {
+  let method = null;
+
+  // The callback may run again if the user changed concurrently
+  await getUserRepository().updateWith(userId, ({ mfa }) => {
+    method = null;
+
+    if (!mfa?.enabled) return null;
+
+    if (recoveryCode) {
+      const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+
+      if (!mfa.recoveryCodeHashes?.includes(codeHash)) return null;
+
+      method = "recovery_code";
+      return {
+        "mfa.recoveryCodeHashes": mfa.recoveryCodeHashes.filter(
+          (hash) => hash !== codeHash
+        ),
+      };
+    }
+
+    const step = verifyTotp(mfa.secret, code);
+
+    if (step === null || step <= (mfa.lastUsedStep ?? -1)) return null;
+
+    method = "totp";
+    return { "mfa.lastUsedStep": step };
+  });
+
+  return method;
+};
+
+const invalidMfaTokenResponse = {
+  success: false,
+  message: "Your sign in attempt has expired! Please login again",
+};
+
+//second login step for users with 2FA enabled
+const verifyMfaLogin = async (req, res) => {
+  const { mfaToken, code, recoveryCode } = req.body;
+
+  let pending;
+  try {
+    pending = verifyMfaPendingToken(mfaToken);
+  } catch (error) {
+    return res.status(401).json(invalidMfaTokenResponse);
+  }
+
+  if (pending.setupRequired)
+    return res.status(400).json({
+      success: false,
+      message: "Two-factor authentication has to be set up first",
+    });
+
+  try {
+    const storedUser = await getUserRepository().findById(pending.sub);
+
+    if (!storedUser) return res.status(401).json(invalidMfaTokenResponse);
+
+    const { email } = storedUser;
+
+    const throttle = await checkLoginAllowed({ ip: req.ip, email });
+    if (!throttle.allowed) return sendTooManyAttempts(res, throttle);
+
+    const method = await consumeSecondFactor(storedUser.id, {
+      code,
+      recoveryCode,
+    });
+
+    if (!method) {
+      await recordLoginFailure({ ip: req.ip, email, userId: storedUser.id });
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code! Please try again",
+      });
+    }
+
+    if (method === "recovery_code") {
+      await recordAuthEvent({
+        type: "mfa_recovery_code_used",
+        userId: storedUser.id,
+        email,
+        ip: req.ip,
+      });
+    }
+
+    await recordLoginSuccess({ email });
+    await startSession(res, storedUser, { message: "Logged in successfully" });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured",
+    });
+  }
+};
+
+//start 2FA enrollment, returns a new secret as otpauth URI and QR code
+const setupMfa = async (req, res) => {
+  try {
+    const users = getUserRepository();
+    const storedUser = await users.findById(req.user.id);
+
+    if (!storedUser)
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+
+    const { email, mfa } = storedUser;
+
+    if (mfa?.enabled)
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      });
+
+    // Kept pending until the user proves the app is set up with a code
+    const secret = generateTotpSecret();
+    await users.update(storedUser.id, { "mfa.pendingSecret": secret });
+
+    const otpauthUri = buildOtpAuthUri({
+      secret,
+      accountName: email,
+      issuer: config.auth.mfa.issuer,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri,
+        qrCodeDataUrl: await QRCode.toDataURL(otpauthUri),
+      },
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured",
+    });
+  }
+};
+
+//confirm 2FA enrollment with a first code, returns the recovery codes once
+const enableMfa = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const users = getUserRepository();
+    const storedUser = await users.findById(req.user.id);
+    const mfa = storedUser?.mfa;
+
+    if (!mfa?.pendingSecret)
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor authentication setup first",
+      });
+
+    const step = verifyTotp(mfa.pendingSecret, code);
+
+    if (step === null)
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code! Please try again",
+      });
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    const updatedUser = await users.update(storedUser.id, {
+      mfa: {
+        enabled: true,
+        secret: mfa.pendingSecret,
+        lastUsedStep: step,
+        recoveryCodeHashes: recoveryCodes.map((recoveryCode) =>
+          hashToken(normalizeRecoveryCode(recoveryCode))
+        ),
+        enabledAt: new Date().toISOString(),
+      },
+    });
+
+    await recordAuthEvent({
+      type: "mfa_enabled",
+      userId: storedUser.id,
+      email: storedUser.email,
+      ip: req.ip,
+    });
+
+    const body = {
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    };
+
+    // Enrollment was the last step of a login
+    if (req.mfaSetupLogin) {
+      await recordLoginSuccess({ email: storedUser.email });
+      return startSession(res, updatedUser, body);
+    }
+
+    const user = toSessionUser(updatedUser);
+    setAuthCookies(res, { accessToken: signAccessToken(user) }).json({
+      success: true,
+      ...body,
+      user,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured",
+    });
+  }
+};
+
+//turn 2FA off, requires a current code or a recovery code
+const disableMfa = async (req, res) => {
+  const { code, recoveryCode } = req.body;
+
+  if (req.user.role === "admin" && config.auth.mfa.requireForAdmins)
+    return res.status(403).json({
+      success: false,
+      message: "Two-factor authentication is required for admin accounts",
+    });
+
+  try {
+    const method = await consumeSecondFactor(req.user.id, {
+      code,
+      recoveryCode,
+    });
+
+    if (!method)
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code! Please try again",
+      });
+
+    const updatedUser = await getUserRepository().update(req.user.id, {
+      mfa: DELETE_FIELD,
+    });
+
+    await recordAuthEvent({
+      type: "mfa_disabled",
+      userId: req.user.id,
+      email: req.user.email,
+      ip: req.ip,
+    });
+
+    const user = toSessionUser(updatedUser);
+    setAuthCookies(res, { accessToken: signAccessToken(user) }).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+      user,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured",
+    });
+  }
+};
+
+//replace all recovery codes, requires a current code
+const regenerateRecoveryCodes = async (req, res) => {
+  const { code } = req.body;
+
+  try {
+    const method = await consumeSecondFactor(req.user.id, { code });
+
+    if (!method)
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code! Please try again",
+      });
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await getUserRepository().update(req.user.id, {
+      "mfa.recoveryCodeHashes": recoveryCodes.map((recoveryCode) =>
+        hashToken(normalizeRecoveryCode(recoveryCode))
+      ),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "New recovery codes generated",
+      recoveryCodes,
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured",
+    });
+  }
+};
+
 //auth middleware
 const authMiddleware = async (req, res, next) => {
   const token = req.cookies.token;
@@ -116,7 +1016,7 @@ const authMiddleware = async (req, res, next) => {
     });
 
   try {
-    const decoded = jwt.verify(token, "CLIENT_SECRET_KEY");
+    const decoded = verifyAccessToken(token);
     req.user = decoded;
     next();
   } catch (error) {
@@ -127,4 +1027,106 @@ const authMiddleware = async (req, res, next) => {
   }
 };
 
-module.exports = { registerUser, loginUser, logoutUser, authMiddleware };
+//2FA enrollment is reachable with a session or, when an admin has to
+//enroll before signing in, with the mfaToken from the login step
+const mfaSetupAuth = (req, res, next) => {
+  if (!req.body.mfaToken) return authMiddleware(req, res, next);
+
+  try {
+    const pending = verifyMfaPendingToken(req.body.mfaToken);
+
+    if (!pending.setupRequired) throw new Error("Not a setup token");
+
+    req.user = { id: pending.sub };
+    req.mfaSetupLogin = true;
+    next();
+  } catch (error) {
+    res.status(401).json(invalidMfaTokenResponse);
+  }
+};
+
+//blocks unverified users when REQUIRE_VERIFIED_EMAIL is on
+const requireVerifiedEmail = async (req, res, next) => {
+  if (!config.auth.requireVerifiedEmail || req.user.emailVerified !== false)
+    return next();
+
+  try {
+    // The claim may predate a verification made since the token was issued
+    const storedUser = await getUserRepository().findById(req.user.id);
+
+    if (storedUser && toSessionUser(storedUser).emailVerified) return next();
+
+    res.status(403).json({
+      success: false,
+      code: "EMAIL_NOT_VERIFIED",
+      message: "Please verify your email address to continue",
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured",
+    });
+  }
+};
+
+//role based authorization, e.g. router.use(authorize(["admin"]))
+const authorize = (roles = []) => [
+  authMiddleware,
+  (req, res, next) => {
+    if (roles.length && !roles.includes(req.user.role))
+      return res.status(403).json({
+        success: false,
+        message: "Forbidden! You don't have permission to do this.",
+      });
+
+    next();
+  },
+];
+
+//ownership check for routes that take a userId in params or body
+const authorizeOwner = [
+  authMiddleware,
+  (req, res, next) => {
+    const requestedUserId = req.params.userId || req.body?.userId;
+
+    // The handlers behind this read the user from the request, so it must
+    // name one, and it must be the signed in user
+    if (!requestedUserId)
+      return res.status(400).json({
+        success: false,
+        message: "User id is required",
+      });
+
+    if (requestedUserId !== req.user.id)
+      return res.status(403).json({
+        success: false,
+        message: "Forbidden! You can only access your own data.",
+      });
+
+    next();
+  },
+];
+
+module.exports = {
+  registerUser,
+  loginUser,
+  refreshSession,
+  logoutUser,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  getProfile,
+  updateProfile,
+  verifyMfaLogin,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
+  authMiddleware,
+  mfaSetupAuth,
+  requireVerifiedEmail,
+  authorize,
+  authorizeOwner,
+};
@@ -1,16 +1,31 @@
-const { db, imageUploadUtil } = require("../../helpers/firebase");
+const { imageUploadUtil } = require("../../helpers/image-upload");
+const {
+  attachUploads,
+  deleteUploadedImage,
+  findUpload,
+} = require("../../helpers/uploads");
+const { ImageValidationError } = require("../../helpers/image-processing");
+
+// Home page slides live in Firestore. Firebase is loaded on first use so the
+// rest of the server runs without its credentials.
+const getFeaturesRef = () =>
+  require("../../helpers/firebase").db.collection("features");
 
 const addFeatureImage = async (req, res) => {
   try {
     let imageUrl;
+    let renditions = [];
 
     if (req.file) {
       // Upload file to Firebase Storage
       const uploadResult = await imageUploadUtil(req.file, "features");
       imageUrl = uploadResult.url;
+      renditions = uploadResult.renditions;
     } else if (req.body.image) {
-      // Use provided image URL directly
+      // Use provided image URL directly, with its renditions when it was
+      // uploaded here
       imageUrl = req.body.image;
+      renditions = (await findUpload(imageUrl))?.renditions || [];
     } else {
       return res.status(400).json({
         success: false,
@@ -22,16 +37,25 @@ const addFeatureImage = async (req, res) => {
 
     const newFeature = {
       image: imageUrl,
+      renditions,
       createdAt: new Date().toISOString(),
     };
 
-    const docRef = await db.collection("features").add(newFeature);
+    const docRef = await getFeaturesRef().add(newFeature);
+    await attachUploads([imageUrl]);
 
     res.status(201).json({
       success: true,
       data: { id: docRef.id, ...newFeature },
     });
   } catch (e) {
+    if (e instanceof ImageValidationError) {
+      return res.status(e.statusCode).json({
+        success: false,
+        message: e.message,
+      });
+    }
+
     console.error("Feature image upload error:", e);
     res.status(500).json({
       success: false,
@@ -42,7 +66,7 @@ const addFeatureImage = async (req, res) => {
 
 const getFeatureImages = async (req, res) => {
   try {
-    const snapshot = await db.collection("features").get();
+    const snapshot = await getFeaturesRef().get();
     const images = snapshot.docs.map((doc) => ({
       id: doc.id,
       ...doc.data(),
@@ -61,4 +85,35 @@ const getFeatureImages = async (req, res) => {
   }
 };
 
-module.exports = { addFeatureImage, getFeatureImages };
+const deleteFeatureImage = async (req, res) => {
+  try {
+    const docRef = getFeaturesRef().doc(req.params.id);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({
+        success: false,
+        message: "Feature image not found",
+      });
+    }
+
+    await docRef.delete();
+    await deleteUploadedImage({
+      url: doc.data().image,
+      renditions: doc.data().renditions,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Feature image deleted",
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+module.exports = { addFeatureImage, getFeatureImages, deleteFeatureImage };
@@ -0,0 +1,19 @@
+const { getTaxonomy } = require("../../helpers/taxonomy");
+
+// Categories (with their parent ids) and brands for the shop and admin forms
+const getTaxonomyList = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await getTaxonomy(),
+    });
+  } catch (e) {
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occured!",
+    });
+  }
+};
+
+module.exports = { getTaxonomyList };
@@ -1,9 +1,51 @@
 const Cart = require("../../models/Cart");
 const Product = require("../../models/Product");
+const {
+  findVariant,
+  getVariantLabel,
+  getVariantPrices,
+  resolveVariant,
+} = require("../../helpers/product-variants");
+
+const CART_PRODUCT_FIELDS = "image title price salePrice variants";
+
+// A cart line is one product, or one variant of a product
+const isSameLine = (item, productId, variantId) =>
+  String(item.productId?._id || item.productId) === String(productId) &&
+  (item.variantId || null) === (variantId || null);
+
+// Cart line with the current product details, items must be populated
+const toCartItemView = (item) => {
+  const product = item.productId;
+
+  if (!product) {
+    return {
+      productId: null,
+      variantId: item.variantId,
+      image: null,
+      title: "Product not found",
+      price: null,
+      salePrice: null,
+      quantity: item.quantity,
+    };
+  }
+
+  const variant = item.variantId ? findVariant(product, item.variantId) : null;
+
+  return {
+    productId: product._id,
+    variantId: item.variantId,
+    variantLabel: getVariantLabel(variant),
+    image: variant?.image || product.image,
+    title: product.title,
+    ...getVariantPrices(product, variant),
+    quantity: item.quantity,
+  };
+};
 
 const addToCart = async (req, res) => {
   try {
-    const { userId, productId, quantity } = req.body;
+    const { userId, productId, variantId, quantity } = req.body;
 
     if (!userId || !productId || quantity <= 0) {
       return res.status(400).json({
@@ -21,18 +63,29 @@ const addToCart = async (req, res) => {
       });
     }
 
+    const { variant, error } = resolveVariant(product, variantId);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const lineVariantId = variant ? variant._id.toString() : null;
+
     let cart = await Cart.findOne({ userId });
 
     if (!cart) {
       cart = new Cart({ userId, items: [] });
     }
 
-    const findCurrentProductIndex = cart.items.findIndex(
-      (item) => item.productId.toString() === productId
+    const findCurrentProductIndex = cart.items.findIndex((item) =>
+      isSameLine(item, productId, lineVariantId)
     );
 
     if (findCurrentProductIndex === -1) {
-      cart.items.push({ productId, quantity });
+      cart.items.push({ productId, variantId: lineVariantId, quantity });
     } else {
       cart.items[findCurrentProductIndex].quantity += quantity;
     }
@@ -64,7 +117,7 @@ const fetchCartItems = async (req, res) => {
 
     const cart = await Cart.findOne({ userId }).populate({
       path: "items.productId",
-      select: "image title price salePrice",
+      select: CART_PRODUCT_FIELDS,
     });
 
     if (!cart) {
@@ -74,8 +127,11 @@ const fetchCartItems = async (req, res) => {
       });
     }
 
+    // Lines whose product or variant has since been removed
     const validItems = cart.items.filter(
-      (productItem) => productItem.productId
+      (productItem) =>
+        productItem.productId &&
+        !resolveVariant(productItem.productId, productItem.variantId).error
     );
 
     if (validItems.length < cart.items.length) {
@@ -83,14 +139,7 @@ const fetchCartItems = async (req, res) => {
       await cart.save();
     }
 
-    const populateCartItems = validItems.map((item) => ({
-      productId: item.productId._id,
-      image: item.productId.image,
-      title: item.productId.title,
-      price: item.productId.price,
-      salePrice: item.productId.salePrice,
-      quantity: item.quantity,
-    }));
+    const populateCartItems = validItems.map(toCartItemView);
 
     res.status(200).json({
       success: true,
@@ -110,7 +159,7 @@ const fetchCartItems = async (req, res) => {
 
 const updateCartItemQty = async (req, res) => {
   try {
-    const { userId, productId, quantity } = req.body;
+    const { userId, productId, variantId, quantity } = req.body;
 
     if (!userId || !productId || quantity <= 0) {
       return res.status(400).json({
@@ -127,8 +176,8 @@ const updateCartItemQty = async (req, res) => {
       });
     }
 
-    const findCurrentProductIndex = cart.items.findIndex(
-      (item) => item.productId.toString() === productId
+    const findCurrentProductIndex = cart.items.findIndex((item) =>
+      isSameLine(item, productId, variantId)
     );
 
     if (findCurrentProductIndex === -1) {
@@ -143,17 +192,10 @@ const updateCartItemQty = async (req, res) => {
 
     await cart.populate({
       path: "items.productId",
-      select: "image title price salePrice",
+      select: CART_PRODUCT_FIELDS,
     });
 
-    const populateCartItems = cart.items.map((item) => ({
-      productId: item.productId ? item.productId._id : null,
-      image: item.productId ? item.productId.image : null,
-      title: item.productId ? item.productId.title : "Product not found",
-      price: item.productId ? item.productId.price : null,
-      salePrice: item.productId ? item.productId.salePrice : null,
-      quantity: item.quantity,
-    }));
+    const populateCartItems = cart.items.map(toCartItemView);
 
     res.status(200).json({
       success: true,
@@ -173,7 +215,7 @@ const updateCartItemQty = async (req, res) => {
 
 const deleteCartItem = async (req, res) => {
   try {
-    const { userId, productId } = req.params;
+    const { userId, productId, variantId } = req.params;
     if (!userId || !productId) {
       return res.status(400).json({
         success: false,
@@ -183,7 +225,7 @@ const deleteCartItem = async (req, res) => {
 
     const cart = await Cart.findOne({ userId }).populate({
       path: "items.productId",
-      select: "image title price salePrice",
+      select: CART_PRODUCT_FIELDS,
     });
 
     if (!cart) {
@@ -194,24 +236,17 @@ const deleteCartItem = async (req, res) => {
     }
 
     cart.items = cart.items.filter(
-      (item) => item.productId._id.toString() !== productId
+      (item) => !isSameLine(item, productId, variantId)
     );
 
     await cart.save();
 
     await cart.populate({
       path: "items.productId",
-      select: "image title price salePrice",
+      select: CART_PRODUCT_FIELDS,
     });
 
-    const populateCartItems = cart.items.map((item) => ({
-      productId: item.productId ? item.productId._id : null,
-      image: item.productId ? item.productId.image : null,
-      title: item.productId ? item.productId.title : "Product not found",
-      price: item.productId ? item.productId.price : null,
-      salePrice: item.productId ? item.productId.salePrice : null,
-      quantity: item.quantity,
-    }));
+    const populateCartItems = cart.items.map(toCartItemView);
 
     res.status(200).json({
       success: true,
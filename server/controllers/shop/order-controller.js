@@ -1,57 +1,132 @@
 const paystack = require("../../helpers/paystack");
 const Order = require("../../models/Order");
-const Cart = require("../../models/Cart");
-const Product = require("../../models/Product");
+const { finalizeSuccessfulPayment } = require("../../helpers/payment-finalization");
+const {
+  reserveOrderItems,
+  releaseReservations,
+} = require("../../helpers/inventory-reservations");
+const {
+  PricingError,
+  buildQuoteForUser,
+  quoteDiffersFromClient,
+} = require("../../helpers/order-pricing");
+
+const getOrderQuote = async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const quote = await buildQuoteForUser(userId);
+
+    res.status(200).json({
+      success: true,
+      data: quote,
+    });
+  } catch (e) {
+    if (e instanceof PricingError) {
+      return res.status(e.statusCode).json({
+        success: false,
+        message: e.message,
+      });
+    }
+
+    console.log(e);
+    res.status(500).json({
+      success: false,
+      message: "Some error occurred!",
+    });
+  }
+};
 
 const createOrder = async (req, res) => {
   try {
     const {
-      userId,
       cartItems,
       addressInfo,
-      orderStatus,
       paymentMethod,
-      paymentStatus,
       totalAmount,
-      orderDate,
-      orderUpdateDate,
-      cartId,
       customerEmail,
     } = req.body;
+    const userId = req.user.id;
+
+    // Price the order from the stored cart, never from the request body
+    const quote = await buildQuoteForUser(userId);
+
+    if (quoteDiffersFromClient(quote, { cartItems, totalAmount })) {
+      return res.status(409).json({
+        success: false,
+        message:
+          "Your cart prices have changed. Please review the updated total.",
+        quote,
+      });
+    }
+
+    const orderItems = quote.items.map((item) => ({
+      productId: item.productId,
+      variantId: item.variantId,
+      variantLabel: item.variantLabel,
+      sku: item.sku,
+      title: item.title,
+      image: item.image,
+      price: item.unitPrice,
+      quantity: item.quantity,
+      lineTotal: item.lineTotal,
+    }));
+    const orderDate = new Date();
 
     // Generate a unique reference for the transaction
     const reference = `order_${Date.now()}_${Math.random()
       .toString(36)
       .substr(2, 9)}`;
 
+    // Hold the stock while the shopper pays so the last unit cannot be sold twice
+    const reservation = await reserveOrderItems({
+      reference,
+      items: orderItems,
+    });
+
+    if (!reservation.success) {
+      return res.status(409).json({
+        success: false,
+        message: `Not enough stock for product: ${reservation.shortfall.title}`,
+        availableStock: reservation.shortfall.availableStock,
+        requestedQuantity: reservation.shortfall.requestedQuantity,
+        quote,
+      });
+    }
+
     // Prepare metadata for Paystack
     const metadata = {
       userId,
-      cartId,
-      orderItems: cartItems.map((item) => ({
+      cartId: quote.cartId,
+      orderItems: orderItems.map((item) => ({
         productId: item.productId,
+        variantId: item.variantId,
+        variantLabel: item.variantLabel,
+        sku: item.sku,
         title: item.title,
         quantity: item.quantity,
         price: item.price,
       })),
       addressInfo,
-      orderStatus,
+      orderStatus: "pending",
       paymentMethod,
       orderDate,
-      orderUpdateDate,
+      orderUpdateDate: orderDate,
     };
 
     // Initialize Paystack payment
     const paymentResult = await paystack.initializePayment({
       email: customerEmail,
-      amount: totalAmount,
+      amount: quote.totalAmount,
       reference,
-      currency: process.env.PAYSTACK_CURRENCY || "NGN",
+      currency: quote.currency,
       callback_url: process.env.PAYSTACK_CALLBACK_URL,
       metadata,
     });
 
     if (!paymentResult.success) {
+      await releaseReservations(reference);
+
       return res.status(500).json({
         success: false,
         message: "Error while creating payment",
@@ -62,20 +137,27 @@ const createOrder = async (req, res) => {
     // Create order in database
     const newlyCreatedOrder = new Order({
       userId,
-      cartId,
-      cartItems,
+      cartId: quote.cartId,
+      cartItems: orderItems,
       addressInfo,
-      orderStatus,
+      orderStatus: "pending",
       paymentMethod,
       paymentStatus: "pending", // Initially pending
-      totalAmount,
+      subtotal: quote.subtotal,
+      totalAmount: quote.totalAmount,
       orderDate,
-      orderUpdateDate,
+      orderUpdateDate: orderDate,
       paymentId: paymentResult.data.reference,
       payerId: customerEmail, // Using email as payer ID for Paystack
     });
 
-    await newlyCreatedOrder.save();
+    try {
+      await newlyCreatedOrder.save();
+    } catch (error) {
+      // Without an order nothing would release the hold before it expires
+      await releaseReservations(reference);
+      throw error;
+    }
 
     // Return authorization URL for frontend redirect
     res.status(201).json({
@@ -84,8 +166,17 @@ const createOrder = async (req, res) => {
       accessCode: paymentResult.data.access_code,
       reference: paymentResult.data.reference,
       orderId: newlyCreatedOrder._id,
+      reservationExpiresAt: reservation.expiresAt,
+      quote,
     });
   } catch (e) {
+    if (e instanceof PricingError) {
+      return res.status(e.statusCode).json({
+        success: false,
+        message: e.message,
+      });
+    }
+
     console.log(e);
     res.status(500).json({
       success: false,
@@ -107,6 +198,13 @@ const capturePayment = async (req, res) => {
       });
     }
 
+    if (order.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Forbidden! You can only access your own data.",
+      });
+    }
+
     // Verify payment with Paystack using the reference
     const verificationResult = await paystack.verifyPayment(reference);
 
@@ -128,42 +226,30 @@ const capturePayment = async (req, res) => {
       });
     }
 
-    // Update order status
-    order.paymentStatus = "paid";
-    order.orderStatus = "confirmed";
-    order.paymentId = verificationResult.data.reference;
-    order.payerId = verificationResult.customer?.email || order.payerId;
-    order.orderUpdateDate = new Date();
-
-    // Update product stock
-    for (let item of order.cartItems) {
-      let product = await Product.findById(item.productId);
-
-      if (!product) {
-        return res.status(404).json({
-          success: false,
-          message: `Product not found: ${item.title}`,
-        });
-      }
-
-      if (product.totalStock < item.quantity) {
-        return res.status(400).json({
-          success: false,
-          message: `Not enough stock for product: ${product.title}`,
-          availableStock: product.totalStock,
-          requestedQuantity: item.quantity,
-        });
-      }
-
-      product.totalStock -= item.quantity;
-      await product.save();
+    if (verificationResult.data.reference !== order.paymentId) {
+      return res.status(400).json({
+        success: false,
+        message: "Payment reference does not match this order",
+      });
     }
 
-    // Clear cart
-    const getCartId = order.cartId;
-    await Cart.findByIdAndDelete(getCartId);
+    const finalization = await finalizeSuccessfulPayment({
+      reference: order.paymentId,
+      source: "callback",
+      transactionId: String(verificationResult.data.id),
+      amountPaid: verificationResult.amount,
+      payerEmail: verificationResult.customer?.email,
+    });
+
+    if (!finalization.success) {
+      return res.status(400).json({
+        success: false,
+        message: "Payment could not be applied to this order",
+        reason: finalization.reason,
+      });
+    }
 
-    await order.save();
+    order = finalization.order;
 
     res.status(200).json({
       success: true,
@@ -226,6 +312,13 @@ const getOrderDetails = async (req, res) => {
       });
     }
 
+    if (order.userId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "Forbidden! You can only access your own data.",
+      });
+    }
+
     res.status(200).json({
       success: true,
       data: order,
@@ -240,6 +333,7 @@ const getOrderDetails = async (req, res) => {
 };
 
 module.exports = {
+  getOrderQuote,
   createOrder,
   capturePayment,
   getAllOrdersByUser,
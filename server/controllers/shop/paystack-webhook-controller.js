@@ -1,7 +1,9 @@
 const paystack = require("../../helpers/paystack");
 const Order = require("../../models/Order");
-const Product = require("../../models/Product");
-const Cart = require("../../models/Cart");
+const {
+  finalizeSuccessfulPayment,
+  finalizeFailedPayment,
+} = require("../../helpers/payment-finalization");
 
 // Handle Paystack webhook events
 const handlePaystackWebhook = async (req, res) => {
@@ -48,7 +50,7 @@ const handlePaystackWebhook = async (req, res) => {
         console.log(`Unhandled webhook event: ${event}`);
     }
 
-    // Always respond with 200 to acknowledge receipt
+    // Acknowledge receipt once the event has been handled
     res.status(200).json({ received: true });
   } catch (error) {
     console.error('Paystack webhook error:', error);
@@ -59,69 +61,49 @@ const handlePaystackWebhook = async (req, res) => {
   }
 };
 
-// Handle successful payment
+// Handle successful payment. Errors reach the webhook handler, which answers
+// 500 so Paystack redelivers the event and the retry completes the order.
 const handleSuccessfulPayment = async (paymentData) => {
-  try {
-    const { reference, amount, status, customer, channel, fees, paid_at } = paymentData;
-    
-    // Find the order by payment reference
-    const order = await Order.findOne({ paymentId: reference });
-    
-    if (!order) {
-      console.error(`Order not found for reference: ${reference}`);
-      return;
-    }
-
-    // Update order status
-    order.paymentStatus = 'paid';
-    order.orderStatus = 'confirmed';
-    order.payerId = customer?.email || order.payerId;
-    order.orderUpdateDate = new Date();
-
-    await order.save();
-
-    // Update product stock
-    for (let item of order.cartItems) {
-      let product = await Product.findById(item.productId);
-      
-      if (product && product.totalStock >= item.quantity) {
-        product.totalStock -= item.quantity;
-        await product.save();
-      }
-    }
-
-    // Clear cart if it exists
-    if (order.cartId) {
-      await Cart.findByIdAndDelete(order.cartId);
-    }
+  const { id, reference, amount, customer } = paymentData;
+
+  const result = await finalizeSuccessfulPayment({
+    reference,
+    source: 'webhook',
+    transactionId: id !== undefined ? String(id) : undefined,
+    amountPaid: amount / 100, // Webhook amounts are in kobo
+    payerEmail: customer?.email,
+  });
+
+  if (!result.success) {
+    console.error(`Could not finalize payment for reference ${reference}: ${result.reason}`);
+    return;
+  }
 
-    console.log(`Order ${order._id} confirmed via webhook for reference: ${reference}`);
-  } catch (error) {
-    console.error('Error handling successful payment:', error);
+  if (result.alreadyProcessed) {
+    console.log(`Order ${result.order._id} already confirmed for reference: ${reference}`);
+    return;
   }
+
+  console.log(`Order ${result.order._id} confirmed via webhook for reference: ${reference}`);
 };
 
 // Handle failed payment
 const handleFailedPayment = async (paymentData) => {
   try {
-    const { reference } = paymentData;
-    
-    // Find the order by payment reference
-    const order = await Order.findOne({ paymentId: reference });
-    
-    if (!order) {
+    const { id, reference } = paymentData;
+
+    const result = await finalizeFailedPayment({
+      reference,
+      source: 'webhook',
+      transactionId: id !== undefined ? String(id) : undefined,
+    });
+
+    if (!result.success) {
       console.error(`Order not found for reference: ${reference}`);
       return;
     }
 
-    // Update order status
-    order.paymentStatus = 'failed';
-    order.orderStatus = 'cancelled';
-    order.orderUpdateDate = new Date();
-
-    await order.save();
-
-    console.log(`Order ${order._id} marked as failed via webhook for reference: ${reference}`);
+    console.log(`Order ${result.order._id} marked as failed via webhook for reference: ${reference}`);
   } catch (error) {
     console.error('Error handling failed payment:', error);
   }
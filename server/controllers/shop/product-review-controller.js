@@ -1,5 +1,5 @@
 const Order = require("../../models/Order");
-const Product = require("../../models/Product");
+const { getProductRepository } = require("../../helpers/product-repository");
 const ProductReview = require("../../models/Review");
 
 const addProductReview = async (req, res) => {
@@ -48,7 +48,7 @@ const addProductReview = async (req, res) => {
       reviews.reduce((sum, reviewItem) => sum + reviewItem.reviewValue, 0) /
       totalReviewsLength;
 
-    await Product.findByIdAndUpdate(productId, { averageReview });
+    await getProductRepository().update(productId, { averageReview });
 
     res.status(201).json({
       success: true,
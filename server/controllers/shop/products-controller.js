@@ -1,217 +1,95 @@
-const Product = require("../../models/Product");
-const { db } = require("../../helpers/firebase");
-
-// Import additional Firestore functions from firebase-admin
 const {
-  collection,
-  getDocs,
-  getDoc,
-  doc,
-  orderBy,
-  limit,
-  where,
-  query
-} = require("firebase-admin/firestore");
-
-/**
- * Authentication middleware helper
- * Verifies user is authenticated via session/JWT
- */
-const verifyAuthentication = (req, res) => {
-  if (!req.user || !req.user.id) {
-    return { authenticated: false, error: "User not authenticated" };
-  }
-  return { authenticated: true, userId: req.user.id };
+  getProductRepository,
+  SORT_ORDERS,
+  DEFAULT_SORT,
+  PRICE_BUCKETS,
+} = require("../../helpers/product-repository");
+const { expandCategorySlugs } = require("../../helpers/taxonomy");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const toList = (value) =>
+  String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const toPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
 };
 
-/**
- * Fetches products from Firestore with proper authentication
- * Uses firebase-admin for server-side Firestore operations
- */
-const getFilteredProductsFromFirebase = async (req, res) => {
-  try {
-    // Verify authentication first
-    const authCheck = verifyAuthentication(req, res);
-    if (!authCheck.authenticated) {
-      return res.status(401).json({
-        success: false,
-        message: "Authentication required to access products",
-        error: authCheck.error
-      });
-    }
-
-    const { 
-      category = [], 
-      brand = [], 
-      sortBy = "price-lowtohigh",
-      page = 1,
-      limit: pageLimit = 20 
-    } = req.query;
-
-    // Parse query parameters
-    const categories = typeof category === "string" ? category.split(",").filter(Boolean) : category;
-    const brands = typeof brand === "string" ? brand.split(",").filter(Boolean) : brand;
-
-    // Build Firestore query using firebase-admin
-    let productsQuery = collection(db, "products");
-    const constraints = [];
-
-    // Apply category filter
-    if (categories.length > 0) {
-      // Note: Firestore "in" queries support up to 10 values
-      const validCategories = categories.slice(0, 10);
-      constraints.push(where("category", "in", validCategories));
-    }
-
-    // Apply brand filter
-    if (brands.length > 0) {
-      const validBrands = brands.slice(0, 10);
-      constraints.push(where("brand", "in", validBrands));
-    }
-
-    // Apply sorting
-    switch (sortBy) {
-      case "price-lowtohigh":
-        constraints.push(orderBy("price", "asc"));
-        break;
-      case "price-hightolow":
-        constraints.push(orderBy("price", "desc"));
-        break;
-      case "title-atoz":
-        constraints.push(orderBy("title", "asc"));
-        break;
-      case "title-ztoa":
-        constraints.push(orderBy("title", "desc"));
-        break;
-      default:
-        constraints.push(orderBy("price", "asc"));
-    }
-
-    // Apply pagination limits
-    constraints.push(limit(parseInt(pageLimit) * parseInt(page)));
-
-    const q = query(...constraints);
-    const querySnapshot = await getDocs(q);
-
-    const products = [];
-    querySnapshot.forEach((docSnapshot) => {
-      products.push({
-        id: docSnapshot.id,
-        _id: docSnapshot.id, // For compatibility with existing frontend
-        ...docSnapshot.data()
-      });
-    });
-
-    // Handle client-side pagination
-    const startIndex = (parseInt(page) - 1) * parseInt(pageLimit);
-    const endIndex = startIndex + parseInt(pageLimit);
-    const paginatedProducts = products.slice(startIndex, endIndex);
-
-    res.status(200).json({
-      success: true,
-      data: paginatedProducts,
-      total: products.length,
-      page: parseInt(page),
-      totalPages: Math.ceil(products.length / parseInt(pageLimit))
-    });
-  } catch (error) {
-    console.error("Error fetching products from Firebase:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch products",
-      error: error.message
-    });
-  }
+// Non-negative number, or undefined when missing or invalid
+const toNumber = (value) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
 };
 
-/**
- * Fetches a single product from Firestore using firebase-admin
- */
-const getProductDetailsFromFirebase = async (req, res) => {
-  try {
-    // Verify authentication first
-    const authCheck = verifyAuthentication(req, res);
-    if (!authCheck.authenticated) {
-      return res.status(401).json({
-        success: false,
-        message: "Authentication required to access product details",
-        error: authCheck.error
-      });
-    }
-
-    const { id } = req.params;
-
-    const productDoc = await getDoc(doc(db, "products", id));
-
-    if (!productDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        message: "Product not found"
-      });
-    }
+// A price facet bucket replaces any price range
+const toPriceBucketFilters = (id) => {
+  const bucket = PRICE_BUCKETS.find((item) => item.id === id);
 
-    res.status(200).json({
-      success: true,
-      data: {
-        id: productDoc.id,
-        _id: productDoc.id,
-        ...productDoc.data()
+  return bucket
+    ? {
+        minPrice: bucket.min,
+        maxPrice: undefined,
+        belowPrice: bucket.max ?? undefined,
       }
-    });
-  } catch (error) {
-    console.error("Error fetching product from Firebase:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch product details",
-      error: error.message
-    });
-  }
+    : {};
 };
 
-/**
- * Original MongoDB-based product fetching (fallback)
- */
+// Query string -> repository list query, shared by every product store.
+// A cursor (the nextCursor of the previous response) takes over from page.
+const parseListQuery = (query) => ({
+  categories: toList(query.category),
+  brands: toList(query.brand),
+  minPrice: toNumber(query.minPrice),
+  maxPrice: toNumber(query.maxPrice),
+  ...toPriceBucketFilters(query.priceBucket),
+  minRating: toNumber(query.minRating),
+  inStock: query.inStock === "true",
+  onSale: query.onSale === "true",
+  sortBy: SORT_ORDERS[query.sortBy] ? query.sortBy : DEFAULT_SORT,
+  page: toPositiveInt(query.page, 1),
+  limit: Math.min(toPositiveInt(query.limit, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE),
+  cursor:
+    typeof query.cursor === "string" && query.cursor ? query.cursor : null,
+});
+
 const getFilteredProducts = async (req, res) => {
   try {
-    const { category = [], brand = [], sortBy = "price-lowtohigh" } = req.query;
-
-    let filters = {};
-
-    if (category.length) {
-      filters.category = { $in: category.split(",") };
-    }
-
-    if (brand.length) {
-      filters.brand = { $in: brand.split(",") };
-    }
-
-    let sort = {};
-
-    switch (sortBy) {
-      case "price-lowtohigh":
-        sort.price = 1;
-        break;
-      case "price-hightolow":
-        sort.price = -1;
-        break;
-      case "title-atoz":
-        sort.title = 1;
-        break;
-      case "title-ztoa":
-        sort.title = -1;
-        break;
-      default:
-        sort.price = 1;
-        break;
-    }
-
-    const products = await Product.find(filters).sort(sort);
+    const productRepository = getProductRepository();
+    const { sortBy, page, limit, cursor, ...query } = parseListQuery(req.query);
+    const filters = {
+      ...query,
+      categories: await expandCategorySlugs(query.categories),
+    };
+
+    // Facets only change with the filters, so later cursor pages skip them
+    const [{ items, total, page: listPage, totalPages, nextCursor }, facets] =
+      await Promise.all([
+        productRepository.list({ ...filters, sortBy, page, limit, cursor }),
+        cursor ? null : productRepository.facets(filters),
+      ]);
 
     res.status(200).json({
       success: true,
-      data: products,
+      data: items,
+      total,
+      page: listPage,
+      totalPages,
+      nextCursor,
+      facets,
     });
   } catch (e) {
+    if (e.code === "INVALID_CURSOR") {
+      return res.status(400).json({
+        success: false,
+        message: e.message,
+      });
+    }
+
     console.log(e);
     res.status(500).json({
       success: false,
@@ -223,7 +101,7 @@ const getFilteredProducts = async (req, res) => {
 const getProductDetails = async (req, res) => {
   try {
     const { id } = req.params;
-    const product = await Product.findById(id);
+    const product = await getProductRepository().findById(id);
 
     if (!product)
       return res.status(404).json({
@@ -244,9 +122,4 @@ const getProductDetails = async (req, res) => {
   }
 };
 
-module.exports = { 
-  getFilteredProducts, 
-  getProductDetails,
-  getFilteredProductsFromFirebase,
-  getProductDetailsFromFirebase
-};
+module.exports = { getFilteredProducts, getProductDetails, parseListQuery };
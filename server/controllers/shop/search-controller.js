@@ -1,31 +1,41 @@
-const Product = require("../../models/Product");
+const {
+  getProductRepository,
+  SORT_ORDERS,
+  RELEVANCE_SORT,
+} = require("../../helpers/product-repository");
+const { toSearchTerms } = require("../../helpers/product-search");
+const { expandCategorySlugs } = require("../../helpers/taxonomy");
+const { parseListQuery } = require("./products-controller");
 
+// Takes the listing's filters, sort orders and page size. Results are most
+// relevant first unless sortBy is one of the listing orders.
 const searchProducts = async (req, res) => {
   try {
     const { keyword } = req.params;
-    if (!keyword || typeof keyword !== "string") {
+    if (!toSearchTerms(keyword).length) {
       return res.status(400).json({
-        succes: false,
-        message: "Keyword is required and must be in string format",
+        success: false,
+        message: "Keyword must contain at least one letter or number",
       });
     }
 
-    const regEx = new RegExp(keyword, "i");
-
-    const createSearchQuery = {
-      $or: [
-        { title: regEx },
-        { description: regEx },
-        { category: regEx },
-        { brand: regEx },
-      ],
-    };
-
-    const searchResults = await Product.find(createSearchQuery);
+    const { cursor, ...query } = parseListQuery(req.query);
+    const { items, total, page, totalPages } =
+      await getProductRepository().search({
+        ...query,
+        query: keyword,
+        categories: await expandCategorySlugs(query.categories),
+        sortBy: SORT_ORDERS[req.query.sortBy]
+          ? req.query.sortBy
+          : RELEVANCE_SORT,
+      });
 
     res.status(200).json({
       success: true,
-      data: searchResults,
+      data: items,
+      total,
+      page,
+      totalPages,
     });
   } catch (error) {
     console.log(error);
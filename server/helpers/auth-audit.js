@@ -0,0 +1,50 @@
+const AuthAuditEvent = require("../models/AuthAuditEvent");
+
+// Events are written to the AuthAuditEvent collection
+const mongoEventStore = {
+  name: "mongo",
+  insert: (event) => AuthAuditEvent.create(event),
+};
+
+// Keeps events in an array, for tests and scripts
+const createMemoryEventStore = () => {
+  const events = [];
+
+  return {
+    name: "memory",
+    events,
+    insert: async (event) => {
+      events.push({ ...event, createdAt: new Date() });
+    },
+  };
+};
+
+let activeStore = mongoEventStore;
+
+// Allows scripts and tests to swap in their own store
+const setAuthEventStore = (store) => {
+  activeStore = store;
+};
+
+/**
+ * Records an authentication audit event. Audit failures are logged but
+ * never break the request that triggered them.
+ */
+const recordAuthEvent = async ({ type, userId, email, ip, actorId, details }) => {
+  console.log(
+    `🔐 Auth event ${type}`,
+    JSON.stringify({ userId, email, ip, actorId })
+  );
+
+  try {
+    await activeStore.insert({ type, userId, email, ip, actorId, details });
+  } catch (error) {
+    console.error("Error recording auth audit event:", error);
+  }
+};
+
+module.exports = {
+  recordAuthEvent,
+  setAuthEventStore,
+  createMemoryEventStore,
+};
@@ -0,0 +1,252 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/RefreshToken");
+const { config } = require("../config");
+
+const ACCESS_COOKIE = "token";
+const REFRESH_COOKIE = "refreshToken";
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const signAccessToken = (user) =>
+  jwt.sign(
+    {
+      id: user.id,
+      role: user.role,
+      email: user.email,
+      userName: user.userName,
+      emailVerified: user.emailVerified,
+      mfaEnabled: user.mfaEnabled,
+    },
+    config.auth.jwtSecret,
+    { expiresIn: config.auth.accessTokenTtlSeconds }
+  );
+
+const verifyAccessToken = (token) => {
+  const decoded = jwt.verify(token, config.auth.jwtSecret);
+
+  // Purpose-scoped tokens (e.g. email verification) are not sessions
+  if (decoded.purpose) throw new Error("Not an access token");
+
+  return decoded;
+};
+
+// Signed, self-contained link token binding a user id to an email address
+const signEmailVerificationToken = ({ id, email }) =>
+  jwt.sign(
+    { sub: id, email, purpose: "verify-email" },
+    config.auth.jwtSecret,
+    { expiresIn: `${config.auth.emailVerificationTtlHours}h` }
+  );
+
+const verifyEmailVerificationToken = (token) => {
+  const decoded = jwt.verify(token, config.auth.jwtSecret);
+
+  if (decoded.purpose !== "verify-email") throw new Error("Invalid token");
+
+  return decoded;
+};
+
+// Short-lived token proving the password step of a login that still needs
+// a second factor (or, with setupRequired, 2FA enrollment)
+const signMfaPendingToken = ({ id, setupRequired = false }) =>
+  jwt.sign(
+    { sub: id, setupRequired, purpose: "mfa-pending" },
+    config.auth.jwtSecret,
+    { expiresIn: `${config.auth.mfa.pendingTokenTtlMinutes}m` }
+  );
+
+const verifyMfaPendingToken = (token) => {
+  const decoded = jwt.verify(token, config.auth.jwtSecret);
+
+  if (decoded.purpose !== "mfa-pending") throw new Error("Invalid token");
+
+  return decoded;
+};
+
+// Refresh tokens live in the RefreshToken collection
+const createMongoRefreshTokenStore = () => ({
+  name: "mongo",
+  insert: (fields) => RefreshToken.create(fields),
+  findByHash: (tokenHash) => RefreshToken.findOne({ tokenHash }).lean(),
+  // Revokes the token unless already revoked, returning it only if this
+  // call did, so two concurrent refreshes cannot both rotate it
+  markUsed: (id) =>
+    RefreshToken.findOneAndUpdate(
+      { _id: id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    ).lean(),
+  setReplacedBy: (id, replacedByHash) =>
+    RefreshToken.updateOne({ _id: id }, { $set: { replacedByHash } }),
+  // filter is { familyId } or { userId }
+  revokeWhere: (filter) =>
+    RefreshToken.updateMany(
+      { ...filter, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    ),
+});
+
+// Keeps tokens in process memory, for tests and scripts. Sessions do not
+// survive a restart.
+const createMemoryRefreshTokenStore = () => {
+  const tokens = new Map();
+
+  return {
+    name: "memory",
+    insert: async (fields) => {
+      const token = { ...fields, _id: crypto.randomUUID(), revokedAt: null };
+      tokens.set(token._id, token);
+      return { ...token };
+    },
+    findByHash: async (tokenHash) => {
+      const token = [...tokens.values()].find(
+        (stored) => stored.tokenHash === tokenHash
+      );
+      return token ? { ...token } : null;
+    },
+    markUsed: async (id) => {
+      const token = tokens.get(id);
+      if (!token || token.revokedAt) return null;
+
+      token.revokedAt = new Date();
+      return { ...token };
+    },
+    setReplacedBy: async (id, replacedByHash) => {
+      const token = tokens.get(id);
+      if (token) token.replacedByHash = replacedByHash;
+    },
+    revokeWhere: async (filter) => {
+      tokens.forEach((token) => {
+        const matches = Object.entries(filter).every(
+          ([field, value]) => token[field] === value
+        );
+        if (matches && !token.revokedAt) token.revokedAt = new Date();
+      });
+    },
+  };
+};
+
+let activeStore = null;
+
+const getStore = () => {
+  if (!activeStore) activeStore = createMongoRefreshTokenStore();
+  return activeStore;
+};
+
+// Allows scripts and tests to swap in their own store
+const setRefreshTokenStore = (store) => {
+  activeStore = store;
+};
+
+const createRefreshToken = async (userId, familyId = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString("hex");
+
+  await getStore().insert({
+    userId,
+    tokenHash: hashToken(token),
+    familyId,
+    expiresAt: new Date(
+      Date.now() + config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000
+    ),
+  });
+
+  return token;
+};
+
+/**
+ * Exchanges a refresh token for a new one in the same family. Returns
+ * { userId, refreshToken } on success or { error } when the token is
+ * unknown, expired or was already used (reuse revokes the whole family).
+ */
+const rotateRefreshToken = async (token) => {
+  const store = getStore();
+  const stored = await store.findByHash(hashToken(token));
+
+  if (!stored || stored.expiresAt <= new Date()) {
+    return { error: "INVALID_REFRESH_TOKEN" };
+  }
+
+  const current = await store.markUsed(stored._id);
+
+  if (!current) {
+    console.warn(
+      `Refresh token reuse detected for user ${stored.userId}, revoking family`
+    );
+    await store.revokeWhere({ familyId: stored.familyId });
+    return { error: "REFRESH_TOKEN_REUSED" };
+  }
+
+  const refreshToken = await createRefreshToken(
+    current.userId,
+    current.familyId
+  );
+
+  await store.setReplacedBy(current._id, hashToken(refreshToken));
+
+  return { userId: current.userId, refreshToken };
+};
+
+const revokeRefreshToken = async (token) => {
+  const store = getStore();
+  const stored = await store.findByHash(hashToken(token));
+
+  if (stored) await store.revokeWhere({ familyId: stored.familyId });
+};
+
+// Looks a token up by its value, for scripts and tests
+const findRefreshToken = (token) => getStore().findByHash(hashToken(token));
+
+const setAuthCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie(ACCESS_COOKIE, accessToken, {
+    httpOnly: true,
+    secure: config.auth.cookieSecure,
+    sameSite: "lax",
+    maxAge: config.auth.accessTokenTtlSeconds * 1000,
+  });
+
+  if (refreshToken) {
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+      httpOnly: true,
+      secure: config.auth.cookieSecure,
+      sameSite: "lax",
+      path: REFRESH_COOKIE_PATH,
+      maxAge: config.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000,
+    });
+  }
+
+  return res;
+};
+
+// Signs the user out everywhere, e.g. after a password change
+const revokeUserRefreshTokens = (userId) => getStore().revokeWhere({ userId });
+
+const clearAuthCookies = (res) => {
+  res.clearCookie(ACCESS_COOKIE);
+  res.clearCookie(REFRESH_COOKIE, { path: REFRESH_COOKIE_PATH });
+  return res;
+};
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  hashToken,
+  signAccessToken,
+  verifyAccessToken,
+  signEmailVerificationToken,
+  verifyEmailVerificationToken,
+  signMfaPendingToken,
+  verifyMfaPendingToken,
+  createRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+  findRefreshToken,
+  setRefreshTokenStore,
+  createMemoryRefreshTokenStore,
+  createMongoRefreshTokenStore,
+  setAuthCookies,
+  clearAuthCookies,
+};
@@ -1,4 +1,5 @@
-const { upload, imageUploadUtil } = require("./firebase");
+const { upload, imageUploadUtil, imageDeleteUtil } = require("./image-upload");
 
-// Re-export the Firebase storage functionality to maintain compatibility
-module.exports = { upload, imageUploadUtil };
+// Re-export the upload helpers (see storage.js for where files go) to
+// maintain compatibility
+module.exports = { upload, imageUploadUtil, imageDeleteUtil };
@@ -0,0 +1,148 @@
+const sharp = require("sharp");
+const { config } = require("../config");
+
+// Uploads are checked by their content, not the name or type the browser
+// claims, then re-encoded into every rendition below. Re-encoding drops
+// EXIF and other metadata (after applying its orientation), so no camera
+// or location data reaches the bucket.
+
+const MAX_UPLOAD_BYTES = Math.floor(config.storage.maxUploadMb * 1024 * 1024);
+
+// Decoding stops beyond this many pixels, however small the file
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+// Widths the client picks from with srcset, never enlarged
+const RENDITIONS = [
+  { name: "thumbnail", width: 160 },
+  { name: "card", width: 480 },
+  { name: "full", width: 1600 },
+];
+
+const OUTPUT_FORMATS = {
+  webp: { quality: 80 },
+  avif: { quality: 50, effort: 2 },
+};
+
+// The rendition whose URL is the image's own `url`
+const PRIMARY_RENDITION = { name: "full", format: "webp" };
+
+class ImageValidationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ImageValidationError";
+    this.statusCode = statusCode;
+  }
+}
+
+const tooLargeError = () =>
+  new ImageValidationError(
+    `Images can be at most ${config.storage.maxUploadMb} MB`,
+    413
+  );
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+// Image type from the file's magic bytes, null when it is not one we take
+const detectImageType = (buffer) => {
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "jpeg";
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return "png";
+  }
+  if (
+    startsWith(buffer, ascii("GIF87a")) ||
+    startsWith(buffer, ascii("GIF89a"))
+  ) {
+    return "gif";
+  }
+  if (
+    startsWith(buffer, ascii("RIFF")) &&
+    startsWith(buffer, ascii("WEBP"), 8)
+  ) {
+    return "webp";
+  }
+  if (
+    startsWith(buffer, ascii("ftyp"), 4) &&
+    (startsWith(buffer, ascii("avif"), 8) ||
+      startsWith(buffer, ascii("avis"), 8))
+  ) {
+    return "avif";
+  }
+
+  return null;
+};
+
+const validateImage = (file) => {
+  if (!file?.buffer?.length) {
+    throw new ImageValidationError("The uploaded file is empty");
+  }
+
+  if (file.buffer.length > MAX_UPLOAD_BYTES) throw tooLargeError();
+
+  const type = detectImageType(file.buffer);
+  if (!type) {
+    throw new ImageValidationError(
+      "Only JPEG, PNG, GIF, WebP and AVIF images can be uploaded",
+      415
+    );
+  }
+
+  return type;
+};
+
+/**
+ * Validates an uploaded file and encodes every rendition in every output
+ * format. Returns [{ name, format, width, height, contentType, buffer }].
+ */
+const processImage = async (file) => {
+  validateImage(file);
+
+  const source = sharp(file.buffer, {
+    limitInputPixels: MAX_INPUT_PIXELS,
+  }).rotate();
+  const renditions = [];
+
+  try {
+    for (const { name, width } of RENDITIONS) {
+      for (const [format, options] of Object.entries(OUTPUT_FORMATS)) {
+        const { data, info } = await source
+          .clone()
+          .resize({ width, withoutEnlargement: true })
+          .toFormat(format, options)
+          .toBuffer({ resolveWithObject: true });
+
+        renditions.push({
+          name,
+          format,
+          width: info.width,
+          height: info.height,
+          contentType: `image/${format}`,
+          buffer: data,
+        });
+      }
+    }
+  } catch (error) {
+    throw new ImageValidationError(
+      `The image could not be processed: ${error.message}`
+    );
+  }
+
+  return renditions;
+};
+
+const isPrimaryRendition = ({ name, format }) =>
+  name === PRIMARY_RENDITION.name && format === PRIMARY_RENDITION.format;
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  tooLargeError,
+  RENDITIONS,
+  ImageValidationError,
+  detectImageType,
+  validateImage,
+  processImage,
+  isPrimaryRendition,
+};
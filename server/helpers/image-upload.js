@@ -0,0 +1,104 @@
+const path = require("path");
+const multer = require("multer");
+const {
+  ImageValidationError,
+  MAX_UPLOAD_BYTES,
+  processImage,
+  isPrimaryRendition,
+  tooLargeError,
+} = require("./image-processing");
+const { getStorage } = require("./storage");
+const { trackUpload } = require("./uploads");
+
+// Most images a gallery upload takes at once
+const MAX_UPLOAD_FILES = 10;
+
+// Configure multer for memory storage. The limits stop reading a request as
+// soon as a file is too large or there are too many, before it is buffered.
+const storage = multer.memoryStorage();
+const multerUpload = multer({
+  storage: storage,
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_UPLOAD_FILES },
+});
+
+// Multer reports files past an array's maxCount as an unexpected field
+const toUploadError = (error, maxFiles) => {
+  if (error.code === "LIMIT_FILE_SIZE") return tooLargeError();
+  if (
+    error.code === "LIMIT_FILE_COUNT" ||
+    (maxFiles > 1 && error.code === "LIMIT_UNEXPECTED_FILE")
+  ) {
+    return new ImageValidationError(
+      `At most ${maxFiles} images can be uploaded at once`
+    );
+  }
+  return new ImageValidationError(error.message);
+};
+
+// Multer errors answer like the checks in image-processing.js instead of
+// reaching Express's error handler
+const withUploadErrors = (middleware, maxFiles) => (req, res, next) =>
+  middleware(req, res, (error) => {
+    if (!(error instanceof multer.MulterError)) return next(error);
+
+    const uploadError = toUploadError(error, maxFiles);
+    res.status(uploadError.statusCode).json({
+      success: false,
+      message: uploadError.message,
+    });
+  });
+
+const upload = {
+  single: (field) => withUploadErrors(multerUpload.single(field), 1),
+  array: (field, maxCount = MAX_UPLOAD_FILES) =>
+    withUploadErrors(multerUpload.array(field, maxCount), maxCount),
+};
+
+// "Summer Shirt (1).PNG" -> "Summer-Shirt-1"
+const toFileStem = (originalName = "") =>
+  path
+    .parse(originalName)
+    .name.replace(/[^a-zA-Z0-9_-]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "image";
+
+/**
+ * Validates and re-encodes an uploaded image (see image-processing.js) and
+ * stores every rendition with the configured storage driver. `url` and
+ * `fileName` are the full size WebP rendition, `renditions` lists them all
+ * for srcset. The upload stays pending until attached (see uploads.js).
+ */
+const imageUploadUtil = async (file, folderName) => {
+  const processed = await processImage(file);
+  const baseName = `${folderName}/${Date.now()}-${toFileStem(
+    file.originalname
+  )}`;
+  const renditions = [];
+
+  for (const { buffer, contentType, ...rendition } of processed) {
+    const fileName = `${baseName}-${rendition.name}.${rendition.format}`;
+    const url = await getStorage().save(fileName, buffer, contentType);
+
+    renditions.push({ ...rendition, url, path: fileName });
+  }
+
+  const primary = renditions.find(isPrimaryRendition);
+  await trackUpload({ url: primary.url, path: primary.path, renditions });
+
+  return {
+    url: primary.url,
+    fileName: primary.path,
+    originalName: file.originalname,
+    size: file.size,
+    contentType: `image/${primary.format}`,
+    renditions,
+  };
+};
+
+const imageDeleteUtil = (fileName) => getStorage().delete(fileName);
+
+module.exports = {
+  MAX_UPLOAD_FILES,
+  upload,
+  imageUploadUtil,
+  imageDeleteUtil,
+};
@@ -0,0 +1,273 @@
+const mongoose = require("mongoose");
+const Product = require("../models/Product");
+const StockReservation = require("../models/StockReservation");
+const { findVariant, getAvailableStock } = require("./product-variants");
+
+const RESERVATION_TTL_MINUTES =
+  parseInt(process.env.RESERVATION_TTL_MINUTES, 10) || 15;
+
+const unitsNotReserved = (stock) => ({
+  $subtract: [
+    { $ifNull: [`${stock}.totalStock`, 0] },
+    { $ifNull: [`${stock}.reservedStock`, 0] },
+  ],
+});
+
+// Matches products (or the given variant of them) with at least quantity
+// units not held by reservations
+const hasAvailableStock = (quantity, variantId = null) => ({
+  $expr: {
+    $gte: [
+      variantId
+        ? {
+            $let: {
+              vars: {
+                variant: {
+                  $arrayElemAt: [
+                    {
+                      $filter: {
+                        input: { $ifNull: ["$variants", []] },
+                        cond: {
+                          $eq: [
+                            "$$this._id",
+                            new mongoose.Types.ObjectId(variantId),
+                          ],
+                        },
+                      },
+                    },
+                    0,
+                  ],
+                },
+              },
+              in: unitsNotReserved("$$variant"),
+            },
+          }
+        : unitsNotReserved("$$ROOT"),
+      quantity,
+    ],
+  },
+});
+
+// Applies stock changes to a product, and to the variant as well when one
+// is given, so the product keeps the sum of its variants' stock
+const updateStock = (productId, variantId, changes, filter = {}) => {
+  if (!variantId) {
+    return Product.updateOne({ _id: productId, ...filter }, { $inc: changes });
+  }
+
+  const $inc = { ...changes };
+  for (const [field, amount] of Object.entries(changes)) {
+    $inc[`variants.$[variant].${field}`] = amount;
+  }
+
+  return Product.updateOne(
+    { _id: productId, ...filter },
+    { $inc },
+    {
+      arrayFilters: [
+        { "variant._id": new mongoose.Types.ObjectId(variantId) },
+      ],
+    }
+  );
+};
+
+// Atomically holds quantity units of a product if enough are available
+const holdStock = ({ productId, variantId, quantity }) =>
+  updateStock(
+    productId,
+    variantId,
+    { reservedStock: quantity },
+    hasAvailableStock(quantity, variantId)
+  );
+
+const unholdStock = ({ productId, variantId, quantity }) =>
+  updateStock(productId, variantId, { reservedStock: -quantity });
+
+/**
+ * Reserves every order item against available stock
+ * (totalStock - reservedStock). Either all items are reserved or none are.
+ */
+const reserveOrderItems = async ({ reference, items }) => {
+  const held = [];
+
+  for (const item of items) {
+    const result = await holdStock(item);
+
+    if (result.modifiedCount === 0) {
+      await Promise.all(held.map((heldItem) => unholdStock(heldItem)));
+
+      const product = await Product.findById(item.productId).lean();
+      const stock = item.variantId
+        ? findVariant(product, item.variantId)
+        : product;
+
+      return {
+        success: false,
+        shortfall: {
+          productId: item.productId,
+          variantId: item.variantId || null,
+          title: item.variantLabel
+            ? `${item.title} (${item.variantLabel})`
+            : item.title,
+          availableStock: getAvailableStock(stock),
+          requestedQuantity: item.quantity,
+        },
+      };
+    }
+
+    held.push(item);
+  }
+
+  const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+
+  await StockReservation.insertMany(
+    items.map((item) => ({
+      reference,
+      productId: item.productId,
+      variantId: item.variantId || null,
+      quantity: item.quantity,
+      expiresAt,
+    }))
+  );
+
+  return { success: true, expiresAt };
+};
+
+// Moves a single active reservation to the given status. Returns the
+// reservation only if this call made the transition.
+const transitionReservation = (filter, status) =>
+  StockReservation.findOneAndUpdate(
+    { ...filter, status: "active" },
+    { $set: { status } },
+    { new: true }
+  );
+
+/**
+ * Releases every active reservation for a Paystack reference, returning
+ * the held units to available stock.
+ */
+const releaseReservations = async (reference) => {
+  const reservations = await StockReservation.find({
+    reference,
+    status: "active",
+  });
+
+  for (const reservation of reservations) {
+    const released = await transitionReservation(
+      { _id: reservation._id },
+      "released"
+    );
+
+    if (released) {
+      await unholdStock(released);
+    }
+  }
+};
+
+/**
+ * Converts the reservations for a paid order into real stock decrements.
+ * Items whose reservation expired before payment arrived are decremented
+ * only if stock is still available, otherwise reported as shortfalls.
+ * Safe to run again for the same order: every item is claimed by moving
+ * its reservation to committed, so items committed by an earlier,
+ * interrupted run are skipped.
+ */
+const commitReservations = async (reference, cartItems) => {
+  const stockShortfalls = [];
+
+  for (const item of cartItems) {
+    const variantId = item.variantId || null;
+    const itemFilter = { reference, productId: item.productId, variantId };
+    const committed = await transitionReservation(itemFilter, "committed");
+
+    if (committed) {
+      await updateStock(committed.productId, variantId, {
+        totalStock: -committed.quantity,
+        reservedStock: -committed.quantity,
+      });
+      continue;
+    }
+
+    // The hold expired: claim it, then take the units if still available
+    const expired = await StockReservation.findOneAndUpdate(
+      { ...itemFilter, status: "released" },
+      { $set: { status: "committed" } },
+      { new: true }
+    );
+
+    if (!expired) {
+      if (await StockReservation.exists({ ...itemFilter, status: "committed" }))
+        continue;
+
+      // Never reserved, record the commit so a retry skips the item too
+      await StockReservation.create({
+        ...itemFilter,
+        quantity: item.quantity,
+        status: "committed",
+        expiresAt: new Date(),
+      });
+    }
+
+    const result = await updateStock(
+      item.productId,
+      variantId,
+      { totalStock: -item.quantity },
+      hasAvailableStock(item.quantity, variantId)
+    );
+
+    if (result.modifiedCount === 0) {
+      stockShortfalls.push({
+        productId: item.productId,
+        variantId,
+        title: item.title,
+        requestedQuantity: item.quantity,
+      });
+    }
+  }
+
+  return stockShortfalls;
+};
+
+// Releases reservations whose checkout window has passed
+const releaseExpiredReservations = async () => {
+  const expired = await StockReservation.find({
+    status: "active",
+    expiresAt: { $lte: new Date() },
+  });
+
+  for (const reservation of expired) {
+    const released = await transitionReservation(
+      { _id: reservation._id },
+      "released"
+    );
+
+    if (released) {
+      await unholdStock(released);
+    }
+  }
+
+  return expired.length;
+};
+
+const startReservationSweeper = (intervalMs = 60 * 1000) => {
+  const timer = setInterval(() => {
+    releaseExpiredReservations()
+      .then((count) => {
+        if (count) console.log(`🔓 Released ${count} expired stock reservations`);
+      })
+      .catch((error) =>
+        console.error("Error releasing expired reservations:", error)
+      );
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  reserveOrderItems,
+  releaseReservations,
+  commitReservations,
+  releaseExpiredReservations,
+  startReservationSweeper,
+};
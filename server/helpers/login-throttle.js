@@ -0,0 +1,267 @@
+const LoginAttempt = require("../models/LoginAttempt");
+const { config } = require("../config");
+const { recordAuthEvent } = require("./auth-audit");
+
+const maxDate = (...dates) =>
+  dates.reduce(
+    (latest, date) => (date && (!latest || date > latest) ? date : latest),
+    null
+  );
+
+// Keeps counters in process memory. Fine for a single instance, use the
+// Mongo store when running several.
+const createMemoryAttemptStore = () => {
+  const records = new Map();
+
+  const read = (key, now = new Date()) => {
+    const record = records.get(key);
+
+    if (record && record.expiresAt <= now) {
+      records.delete(key);
+      return null;
+    }
+
+    return record || null;
+  };
+
+  return {
+    name: "memory",
+    get: async (key) => read(key),
+    recordFailure: async (key, { now, windowMs }) => {
+      const current = read(key, now);
+      const windowStart = new Date(now.getTime() - windowMs);
+      const inWindow = current && current.firstFailureAt > windowStart;
+
+      const record = {
+        ...current,
+        failures: inWindow ? current.failures + 1 : 1,
+        firstFailureAt: inWindow ? current.firstFailureAt : now,
+        expiresAt: maxDate(
+          current?.expiresAt,
+          new Date(now.getTime() + windowMs)
+        ),
+      };
+
+      records.set(key, record);
+      return record;
+    },
+    update: async (key, fields) => {
+      const current = records.get(key);
+      if (!current) return;
+
+      records.set(key, {
+        ...current,
+        ...fields,
+        expiresAt: maxDate(current.expiresAt, fields.lockedUntil),
+      });
+    },
+    reset: async (key) => {
+      records.delete(key);
+    },
+  };
+};
+
+// Shares counters between instances through the LoginAttempt collection
+const createMongoAttemptStore = () => {
+  const incrementFailures = (key, { now, windowMs }) => {
+    const inWindow = {
+      $gt: ["$firstFailureAt", new Date(now.getTime() - windowMs)],
+    };
+
+    return LoginAttempt.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            failures: {
+              $cond: [inWindow, { $add: [{ $ifNull: ["$failures", 0] }, 1] }, 1],
+            },
+            firstFailureAt: { $cond: [inWindow, "$firstFailureAt", now] },
+            expiresAt: {
+              $max: ["$expiresAt", new Date(now.getTime() + windowMs)],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    ).lean();
+  };
+
+  return {
+    name: "mongo",
+    get: (key) =>
+      LoginAttempt.findOne({ key, expiresAt: { $gt: new Date() } }).lean(),
+    recordFailure: async (key, options) => {
+      try {
+        return await incrementFailures(key, options);
+      } catch (error) {
+        // Two concurrent upserts can race on the unique key, retry once
+        if (error.code === 11000) return incrementFailures(key, options);
+        throw error;
+      }
+    },
+    update: (key, fields) =>
+      LoginAttempt.updateOne({ key }, [
+        {
+          $set: {
+            ...fields,
+            expiresAt: { $max: ["$expiresAt", fields.lockedUntil || null] },
+          },
+        },
+      ]),
+    reset: (key) => LoginAttempt.deleteOne({ key }),
+  };
+};
+
+const storeFactories = {
+  memory: createMemoryAttemptStore,
+  mongo: createMongoAttemptStore,
+};
+
+let activeStore = null;
+
+const getStore = () => {
+  if (!activeStore) {
+    const factory = storeFactories[config.auth.loginThrottle.store];
+
+    if (!factory) {
+      throw new Error(
+        `Unknown login throttle store: ${config.auth.loginThrottle.store}`
+      );
+    }
+
+    activeStore = factory();
+  }
+
+  return activeStore;
+};
+
+// Allows scripts and tests to swap in their own store
+const setAttemptStore = (store) => {
+  activeStore = store;
+};
+
+const ipKey = (ip) => `ip:${ip || "unknown"}`;
+const accountKey = (email) =>
+  `account:${String(email || "").trim().toLowerCase()}`;
+
+// Latest time at which a record stops blocking login attempts
+const blockedUntil = (record, now) => {
+  if (!record) return null;
+
+  const until = maxDate(record.lockedUntil, record.nextAttemptAt);
+  return until && until > now ? until : null;
+};
+
+/**
+ * Checks whether a login attempt for this IP and email may be evaluated.
+ * Returns { allowed: true } or { allowed: false, retryAfterSeconds }.
+ */
+const checkLoginAllowed = async ({ ip, email }) => {
+  const store = getStore();
+  const now = new Date();
+
+  const records = await Promise.all([
+    store.get(ipKey(ip)),
+    store.get(accountKey(email)),
+  ]);
+
+  const until = maxDate(...records.map((record) => blockedUntil(record, now)));
+
+  if (!until) return { allowed: true };
+
+  return {
+    allowed: false,
+    retryAfterSeconds: Math.ceil((until.getTime() - now.getTime()) / 1000),
+  };
+};
+
+/**
+ * Counts a failed login against both the IP and the account. Failures past
+ * freeAttempts must wait an exponentially growing delay before the next
+ * attempt; reaching the maximum locks the account or blocks the IP.
+ */
+const recordLoginFailure = async ({ ip, email, userId }) => {
+  const settings = config.auth.loginThrottle;
+  const store = getStore();
+  const now = new Date();
+  const windowMs = settings.windowMinutes * 60 * 1000;
+  const lockedUntil = new Date(
+    now.getTime() + settings.lockoutMinutes * 60 * 1000
+  );
+
+  const [ipRecord, accountRecord] = await Promise.all([
+    store.recordFailure(ipKey(ip), { now, windowMs }),
+    store.recordFailure(accountKey(email), { now, windowMs }),
+  ]);
+
+  if (accountRecord.failures >= settings.maxAccountAttempts) {
+    if (!(accountRecord.lockedUntil > now)) {
+      await store.update(accountKey(email), { lockedUntil });
+      await recordAuthEvent({
+        type: "account_locked",
+        userId,
+        email,
+        ip,
+        details: { failures: accountRecord.failures, lockedUntil },
+      });
+    }
+  } else if (accountRecord.failures > settings.freeAttempts) {
+    const delaySeconds = Math.min(
+      settings.baseDelaySeconds *
+        2 ** (accountRecord.failures - settings.freeAttempts - 1),
+      settings.maxDelaySeconds
+    );
+
+    await store.update(accountKey(email), {
+      nextAttemptAt: new Date(now.getTime() + delaySeconds * 1000),
+    });
+  }
+
+  if (
+    ipRecord.failures >= settings.maxIpAttempts &&
+    !(ipRecord.lockedUntil > now)
+  ) {
+    await store.update(ipKey(ip), { lockedUntil });
+    await recordAuthEvent({
+      type: "ip_blocked",
+      ip,
+      details: { failures: ipRecord.failures, lockedUntil },
+    });
+  }
+};
+
+// A successful login clears the account counters. IP counters are kept so
+// one valid account cannot be used to reset guessing against others.
+const recordLoginSuccess = ({ email }) => getStore().reset(accountKey(email));
+
+/**
+ * Clears the lockout and failure counters of an account. Returns whether
+ * the account was locked at the time.
+ */
+const unlockAccount = async ({ email, userId, actorId }) => {
+  const store = getStore();
+  const record = await store.get(accountKey(email));
+  const wasLocked = Boolean(record?.lockedUntil > new Date());
+
+  await store.reset(accountKey(email));
+  await recordAuthEvent({
+    type: "account_unlocked",
+    userId,
+    email,
+    actorId,
+    details: { wasLocked },
+  });
+
+  return { wasLocked };
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  unlockAccount,
+  setAttemptStore,
+  createMemoryAttemptStore,
+  createMongoAttemptStore,
+};
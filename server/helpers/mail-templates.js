@@ -0,0 +1,40 @@
+// Plain text and HTML bodies for transactional emails
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const passwordResetEmail = ({ userName, resetUrl, expiresInMinutes }) => ({
+  subject: "Reset your password",
+  text: `Hi ${userName},
+
+We received a request to reset your password. Open the link below to choose a new one:
+
+${resetUrl}
+
+This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset you can ignore this email.`,
+  html: `<p>Hi ${escapeHtml(userName)},</p>
+<p>We received a request to reset your password. Click the link below to choose a new one:</p>
+<p><a href="${resetUrl}">Reset password</a></p>
+<p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not request a reset you can ignore this email.</p>`,
+});
+
+const emailVerificationEmail = ({ userName, verifyUrl, expiresInHours }) => ({
+  subject: "Verify your email address",
+  text: `Hi ${userName},
+
+Please confirm this is your email address by opening the link below:
+
+${verifyUrl}
+
+This link expires in ${expiresInHours} hours.`,
+  html: `<p>Hi ${escapeHtml(userName)},</p>
+<p>Please confirm this is your email address by clicking the link below:</p>
+<p><a href="${verifyUrl}">Verify email</a></p>
+<p>This link expires in ${expiresInHours} hours.</p>`,
+});
+
+module.exports = { passwordResetEmail, emailVerificationEmail };
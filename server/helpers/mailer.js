@@ -0,0 +1,75 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { config } = require("../config");
+
+// Sends through a real SMTP server
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+  const nodemailer = require("nodemailer");
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transporter.sendMail(message),
+  };
+};
+
+// Writes each message as a JSON file so development and tests can read
+// links out of emails without a mail server
+const createOutboxTransport = ({ outboxDir }) => ({
+  name: "outbox",
+  send: async (message) => {
+    await fs.mkdir(outboxDir, { recursive: true });
+
+    const messageId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(outboxDir, `${messageId}.json`);
+
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+
+    console.log(`📧 Email to ${message.to} written to ${filePath}`);
+    return { messageId };
+  },
+});
+
+const transportFactories = {
+  smtp: () => createSmtpTransport(config.mail.smtp),
+  outbox: () => createOutboxTransport(config.mail),
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+  if (!activeTransport) {
+    const factory = transportFactories[config.mail.transport];
+
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${config.mail.transport}`);
+    }
+
+    activeTransport = factory();
+  }
+
+  return activeTransport;
+};
+
+// Allows scripts and tests to swap in their own transport
+const setTransport = (transport) => {
+  activeTransport = transport;
+};
+
+const sendMail = ({ to, subject, text, html }) =>
+  getTransport().send({ from: config.mail.from, to, subject, text, html });
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createSmtpTransport,
+  createOutboxTransport,
+};
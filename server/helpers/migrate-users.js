@@ -0,0 +1,121 @@
+// User store migration
+// Copies every user from one user store to the other keeping their ids, so
+// carts, orders, addresses and refresh tokens stay attached to their owner.
+// Run with: node helpers/migrate-users.js --from firestore --to mongo
+// Options: --dry-run (report only), --overwrite (update users that already
+// exist in the target instead of skipping them)
+// Then set USER_STORE to the target store and restart the server.
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { createUserRepository } = require("./user-repository");
+
+const BATCH_SIZE = 200;
+const STORES = ["firestore", "mongo"];
+
+const parseArgs = (argv) => {
+  const valueOf = (flag) => {
+    const index = argv.indexOf(flag);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+
+  return {
+    from: valueOf("--from"),
+    to: valueOf("--to"),
+    dryRun: argv.includes("--dry-run"),
+    overwrite: argv.includes("--overwrite"),
+  };
+};
+
+const migrateUsers = async ({ from, to, dryRun, overwrite }) => {
+  const source = createUserRepository(from);
+  const target = createUserRepository(to);
+  const summary = { copied: 0, updated: 0, skipped: 0, conflicts: [] };
+
+  let startAfterId = null;
+
+  for (;;) {
+    const users = await source.list({ startAfterId, limit: BATCH_SIZE });
+    if (!users.length) break;
+
+    for (const user of users) {
+      const existing = await target.findById(user.id);
+
+      if (existing && !overwrite) {
+        summary.skipped++;
+        continue;
+      }
+
+      try {
+        if (existing) {
+          const { id, ...fields } = user;
+          if (!dryRun) await target.update(id, fields);
+          summary.updated++;
+        } else {
+          if (!dryRun) await target.create(user);
+          summary.copied++;
+        }
+      } catch (error) {
+        // Another user in the target already has this email
+        if (error.code !== "EMAIL_TAKEN") throw error;
+        summary.conflicts.push({ id: user.id, email: user.email });
+      }
+    }
+
+    startAfterId = users[users.length - 1].id;
+    console.log(`… processed users up to ${startAfterId}`);
+  }
+
+  return summary;
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (
+    !STORES.includes(options.from) ||
+    !STORES.includes(options.to) ||
+    options.from === options.to
+  ) {
+    console.error(
+      "Usage: node helpers/migrate-users.js --from <firestore|mongo> --to <firestore|mongo> [--dry-run] [--overwrite]"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    console.log(
+      `🚚 Migrating users from ${options.from} to ${options.to}${
+        options.dryRun ? " (dry run)" : ""
+      }...`
+    );
+
+    const summary = await migrateUsers(options);
+
+    console.log(`✅ Copied: ${summary.copied}`);
+    console.log(`✅ Updated: ${summary.updated}`);
+    console.log(`⏭️  Skipped (already in ${options.to}): ${summary.skipped}`);
+
+    if (summary.conflicts.length) {
+      console.log(`⚠️  Email conflicts: ${summary.conflicts.length}`);
+      summary.conflicts.forEach(({ id, email }) =>
+        console.log(`   ${id} ${email}`)
+      );
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("❌ Migration failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { migrateUsers };
@@ -0,0 +1,125 @@
+const Cart = require("../models/Cart");
+const {
+  getVariantLabel,
+  getVariantPrices,
+  resolveVariant,
+} = require("./product-variants");
+
+// Prices are compared in minor units (kobo/cents) so floating point
+// rounding never makes an honest client look like it tampered with a total
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+const fromMinorUnits = (amount) => amount / 100;
+
+// The price a shopper actually pays for one unit of a product or variant
+const getUnitPrice = (product, variant = null) => {
+  const { price, salePrice } = getVariantPrices(product, variant);
+  return salePrice > 0 ? salePrice : price;
+};
+
+class PricingError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "PricingError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Builds a priced quote from the user's stored cart and the current
+ * product prices. Nothing from the request body is trusted here.
+ */
+const buildQuoteForUser = async (userId) => {
+  const cart = await Cart.findOne({ userId }).populate({
+    path: "items.productId",
+    select: "image title price salePrice totalStock variants",
+  });
+
+  if (!cart || !cart.items.length) {
+    throw new PricingError("Your cart is empty", 400);
+  }
+
+  const items = [];
+  let subtotalMinor = 0;
+
+  for (const item of cart.items) {
+    const product = item.productId;
+    const { variant, error } = product
+      ? resolveVariant(product, item.variantId)
+      : {};
+
+    if (!product || error) {
+      throw new PricingError(
+        "Some products in your cart are no longer available",
+        409
+      );
+    }
+
+    const unitPriceMinor = toMinorUnits(getUnitPrice(product, variant));
+    const { price, salePrice } = getVariantPrices(product, variant);
+    const lineTotalMinor = unitPriceMinor * item.quantity;
+    subtotalMinor += lineTotalMinor;
+
+    items.push({
+      productId: product._id.toString(),
+      variantId: variant ? variant._id.toString() : null,
+      variantLabel: getVariantLabel(variant),
+      sku: variant?.sku || "",
+      title: product.title,
+      image: variant?.image || product.image,
+      price,
+      salePrice,
+      unitPrice: fromMinorUnits(unitPriceMinor),
+      quantity: item.quantity,
+      lineTotal: fromMinorUnits(lineTotalMinor),
+    });
+  }
+
+  return {
+    cartId: cart._id.toString(),
+    currency: process.env.PAYSTACK_CURRENCY || "NGN",
+    items,
+    itemCount: items.reduce((sum, item) => sum + item.quantity, 0),
+    subtotal: fromMinorUnits(subtotalMinor),
+    totalAmount: fromMinorUnits(subtotalMinor),
+  };
+};
+
+/**
+ * Returns true when the totals the client displayed to the shopper differ
+ * from the server quote. Clients that do not send numbers are not compared.
+ */
+const quoteDiffersFromClient = (quote, { cartItems, totalAmount }) => {
+  if (
+    totalAmount !== undefined &&
+    toMinorUnits(totalAmount) !== toMinorUnits(quote.totalAmount)
+  ) {
+    return true;
+  }
+
+  if (!Array.isArray(cartItems)) return false;
+
+  if (cartItems.length !== quote.items.length) return true;
+
+  return cartItems.some((clientItem) => {
+    const quotedItem = quote.items.find(
+      (item) =>
+        item.productId === String(clientItem.productId) &&
+        item.variantId === (clientItem.variantId || null)
+    );
+
+    return (
+      !quotedItem ||
+      quotedItem.quantity !== Number(clientItem.quantity) ||
+      (clientItem.price !== undefined &&
+        toMinorUnits(clientItem.price) !== toMinorUnits(quotedItem.unitPrice))
+    );
+  });
+};
+
+module.exports = {
+  PricingError,
+  getUnitPrice,
+  toMinorUnits,
+  buildQuoteForUser,
+  quoteDiffersFromClient,
+};
@@ -0,0 +1,195 @@
+const Order = require("../models/Order");
+const Cart = require("../models/Cart");
+const PaymentEvent = require("../models/PaymentEvent");
+const { toMinorUnits } = require("./order-pricing");
+const {
+  commitReservations,
+  releaseReservations,
+} = require("./inventory-reservations");
+const { refreshUnitsSold } = require("./product-sales");
+
+// Records that a source (callback or webhook) delivered an event for a
+// reference. Safe to call concurrently thanks to the unique index.
+const recordPaymentEvent = async ({
+  reference,
+  event,
+  source,
+  transactionId,
+  orderId,
+}) => {
+  try {
+    return await PaymentEvent.findOneAndUpdate(
+      { reference, event },
+      {
+        $setOnInsert: { transactionId, orderId, processedAt: new Date() },
+        $addToSet: { sources: source },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two concurrent upserts can race on the unique index, retry once
+    if (error.code === 11000) {
+      return PaymentEvent.findOneAndUpdate(
+        { reference, event },
+        { $addToSet: { sources: source } },
+        { new: true }
+      );
+    }
+    throw error;
+  }
+};
+
+// Commits the stock of a paid order, clears its cart and recounts its units
+// sold. Every step can run again, so an interrupted run is simply repeated
+// until the order is marked fulfilled.
+const fulfillOrder = async (order, reference) => {
+  const stockShortfalls = await commitReservations(reference, order.cartItems);
+
+  if (stockShortfalls.length) {
+    console.error(
+      `Order ${order._id} paid with insufficient stock:`,
+      stockShortfalls
+    );
+  }
+
+  if (order.cartId) {
+    await Cart.findByIdAndDelete(order.cartId);
+  }
+
+  await refreshUnitsSold(order.cartItems.map((item) => item.productId));
+
+  await Order.updateOne(
+    { _id: order._id, fulfillmentStatus: "pending" },
+    { $set: { fulfillmentStatus: "done" } }
+  );
+
+  return stockShortfalls;
+};
+
+/**
+ * Marks the order for a Paystack reference as paid, commits its stock
+ * reservations and clears the cart exactly once. Any number of calls from
+ * the payment callback and the charge.success webhook may race; only the
+ * call that wins the atomic order transition performs the side effects.
+ * If they fail part way the order stays paid with fulfillment pending,
+ * and any later call completes them before reporting alreadyProcessed.
+ */
+const finalizeSuccessfulPayment = async ({
+  reference,
+  source,
+  transactionId,
+  amountPaid,
+  payerEmail,
+}) => {
+  const existingOrder = await Order.findOne({ paymentId: reference });
+
+  if (!existingOrder) {
+    return { success: false, reason: "ORDER_NOT_FOUND" };
+  }
+
+  if (
+    amountPaid !== undefined &&
+    toMinorUnits(amountPaid) !== toMinorUnits(existingOrder.totalAmount)
+  ) {
+    console.error(
+      `Amount mismatch for reference ${reference}: paid ${amountPaid}, expected ${existingOrder.totalAmount}`
+    );
+    return { success: false, reason: "AMOUNT_MISMATCH", order: existingOrder };
+  }
+
+  // Atomic compare-and-set: only one caller can move the order to paid
+  const order = await Order.findOneAndUpdate(
+    { _id: existingOrder._id, paymentStatus: { $ne: "paid" } },
+    {
+      $set: {
+        paymentStatus: "paid",
+        orderStatus: "confirmed",
+        fulfillmentStatus: "pending",
+        payerId: payerEmail || existingOrder.payerId,
+        orderUpdateDate: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (!order) {
+    const paidOrder = await Order.findById(existingOrder._id);
+    const stockShortfalls =
+      paidOrder.fulfillmentStatus === "pending"
+        ? await fulfillOrder(paidOrder, reference)
+        : [];
+
+    await recordPaymentEvent({
+      reference,
+      event: "charge.success",
+      source,
+      transactionId,
+      orderId: existingOrder._id.toString(),
+    });
+
+    return {
+      success: true,
+      alreadyProcessed: true,
+      order: await Order.findById(existingOrder._id),
+      stockShortfalls,
+    };
+  }
+
+  const stockShortfalls = await fulfillOrder(order, reference);
+
+  await recordPaymentEvent({
+    reference,
+    event: "charge.success",
+    source,
+    transactionId,
+    orderId: order._id.toString(),
+  });
+
+  return {
+    success: true,
+    alreadyProcessed: false,
+    order: await Order.findById(order._id),
+    stockShortfalls,
+  };
+};
+
+/**
+ * Marks the order for a reference as failed and releases its stock
+ * reservations unless it has already been paid, so a late charge.failed
+ * event cannot undo a confirmed order.
+ */
+const finalizeFailedPayment = async ({ reference, source, transactionId }) => {
+  const order = await Order.findOneAndUpdate(
+    { paymentId: reference, paymentStatus: { $nin: ["paid", "failed"] } },
+    {
+      $set: {
+        paymentStatus: "failed",
+        orderStatus: "cancelled",
+        orderUpdateDate: new Date(),
+      },
+    },
+    { new: true }
+  );
+
+  if (order) {
+    await releaseReservations(reference);
+  }
+
+  const currentOrder = order || (await Order.findOne({ paymentId: reference }));
+
+  if (!currentOrder) {
+    return { success: false, reason: "ORDER_NOT_FOUND" };
+  }
+
+  await recordPaymentEvent({
+    reference,
+    event: "charge.failed",
+    source,
+    transactionId,
+    orderId: currentOrder._id.toString(),
+  });
+
+  return { success: true, alreadyProcessed: !order, order: currentOrder };
+};
+
+module.exports = { finalizeSuccessfulPayment, finalizeFailedPayment };
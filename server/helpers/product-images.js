@@ -0,0 +1,24 @@
+const { deleteUploadedImages } = require("./uploads");
+
+/**
+ * Deletes the stored files of images a product no longer shows. Images
+ * whose URL is still in use (keptUrls, or shown anywhere else) stay.
+ */
+const deleteRemovedImages = async (previousImages = [], keptUrls = []) => {
+  const kept = new Set(keptUrls.filter(Boolean));
+
+  await deleteUploadedImages(
+    previousImages.filter((image) => !kept.has(image.url))
+  );
+};
+
+// URLs a product displays, from its gallery and its variants
+const getProductImageUrls = (product) => [
+  ...(product.images || []).map((image) => image.url),
+  ...(product.variants || []).map((variant) => variant.image),
+];
+
+module.exports = {
+  deleteRemovedImages,
+  getProductImageUrls,
+};
@@ -0,0 +1,1341 @@
+const mongoose = require("mongoose");
+const { config } = require("../config");
+const {
+  SEARCH_WEIGHTS,
+  toSearchTerms,
+  termPattern,
+  createSearchIndex,
+} = require("./product-search");
+
+// Products are plain objects: { id, _id, title, price, ..., availableStock }.
+// `_id` mirrors `id` for the existing client and `availableStock` is derived
+// from totalStock and reservedStock, so neither is ever written to a store.
+// `discountPercent` is worked out from price and salePrice on every write
+// and `unitsSold` is kept by product-sales.js, so both can be sorted on.
+// Variants (see product-variants.js) get the same `id`/`_id` and
+// `availableStock`, and a product with variants stocks their sum.
+// `images` is the ordered gallery with exactly one primary image, whose URL
+// is also written to `image`. Products saved before galleries existed read
+// back with their single image as the gallery.
+//
+// Every adapter implements the same interface:
+//   list({ ...filters, sortBy, page, limit, cursor })
+//     -> { items, total, page, totalPages, nextCursor }
+//   facets(filters) -> { category, brand, price, rating } counts
+//   search({ query, ...filters, sortBy, page, limit })
+//     -> { items, total, page, totalPages, nextCursor: null }
+//   findById(id), create(fields), update(id, changes), put(product), delete(id)
+//   findImageUrlsInUse(urls) -> Set of the urls a product shows
+//
+// Listing pages either by number (page) or by the opaque nextCursor of the
+// previous page, which reads no skipped products. Ties on the sort field are
+// broken by id in the same direction so both modes return a stable order.
+// Searches sort by relevance unless given one of the listing orders, and
+// page by number only since there is no relevance field a cursor could hold.
+
+const SORT_ORDERS = {
+  "price-lowtohigh": { field: "price", direction: "asc" },
+  "price-hightolow": { field: "price", direction: "desc" },
+  "title-atoz": { field: "title", direction: "asc" },
+  "title-ztoa": { field: "title", direction: "desc" },
+  newest: { field: "createdAt", direction: "desc", type: "date" },
+  "rating-hightolow": { field: "averageReview", direction: "desc" },
+  bestselling: { field: "unitsSold", direction: "desc" },
+  "discount-hightolow": { field: "discountPercent", direction: "desc" },
+};
+
+const DEFAULT_SORT = "price-lowtohigh";
+
+// Best match first, search only
+const RELEVANCE_SORT = "relevance";
+
+const resolveSort = (sortBy) => {
+  const key = SORT_ORDERS[sortBy] ? sortBy : DEFAULT_SORT;
+  return { key, ...SORT_ORDERS[key] };
+};
+
+class ProductRepositoryError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "ProductRepositoryError";
+    this.code = code;
+  }
+}
+
+const invalidCursorError = () =>
+  new ProductRepositoryError("Invalid or expired cursor", "INVALID_CURSOR");
+
+// A cursor holds the sort order, sort value and id of the last product.
+// Dates are kept as ISO strings and read back as dates.
+const encodeCursor = ({ key, field }, product) =>
+  Buffer.from(
+    JSON.stringify([key, product[field] ?? null, product.id])
+  ).toString("base64url");
+
+const decodeCursor = (cursor, { key, type }) => {
+  let decoded = null;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw invalidCursorError();
+  }
+
+  // Only valid for the sort order it was issued for
+  if (
+    !Array.isArray(decoded) ||
+    decoded[0] !== key ||
+    typeof decoded[2] !== "string"
+  ) {
+    throw invalidCursorError();
+  }
+
+  if (type === "date" && decoded[1] !== null) {
+    const date = new Date(decoded[1]);
+    if (Number.isNaN(date.getTime())) throw invalidCursorError();
+
+    return { value: date, id: decoded[2] };
+  }
+
+  return { value: decoded[1], id: decoded[2] };
+};
+
+const DERIVED_FIELDS = [
+  "id",
+  "_id",
+  "availableStock",
+  "discountPercent",
+  "__v",
+];
+
+// Admin forms submit numbers as strings; Mongoose casts them but the other
+// stores would keep strings and sort them lexically
+const NUMERIC_FIELDS = [
+  "price",
+  "salePrice",
+  "totalStock",
+  "reservedStock",
+  "averageReview",
+  "unitsSold",
+];
+
+// Ids are ObjectId strings in every store so a product keeps its id when it
+// is mirrored, and carts and orders in Mongo can still reference it
+const newProductId = () => new mongoose.Types.ObjectId().toString();
+
+// Percentage off the list price, 0 without a sale price below it
+const discountPercent = ({ price, salePrice }) =>
+  price > 0 && salePrice > 0 && salePrice < price
+    ? Math.round(((price - salePrice) / price) * 10000) / 100
+    : 0;
+
+// A blank variant price means the product's price applies
+const toStoredVariant = ({ id, _id, availableStock, price, ...variant }) => ({
+  ...variant,
+  ...(price !== undefined &&
+    price !== null &&
+    price !== "" && { price: Number(price) }),
+  _id: String(_id || id || newProductId()),
+  totalStock: Number(variant.totalStock) || 0,
+  reservedStock: Number(variant.reservedStock) || 0,
+});
+
+// Keeps the order and makes the first image marked primary the only one,
+// falling back to the first image
+const toStoredImages = (images) => {
+  const stored = images
+    .filter((image) => image?.url)
+    .map(({ url, alt, path, isPrimary, renditions }) => ({
+      url: String(url),
+      alt: String(alt || ""),
+      path: String(path || ""),
+      isPrimary: Boolean(isPrimary),
+      renditions: Array.isArray(renditions) ? renditions : [],
+    }));
+  const primaryIndex = Math.max(
+    stored.findIndex((image) => image.isPrimary),
+    0
+  );
+
+  return stored.map((image, index) => ({
+    ...image,
+    isPrimary: index === primaryIndex,
+  }));
+};
+
+const sumOf = (items, field) =>
+  items.reduce((sum, item) => sum + (item[field] || 0), 0);
+
+const toStoredFields = (product) => {
+  const fields = Object.fromEntries(
+    Object.entries(product)
+      .filter(
+        ([field, value]) =>
+          !DERIVED_FIELDS.includes(field) && value !== undefined
+      )
+      .map(([field, value]) => [
+        field,
+        NUMERIC_FIELDS.includes(field) && typeof value === "string"
+          ? Number(value)
+          : value,
+      ])
+  );
+
+  if (Array.isArray(fields.variants)) {
+    fields.variants = fields.variants.map(toStoredVariant);
+
+    if (fields.variants.length) {
+      fields.totalStock = sumOf(fields.variants, "totalStock");
+      fields.reservedStock = sumOf(fields.variants, "reservedStock");
+    }
+  }
+
+  if (Array.isArray(fields.images)) {
+    fields.images = toStoredImages(fields.images);
+    fields.image =
+      fields.images.find((image) => image.isPrimary)?.url || "";
+  }
+
+  return "price" in fields || "salePrice" in fields
+    ? { ...fields, discountPercent: discountPercent(fields) }
+    : fields;
+};
+
+// Reservations are only changed by checkouts, so variants an update
+// replaces keep the units their stored copy holds
+const withStoredReservations = (variants, stored) =>
+  variants.map((variant) => ({
+    ...variant,
+    reservedStock:
+      stored?.variants.find(
+        ({ id }) => id === String(variant._id || variant.id)
+      )?.reservedStock || 0,
+  }));
+
+// An update changing only one of price and salePrice takes the other from
+// the stored product, so discountPercent is worked out from both. One
+// replacing the variants takes their reservations from it.
+const withStoredFields = async (changes, findStored) => {
+  const needsPricing = "price" in changes !== "salePrice" in changes;
+  const needsReservations = Array.isArray(changes.variants);
+  if (!needsPricing && !needsReservations) return changes;
+
+  const stored = await findStored();
+  if (!stored) return changes;
+
+  return {
+    ...(needsPricing && { price: stored.price, salePrice: stored.salePrice }),
+    ...changes,
+    ...(needsReservations && {
+      variants: withStoredReservations(changes.variants, stored),
+    }),
+  };
+};
+
+const withAvailableStock = (fields) => ({
+  ...fields,
+  availableStock: Math.max(
+    (fields.totalStock || 0) - (fields.reservedStock || 0),
+    0
+  ),
+});
+
+const toProduct = (id, fields) => ({
+  ...withAvailableStock(fields),
+  id,
+  _id: id,
+  variants: (fields.variants || []).map((variant) => ({
+    ...withAvailableStock(variant),
+    id: String(variant._id),
+    _id: String(variant._id),
+  })),
+  options: fields.options || [],
+  images: fields.images?.length
+    ? fields.images
+    : fields.image
+    ? [{ url: fields.image, alt: fields.title || "", isPrimary: true }]
+    : [],
+});
+
+// Adapters read one product past the limit to tell whether more follow
+const toPage = ({ items, total, page, limit, sort }) => {
+  const hasMore = Boolean(limit) && items.length > limit;
+  const pageItems = hasMore ? items.slice(0, limit) : items;
+
+  return {
+    items: pageItems,
+    total,
+    page: page || null,
+    totalPages: limit ? Math.ceil(total / limit) : total ? 1 : 0,
+    nextCursor: hasMore
+      ? encodeCursor(sort, pageItems[pageItems.length - 1])
+      : null,
+  };
+};
+
+/**
+ * Listing filters, all optional:
+ *   categories, brands   any of the values
+ *   minPrice, maxPrice   on the sale price when set, otherwise the price
+ *   belowPrice           same price strictly under this, for price buckets
+ *   minRating            averageReview at least this
+ *   inStock              only products with available stock
+ *   onSale               only products with a sale price
+ */
+const effectivePrice = (product) =>
+  product.salePrice > 0 ? product.salePrice : product.price;
+
+const hasValueFilters = ({
+  minPrice,
+  maxPrice,
+  belowPrice,
+  minRating,
+  inStock,
+  onSale,
+}) =>
+  minPrice != null ||
+  maxPrice != null ||
+  belowPrice != null ||
+  minRating != null ||
+  Boolean(inStock) ||
+  Boolean(onSale);
+
+const matchesFilters = (
+  product,
+  {
+    categories = [],
+    brands = [],
+    minPrice,
+    maxPrice,
+    belowPrice,
+    minRating,
+    inStock,
+    onSale,
+  }
+) =>
+  (!categories.length || categories.includes(product.category)) &&
+  (!brands.length || brands.includes(product.brand)) &&
+  (minPrice == null || effectivePrice(product) >= minPrice) &&
+  (maxPrice == null || effectivePrice(product) <= maxPrice) &&
+  (belowPrice == null || effectivePrice(product) < belowPrice) &&
+  (minRating == null || product.averageReview >= minRating) &&
+  (!inStock || product.availableStock > 0) &&
+  (!onSale || product.salePrice > 0);
+
+// Fixed price buckets on the effective price from min up to but not
+// including max, so a product priced 25 is only in "25-50". Picking one
+// filters on minPrice and belowPrice and lists exactly its count.
+const PRICE_BUCKETS = [
+  { id: "0-25", min: 0, max: 25 },
+  { id: "25-50", min: 25, max: 50 },
+  { id: "50-100", min: 50, max: 100 },
+  { id: "100-200", min: 100, max: 200 },
+  { id: "200+", min: 200, max: null },
+];
+
+// Rating facets count products at or above each threshold ("4 stars & up")
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Each facet is counted under every filter except its own, so shoppers see
+// what picking another value of the same facet would give
+const OWN_FILTERS = {
+  category: { categories: [] },
+  brand: { brands: [] },
+  price: { minPrice: undefined, maxPrice: undefined, belowPrice: undefined },
+  rating: { minRating: undefined },
+};
+
+const filtersWithout = (filters, facet) => ({
+  ...filters,
+  ...OWN_FILTERS[facet],
+});
+
+const inPriceBucket = (price, { min, max }) =>
+  price >= min && (max === null || price < max);
+
+const countValues = (products, field) => {
+  const counts = new Map();
+
+  products.forEach((product) => {
+    const value = product[field];
+    if (value != null && value !== "") {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+  });
+
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+};
+
+// Facet counts over products already read into memory
+const computeFacets = (products, filters) => {
+  const matching = (facet) =>
+    products.filter((product) =>
+      matchesFilters(product, filtersWithout(filters, facet))
+    );
+
+  const priced = matching("price").map(effectivePrice);
+  const rated = matching("rating").map((product) => product.averageReview);
+
+  return {
+    category: countValues(matching("category"), "category"),
+    brand: countValues(matching("brand"), "brand"),
+    price: PRICE_BUCKETS.map((bucket) => ({
+      ...bucket,
+      count: priced.filter((price) => inPriceBucket(price, bucket)).length,
+    })),
+    rating: RATING_THRESHOLDS.map((minRating) => ({
+      minRating,
+      count: rated.filter((rating) => rating >= minRating).length,
+    })),
+  };
+};
+
+// Listing order in JavaScript, matching the stores: products without the
+// field first (ascending), then by value, then by id in the same direction
+const compareProducts = ({ field, direction }) => (a, b) => {
+  const [left, right] = [a[field], b[field]];
+  let result = 0;
+
+  if (left == null || right == null) {
+    result = (left == null ? 0 : 1) - (right == null ? 0 : 1);
+  } else if (left < right) result = -1;
+  else if (left > right) result = 1;
+
+  if (!result) result = a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+  return direction === "desc" ? -result : result;
+};
+
+// Pages a fully filtered and sorted list the way the stores do
+const pageInMemory = (matching, { sort, after, page, limit }) => {
+  let items = matching;
+
+  if (after) {
+    const last = { [sort.field]: after.value, id: after.id };
+    items = matching.filter(
+      (product) => compareProducts(sort)(product, last) > 0
+    );
+  } else if (limit) {
+    items = matching.slice((page - 1) * limit);
+  }
+
+  return toPage({
+    items: limit ? items.slice(0, limit + 1) : items,
+    total: matching.length,
+    page: !after && page,
+    limit,
+    sort,
+  });
+};
+
+const toSearchPage = (items, { total, page, limit }) => ({
+  items,
+  total,
+  page,
+  totalPages: limit ? Math.ceil(total / limit) : total ? 1 : 0,
+  nextCursor: null,
+});
+
+// Highest score first, ties in id order
+const compareMatches = (a, b) =>
+  b.score - a.score ||
+  (a.product.id < b.product.id ? -1 : a.product.id > b.product.id ? 1 : 0);
+
+// Filters, orders and pages the { product, score } matches of a search index
+const searchInMemory = (matches, { sortBy, page = 1, limit, ...filters }) => {
+  const matching = matches.filter(({ product }) =>
+    matchesFilters(product, filters)
+  );
+  const ordered = SORT_ORDERS[sortBy]
+    ? matching
+        .map(({ product }) => product)
+        .sort(compareProducts(resolveSort(sortBy)))
+    : matching.sort(compareMatches).map(({ product }) => product);
+
+  return toSearchPage(
+    limit ? ordered.slice((page - 1) * limit, page * limit) : ordered,
+    { total: ordered.length, page, limit }
+  );
+};
+
+// URLs a product shows, in its gallery, as its image or on a variant
+const productImageUrls = (product) => [
+  product.image,
+  ...(product.images || []).map((image) => image.url),
+  ...(product.variants || []).map((variant) => variant.image),
+];
+
+const imageUrlsInUse = (products, urls) => {
+  const wanted = new Set(urls);
+
+  return new Set(
+    products.flatMap(productImageUrls).filter((url) => wanted.has(url))
+  );
+};
+
+const chunk = (values, size) =>
+  Array.from({ length: Math.ceil(values.length / size) }, (_, index) =>
+    values.slice(index * size, (index + 1) * size)
+  );
+
+// Keeps products in MongoDB, where carts, orders and stock reservations live
+const createMongoProductRepository = () => {
+  const Product = require("../models/Product");
+
+  const fromDocument = (document) => {
+    if (!document) return null;
+
+    const { _id, __v, ...fields } = document;
+    return toProduct(_id.toString(), fields);
+  };
+
+  const findById = async (id) => {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return fromDocument(await Product.findById(id).lean());
+  };
+
+  const toMongoFilter = ({
+    categories = [],
+    brands = [],
+    minPrice,
+    maxPrice,
+    belowPrice,
+    minRating,
+    inStock,
+    onSale,
+  }) => {
+    const conditions = [];
+
+    if (categories.length) conditions.push({ category: { $in: categories } });
+    if (brands.length) conditions.push({ brand: { $in: brands } });
+
+    if (minPrice != null || maxPrice != null || belowPrice != null) {
+      const range = {
+        ...(minPrice != null && { $gte: minPrice }),
+        ...(maxPrice != null && { $lte: maxPrice }),
+        ...(belowPrice != null && { $lt: belowPrice }),
+      };
+
+      conditions.push({
+        $or: [
+          { salePrice: { $gt: 0, ...range } },
+          { salePrice: { $not: { $gt: 0 } }, price: range },
+        ],
+      });
+    }
+
+    if (minRating != null) {
+      conditions.push({ averageReview: { $gte: minRating } });
+    }
+
+    if (inStock) {
+      conditions.push({
+        $expr: {
+          $gt: [
+            {
+              $subtract: [
+                { $ifNull: ["$totalStock", 0] },
+                { $ifNull: ["$reservedStock", 0] },
+              ],
+            },
+            0,
+          ],
+        },
+      });
+    }
+
+    if (onSale) conditions.push({ salePrice: { $gt: 0 } });
+
+    return conditions.length ? { $and: conditions } : {};
+  };
+
+  // Matches the products that sort after the cursor
+  const afterCursor = ({ field, direction }, { value, id }) => {
+    if (!mongoose.isValidObjectId(id)) throw invalidCursorError();
+
+    const operator = direction === "asc" ? "$gt" : "$lt";
+    const sameValueLaterId = {
+      [field]: value,
+      _id: { [operator]: new mongoose.Types.ObjectId(id) },
+    };
+
+    // Missing values sort first ascending and last descending
+    if (value === null) {
+      return direction === "asc"
+        ? { $or: [{ [field]: { $ne: null } }, sameValueLaterId] }
+        : sameValueLaterId;
+    }
+
+    return {
+      $or: [
+        { [field]: { [operator]: value } },
+        sameValueLaterId,
+        ...(direction === "desc" ? [{ [field]: null }] : []),
+      ],
+    };
+  };
+
+  const MAX_UPDATE_ATTEMPTS = 5;
+
+  // The product's and every variant's reservedStock are still as read
+  const reservationsUnchanged = (stored) => ({
+    $and: [
+      { $eq: [{ $ifNull: ["$reservedStock", 0] }, stored.reservedStock || 0] },
+      {
+        $eq: [
+          {
+            $map: {
+              input: { $ifNull: ["$variants", []] },
+              as: "variant",
+              in: { $ifNull: ["$$variant.reservedStock", 0] },
+            },
+          },
+          stored.variants.map((variant) => variant.reservedStock || 0),
+        ],
+      },
+    ],
+  });
+
+  const EFFECTIVE_PRICE = {
+    $cond: [{ $gt: ["$salePrice", 0] }, "$salePrice", "$price"],
+  };
+
+  const countWhere = (condition) => ({ $sum: { $cond: [condition, 1, 0] } });
+
+  // One $facet pipeline per facet, each matching every filter but its own
+  const facets = async (filters) => {
+    const [result] = await Product.aggregate([
+      {
+        $facet: {
+          category: [
+            { $match: toMongoFilter(filtersWithout(filters, "category")) },
+            { $group: { _id: "$category", count: { $sum: 1 } } },
+          ],
+          brand: [
+            { $match: toMongoFilter(filtersWithout(filters, "brand")) },
+            { $group: { _id: "$brand", count: { $sum: 1 } } },
+          ],
+          price: [
+            { $match: toMongoFilter(filtersWithout(filters, "price")) },
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(
+                  PRICE_BUCKETS.map(({ min, max }, index) => [
+                    `bucket${index}`,
+                    countWhere({
+                      $and: [
+                        { $gte: [EFFECTIVE_PRICE, min] },
+                        ...(max === null
+                          ? []
+                          : [{ $lt: [EFFECTIVE_PRICE, max] }]),
+                      ],
+                    }),
+                  ])
+                ),
+              },
+            },
+          ],
+          rating: [
+            { $match: toMongoFilter(filtersWithout(filters, "rating")) },
+            {
+              $group: {
+                _id: null,
+                ...Object.fromEntries(
+                  RATING_THRESHOLDS.map((minRating, index) => [
+                    `threshold${index}`,
+                    countWhere({ $gte: ["$averageReview", minRating] }),
+                  ])
+                ),
+              },
+            },
+          ],
+        },
+      },
+    ]);
+
+    const toValueCounts = (groups) =>
+      groups
+        .filter(({ _id }) => _id != null && _id !== "")
+        .map(({ _id, count }) => ({ value: _id, count }))
+        .sort((a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : 0));
+
+    const [priceCounts = {}] = result.price;
+    const [ratingCounts = {}] = result.rating;
+
+    return {
+      category: toValueCounts(result.category),
+      brand: toValueCounts(result.brand),
+      price: PRICE_BUCKETS.map((bucket, index) => ({
+        ...bucket,
+        count: priceCounts[`bucket${index}`] || 0,
+      })),
+      rating: RATING_THRESHOLDS.map((minRating, index) => ({
+        minRating,
+        count: ratingCounts[`threshold${index}`] || 0,
+      })),
+    };
+  };
+
+  // Products with a word starting with every term
+  const prefixMatch = (terms) => ({
+    $and: terms.map((term) => {
+      const pattern = termPattern(term);
+
+      return {
+        $or: Object.keys(SEARCH_WEIGHTS).map((field) => ({
+          [field]: pattern,
+        })),
+      };
+    }),
+  });
+
+  const search = async ({ query, sortBy, page = 1, limit, ...filters }) => {
+    const terms = toSearchTerms(query);
+    if (!terms.length) return toSearchPage([], { total: 0, page, limit });
+
+    const filter = toMongoFilter(filters);
+    const sort = SORT_ORDERS[sortBy] ? resolveSort(sortBy) : null;
+    const order = sort?.direction === "asc" ? 1 : -1;
+    const relevance = { score: { $meta: "textScore" } };
+
+    const find = async (match, byScore) => {
+      const conditions = { $and: [match, filter] };
+      let request = Product.find(conditions, byScore ? relevance : null).sort(
+        sort
+          ? { [sort.field]: order, _id: order }
+          : byScore
+          ? { ...relevance, _id: 1 }
+          : { title: 1, _id: 1 }
+      );
+
+      if (limit) request = request.skip((page - 1) * limit).limit(limit);
+
+      const [documents, total] = await Promise.all([
+        request.lean(),
+        Product.countDocuments(conditions),
+      ]);
+      return { documents, total };
+    };
+
+    // $text matches any of the words, so it is narrowed to products with
+    // every word like the other stores
+    let result = await find(
+      { $and: [{ $text: { $search: terms.join(" ") } }, prefixMatch(terms)] },
+      true
+    );
+
+    // The text index only matches whole words, so while the last word is
+    // still being typed the search falls back to word prefixes, which have
+    // no score and come in title order
+    if (!result.total) result = await find(prefixMatch(terms), false);
+
+    return toSearchPage(
+      result.documents.map(({ score, ...document }) => fromDocument(document)),
+      { total: result.total, page, limit }
+    );
+  };
+
+  const findImageUrlsInUse = async (urls) => {
+    const products = await Product.find(
+      {
+        $or: [
+          { image: { $in: urls } },
+          { "images.url": { $in: urls } },
+          { "variants.image": { $in: urls } },
+        ],
+      },
+      { image: 1, "images.url": 1, "variants.image": 1 }
+    ).lean();
+
+    return imageUrlsInUse(products, urls);
+  };
+
+  return {
+    name: "mongo",
+    facets,
+    search,
+    findImageUrlsInUse,
+    list: async ({ sortBy, page = 1, limit, cursor, ...filters }) => {
+      const filter = toMongoFilter(filters);
+
+      const sort = resolveSort(sortBy);
+      const order = sort.direction === "asc" ? 1 : -1;
+      const pageFilter = cursor
+        ? { $and: [filter, afterCursor(sort, decodeCursor(cursor, sort))] }
+        : filter;
+
+      let query = Product.find(pageFilter).sort({
+        [sort.field]: order,
+        _id: order,
+      });
+
+      if (limit) {
+        if (!cursor) query = query.skip((page - 1) * limit);
+        query = query.limit(limit + 1);
+      }
+
+      const [documents, total] = await Promise.all([
+        query.lean(),
+        Product.countDocuments(filter),
+      ]);
+
+      return toPage({
+        items: documents.map(fromDocument),
+        total,
+        page: !cursor && page,
+        limit,
+        sort,
+      });
+    },
+    findById,
+    create: async ({ id, ...fields }) => {
+      const product = await Product.create({
+        ...toStoredFields(fields),
+        _id: id || newProductId(),
+      });
+
+      return fromDocument(product.toObject());
+    },
+    // Checkouts change reservations with $inc at any time, so an update
+    // replacing the variants only applies while the reservations it copied
+    // are still the stored ones, and reads them again otherwise
+    update: async (id, changes) => {
+      if (!mongoose.isValidObjectId(id)) return null;
+
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt += 1) {
+        let stored = null;
+        const fields = await withStoredFields(changes, async () => {
+          stored = await findById(id);
+          return stored;
+        });
+        const guarded = Boolean(stored) && Array.isArray(changes.variants);
+
+        const filter = guarded
+          ? { _id: id, $expr: reservationsUnchanged(stored) }
+          : { _id: id };
+
+        const updated = await Product.findOneAndUpdate(
+          filter,
+          { $set: toStoredFields(fields) },
+          { new: true }
+        ).lean();
+
+        if (updated || !guarded) return fromDocument(updated);
+      }
+
+      throw new Error(`Too many concurrent updates to product ${id}`);
+    },
+    put: async (product) => {
+      await Product.updateOne(
+        { _id: product.id },
+        { $set: toStoredFields(product) },
+        { upsert: true, timestamps: false }
+      );
+
+      return findById(product.id);
+    },
+    delete: async (id) => {
+      if (!mongoose.isValidObjectId(id)) return false;
+      return Boolean(await Product.findByIdAndDelete(id));
+    },
+  };
+};
+
+// Firestore allows 30 values in an "in" clause and 30 disjunctions per
+// query once filters are expanded (category in 4 values and brand in 8 is
+// 32). Composite indexes for every filter and sort are in
+// firestore.indexes.json.
+const MAX_IN_VALUES = 30;
+const MAX_DISJUNCTIONS = 30;
+
+// Products per read when a listing is filtered in memory, see list()
+const FILTERED_READ_BATCH = 500;
+
+// How long facet counts may lag behind writes made by other servers
+const FACET_CACHE_TTL_MS = 60 * 1000;
+
+// Keeps the products collection in Firestore
+const createFirestoreProductRepository = () => {
+  const { FieldPath, Timestamp } = require("firebase-admin/firestore");
+  const { db } = require("./firebase");
+  const productsRef = db.collection("products");
+
+  const fromDoc = (doc) => {
+    if (!doc.exists) return null;
+
+    const fields = Object.fromEntries(
+      Object.entries(doc.data()).map(([field, value]) => [
+        field,
+        value instanceof Timestamp ? value.toDate() : value,
+      ])
+    );
+
+    return toProduct(doc.id, fields);
+  };
+
+  const findById = async (id) => fromDoc(await productsRef.doc(id).get());
+
+  const inQueries = (query, field, values) =>
+    chunk(values, MAX_IN_VALUES).map((batch) =>
+      query.where(field, "in", batch)
+    );
+
+  // Runs every query in the listing order and merges the results. With
+  // `take`, each query reads at most that many products, which is enough
+  // since the first `take` merged products come from the first `take` of
+  // each query.
+  const readMerged = async (queries, sort, { after, take } = {}) => {
+    const snapshots = await Promise.all(
+      queries.map((query) => {
+        let ordered = query
+          .orderBy(sort.field, sort.direction)
+          .orderBy(FieldPath.documentId(), sort.direction);
+
+        if (after) ordered = ordered.startAfter(after.value, after.id);
+        if (take) ordered = ordered.limit(take);
+
+        return ordered.get();
+      })
+    );
+
+    const products = snapshots.flatMap((snapshot) =>
+      snapshot.docs.map(fromDoc)
+    );
+
+    return queries.length > 1
+      ? products.sort(compareProducts(sort))
+      : products;
+  };
+
+  // Reads every product of the queries in listing order, a batch at a time,
+  // and keeps those matching the filters
+  const readMatching = async (queries, sort, filters) => {
+    const perQuery = await Promise.all(
+      queries.map(async (query) => {
+        const matching = [];
+        let after = null;
+
+        for (;;) {
+          const batch = await readMerged([query], sort, {
+            after,
+            take: FILTERED_READ_BATCH,
+          });
+          matching.push(
+            ...batch.filter((product) => matchesFilters(product, filters))
+          );
+          if (batch.length < FILTERED_READ_BATCH) return matching;
+
+          const last = batch[batch.length - 1];
+          after = { value: last[sort.field] ?? null, id: last.id };
+        }
+      })
+    );
+
+    const products = perQuery.flat();
+    return queries.length > 1
+      ? products.sort(compareProducts(sort))
+      : products;
+  };
+
+  // Firestore cannot group, so facets are counted in memory over just the
+  // fields they need, read from every product. That read is cached for
+  // FACET_CACHE_TTL_MS and shared by every listing in the meantime; writes
+  // through this repository drop it, other servers' writes show up once it
+  // expires.
+  const FACET_FIELDS = [
+    "category",
+    "brand",
+    "price",
+    "salePrice",
+    "averageReview",
+    "totalStock",
+    "reservedStock",
+  ];
+
+  let facetProducts = null;
+  let facetProductsExpireAt = 0;
+
+  const getFacetProducts = () => {
+    if (!facetProducts || Date.now() >= facetProductsExpireAt) {
+      facetProductsExpireAt = Date.now() + FACET_CACHE_TTL_MS;
+      facetProducts = productsRef
+        .select(...FACET_FIELDS)
+        .get()
+        .then((snapshot) => snapshot.docs.map(fromDoc))
+        .catch((error) => {
+          facetProducts = null;
+          throw error;
+        });
+    }
+
+    return facetProducts;
+  };
+
+  const clearFacetCache = () => {
+    facetProducts = null;
+  };
+
+  const facets = async (filters) =>
+    computeFacets(await getFacetProducts(), filters);
+
+  // Firestore has no full-text search, so searches run against an index in
+  // process memory. A listener on the collection builds it from the first
+  // snapshot and applies every later product change, including those made
+  // by other servers and scripts.
+  let searchIndex = null;
+
+  const getSearchIndex = () => {
+    if (!searchIndex) {
+      searchIndex = new Promise((resolve, reject) => {
+        const index = createSearchIndex();
+
+        productsRef.onSnapshot(
+          (snapshot) => {
+            snapshot.docChanges().forEach((change) => {
+              if (change.type === "removed") index.remove(change.doc.id);
+              else index.add(fromDoc(change.doc));
+            });
+            resolve(index);
+          },
+          (error) => {
+            console.error("Product search index listener failed:", error);
+            // The next search subscribes again
+            searchIndex = null;
+            reject(error);
+          }
+        );
+      });
+    }
+
+    return searchIndex;
+  };
+
+  // Gallery and variant images are inside arrays of maps, which Firestore
+  // cannot query, so the image fields of every product are read. Only the
+  // upload sweep and image deletes call this, never a shopper's request.
+  const findImageUrlsInUse = async (urls) => {
+    const snapshot = await productsRef
+      .select("image", "images", "variants")
+      .get();
+
+    return imageUrlsInUse(snapshot.docs.map((doc) => doc.data()), urls);
+  };
+
+  return {
+    name: "firestore",
+    facets,
+    findImageUrlsInUse,
+    search: async ({ query, ...options }) =>
+      searchInMemory((await getSearchIndex()).search(query), options),
+    list: async ({ sortBy, page = 1, limit, cursor, ...filters }) => {
+      const sort = resolveSort(sortBy);
+      const after = cursor ? decodeCursor(cursor, sort) : null;
+      const skip = limit && !after ? (page - 1) * limit : 0;
+
+      const inFilters = [
+        ["category", filters.categories || []],
+        ["brand", filters.brands || []],
+      ].filter(([, values]) => values.length);
+      const disjunctions = inFilters.reduce(
+        (count, [, values]) => count * values.length,
+        1
+      );
+      const tooManyDisjunctions =
+        inFilters.length > 1 && disjunctions > MAX_DISJUNCTIONS;
+
+      // One query, or one per batch of values when a filter has more values
+      // than an "in" clause takes; batches never overlap. With too many
+      // combinations only the filter with fewer values runs in Firestore.
+      const queries =
+        inFilters.length > 1 && !tooManyDisjunctions
+          ? [
+              inFilters.reduce(
+                (query, [field, values]) => query.where(field, "in", values),
+                productsRef
+              ),
+            ]
+          : inFilters.length
+          ? inQueries(
+              productsRef,
+              ...[...inFilters].sort(([, a], [, b]) => a.length - b.length)[0]
+            )
+          : [productsRef];
+
+      // Price, rating and stock filters cannot be combined with the listing
+      // order in Firestore, so they run in memory over every product the
+      // queries return, which keeps totals and later pages complete
+      if (tooManyDisjunctions || hasValueFilters(filters)) {
+        const matching = await readMatching(queries, sort, filters);
+
+        return pageInMemory(matching, { sort, after, page, limit });
+      }
+
+      const [counts, merged] = await Promise.all([
+        Promise.all(queries.map((query) => query.count().get())),
+        readMerged(queries, sort, {
+          after,
+          take: limit ? skip + limit + 1 : null,
+        }),
+      ]);
+
+      return toPage({
+        items: merged.slice(skip),
+        total: counts.reduce((sum, count) => sum + count.data().count, 0),
+        page: !cursor && page,
+        limit,
+        sort,
+      });
+    },
+    findById,
+    create: async ({ id, ...fields }) => {
+      const now = new Date();
+      const productRef = productsRef.doc(id || newProductId());
+
+      // Firestore leaves products without the sort field out of a listing,
+      // so every field the listing sorts on starts with a value
+      await productRef.create({
+        reservedStock: 0,
+        averageReview: 0,
+        unitsSold: 0,
+        discountPercent: 0,
+        ...toStoredFields(fields),
+        createdAt: now,
+        updatedAt: now,
+      });
+      clearFacetCache();
+
+      return findById(productRef.id);
+    },
+    // The stored product is read in the transaction, so a checkout changing
+    // reservations meanwhile makes Firestore run the merge again
+    update: async (id, changes) => {
+      const productRef = productsRef.doc(id);
+
+      const updated = await db.runTransaction(async (transaction) => {
+        const stored = fromDoc(await transaction.get(productRef));
+        if (!stored) return false;
+
+        const fields = await withStoredFields(changes, () => stored);
+        transaction.update(productRef, {
+          ...toStoredFields(fields),
+          updatedAt: new Date(),
+        });
+        return true;
+      });
+      if (!updated) return null;
+      clearFacetCache();
+
+      return findById(id);
+    },
+    put: async (product) => {
+      await productsRef.doc(product.id).set(toStoredFields(product));
+      clearFacetCache();
+
+      return findById(product.id);
+    },
+    delete: async (id) => {
+      const productRef = productsRef.doc(id);
+      const snapshot = await productRef.get();
+      if (!snapshot.exists) return false;
+
+      await productRef.delete();
+      clearFacetCache();
+
+      return true;
+    },
+  };
+};
+
+// Keeps products in process memory, for tests and local experiments
+const createMemoryProductRepository = (initialProducts = []) => {
+  const products = new Map();
+
+  const findById = async (id) =>
+    products.has(id) ? toProduct(id, products.get(id)) : null;
+
+  const repository = {
+    name: "memory",
+    facets: async (filters) =>
+      computeFacets(
+        [...products.entries()].map(([id, fields]) => toProduct(id, fields)),
+        filters
+      ),
+    findImageUrlsInUse: async (urls) =>
+      imageUrlsInUse([...products.values()], urls),
+    search: async ({ query, ...options }) => {
+      const index = createSearchIndex();
+      products.forEach((fields, id) => index.add(toProduct(id, fields)));
+
+      return searchInMemory(index.search(query), options);
+    },
+    list: async ({ sortBy, page = 1, limit, cursor, ...filters }) => {
+      const sort = resolveSort(sortBy);
+
+      const matching = [...products.entries()]
+        .map(([id, fields]) => toProduct(id, fields))
+        .filter((product) => matchesFilters(product, filters))
+        .sort(compareProducts(sort));
+
+      return pageInMemory(matching, {
+        sort,
+        after: cursor ? decodeCursor(cursor, sort) : null,
+        page,
+        limit,
+      });
+    },
+    findById,
+    create: async ({ id, ...fields }) => {
+      const productId = id || newProductId();
+      if (products.has(productId)) {
+        throw new Error(`Product ${productId} already exists`);
+      }
+
+      const now = new Date();
+      products.set(productId, {
+        reservedStock: 0,
+        averageReview: 0,
+        unitsSold: 0,
+        discountPercent: 0,
+        ...toStoredFields(fields),
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      return findById(productId);
+    },
+    update: async (id, changes) => {
+      if (!products.has(id)) return null;
+
+      const fields = await withStoredFields(changes, () => findById(id));
+
+      products.set(id, {
+        ...products.get(id),
+        ...toStoredFields(fields),
+        updatedAt: new Date(),
+      });
+
+      return findById(id);
+    },
+    put: async (product) => {
+      products.set(product.id, toStoredFields(product));
+      return findById(product.id);
+    },
+    delete: async (id) => products.delete(id),
+  };
+
+  initialProducts.forEach((product) =>
+    products.set(product.id || newProductId(), toStoredFields(product))
+  );
+
+  return repository;
+};
+
+/**
+ * Reads from the primary store and copies every write to the replica, so
+ * both stores keep the same products under the same ids. A failed replica
+ * write is logged rather than failing the request; the primary stays the
+ * source of truth.
+ */
+const createMirroredProductRepository = (primary, replica) => {
+  const mirror = async (action, id, write) => {
+    try {
+      await write();
+    } catch (error) {
+      console.error(
+        `Failed to mirror product ${action} of ${id} to ${replica.name}:`,
+        error
+      );
+    }
+  };
+
+  return {
+    name: `${primary.name}+${replica.name}`,
+    list: (query) => primary.list(query),
+    facets: (filters) => primary.facets(filters),
+    search: (options) => primary.search(options),
+    // An image either store still shows is in use. If the replica cannot
+    // be asked the error is passed on, so no image is deleted on a guess.
+    findImageUrlsInUse: async (urls) => {
+      const [inPrimary, inReplica] = await Promise.all([
+        primary.findImageUrlsInUse(urls),
+        replica.findImageUrlsInUse(urls),
+      ]);
+
+      return new Set([...inPrimary, ...inReplica]);
+    },
+    findById: (id) => primary.findById(id),
+    create: async (fields) => {
+      const product = await primary.create(fields);
+      await mirror("create", product.id, () => replica.put(product));
+      return product;
+    },
+    update: async (id, changes) => {
+      const product = await primary.update(id, changes);
+      if (product) await mirror("update", id, () => replica.put(product));
+      return product;
+    },
+    put: async (product) => {
+      const stored = await primary.put(product);
+      await mirror("update", product.id, () => replica.put(stored));
+      return stored;
+    },
+    delete: async (id) => {
+      const deleted = await primary.delete(id);
+      await mirror("delete", id, () => replica.delete(id));
+      return deleted;
+    },
+  };
+};
+
+const repositoryFactories = {
+  mongo: createMongoProductRepository,
+  firestore: createFirestoreProductRepository,
+  memory: createMemoryProductRepository,
+};
+
+const createProductRepository = (store) => {
+  const factory = repositoryFactories[store];
+
+  if (!factory) throw new Error(`Unknown product store: ${store}`);
+
+  return factory();
+};
+
+let activeRepository = null;
+
+const getProductRepository = () => {
+  if (!activeRepository) {
+    const { store, mirrorTo } = config.products;
+    const primary = createProductRepository(store);
+
+    activeRepository =
+      mirrorTo && mirrorTo !== store
+        ? createMirroredProductRepository(
+            primary,
+            createProductRepository(mirrorTo)
+          )
+        : primary;
+  }
+
+  return activeRepository;
+};
+
+// Allows scripts and tests to swap in their own repository
+const setProductRepository = (repository) => {
+  activeRepository = repository;
+};
+
+module.exports = {
+  ProductRepositoryError,
+  SORT_ORDERS,
+  DEFAULT_SORT,
+  RELEVANCE_SORT,
+  PRICE_BUCKETS,
+  createProductRepository,
+  createMemoryProductRepository,
+  createMirroredProductRepository,
+  getProductRepository,
+  setProductRepository,
+};
@@ -0,0 +1,138 @@
+// Units sold per product
+// unitsSold is recounted from paid orders (rejected or cancelled ones left
+// out) whenever an order is paid or changes status, so repeated payment
+// callbacks and status edits can never count an order twice.
+// Run with: node helpers/product-sales.js
+// Recounts every product and fills in the sort fields (unitsSold,
+// discountPercent, averageReview, createdAt) of products created before they
+// existed, e.g. by helpers/seed-firebase-products.js. Firestore orders
+// strings and timestamps apart, so createdAt stored as an ISO string is
+// saved again as a date for the newest listing.
+// Options: --dry-run (report only)
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const { getProductRepository } = require("./product-repository");
+
+const UNSOLD_ORDER_STATUSES = ["rejected", "cancelled"];
+
+const toDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// productId -> units in paid orders, for the given products or all of them
+const countUnitsSold = async (productIds) => {
+  const forProducts = productIds
+    ? [{ $match: { "cartItems.productId": { $in: productIds } } }]
+    : [];
+
+  const totals = await Order.aggregate([
+    {
+      $match: {
+        paymentStatus: "paid",
+        orderStatus: { $nin: UNSOLD_ORDER_STATUSES },
+      },
+    },
+    ...forProducts,
+    { $unwind: "$cartItems" },
+    ...forProducts,
+    {
+      $group: {
+        _id: "$cartItems.productId",
+        unitsSold: { $sum: "$cartItems.quantity" },
+      },
+    },
+  ]);
+
+  return new Map(totals.map(({ _id, unitsSold }) => [_id, unitsSold]));
+};
+
+/**
+ * Recounts unitsSold for the products of an order. Failures are logged
+ * rather than thrown so they never undo the payment or status change that
+ * triggered them; the script above repairs any count left behind.
+ */
+const refreshUnitsSold = async (productIds) => {
+  const ids = [...new Set(productIds.filter(Boolean).map(String))];
+  if (!ids.length) return;
+
+  try {
+    const unitsSold = await countUnitsSold(ids);
+    const productRepository = getProductRepository();
+
+    for (const id of ids) {
+      const product = await productRepository.findById(id);
+      const count = unitsSold.get(id) || 0;
+
+      if (product && product.unitsSold !== count) {
+        await productRepository.update(id, { unitsSold: count });
+      }
+    }
+  } catch (error) {
+    console.error(`Failed to refresh units sold of ${ids.join(", ")}:`, error);
+  }
+};
+
+const parseArgs = (argv) => ({ dryRun: argv.includes("--dry-run") });
+
+const run = async () => {
+  const { dryRun } = parseArgs(process.argv.slice(2));
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const productRepository = getProductRepository();
+    const [{ items: products }, unitsSold] = await Promise.all([
+      productRepository.list({}),
+      countUnitsSold(),
+    ]);
+    let updated = 0;
+
+    console.log(
+      `🧮 Recounting ${products.length} products${dryRun ? " (dry run)" : ""}...`
+    );
+
+    for (const product of products) {
+      const changes = {
+        ...(product.unitsSold !== (unitsSold.get(product.id) || 0) && {
+          unitsSold: unitsSold.get(product.id) || 0,
+        }),
+        // Saving the price again stores its discountPercent
+        ...(product.discountPercent == null && {
+          price: product.price,
+          salePrice: product.salePrice,
+        }),
+        ...(product.averageReview == null && { averageReview: 0 }),
+        ...(!(product.createdAt instanceof Date) && {
+          createdAt:
+            toDate(product.createdAt) ||
+            toDate(product.updatedAt) ||
+            new Date(),
+        }),
+      };
+
+      if (!Object.keys(changes).length) continue;
+
+      console.log(`   ${product.id} ${product.title}: ${Object.keys(changes)}`);
+      if (!dryRun) await productRepository.update(product.id, changes);
+      updated += 1;
+    }
+
+    console.log(
+      `✅ ${updated} updated, ${products.length - updated} unchanged`
+    );
+  } catch (error) {
+    console.error("❌ Recount failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = { countUnitsSold, refreshUnitsSold };
@@ -0,0 +1,155 @@
+// Full-text product search
+// Shoppers' queries are reduced to plain words before they reach a store, so
+// no query syntax (regular expressions, Mongo's quotes and negation) ever
+// comes from user input. Every store only returns products containing all of
+// the query's words, ranked by where the words appear, with the same field
+// weights as the Mongo text index on Product.
+
+const SEARCH_WEIGHTS = {
+  title: 10,
+  brand: 5,
+  category: 3,
+  description: 1,
+};
+
+// Keeps a search bounded however long the query is
+const MAX_SEARCH_TERMS = 10;
+const MAX_TERM_LENGTH = 40;
+
+// "Nike Air-Max, 90!" -> ["nike", "air", "max", "90"]
+const tokenize = (text) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+const toSearchTerms = (query) => [
+  ...new Set(
+    tokenize(query)
+      .map((term) => term.slice(0, MAX_TERM_LENGTH))
+      .slice(0, MAX_SEARCH_TERMS)
+  ),
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Folds plurals so "shirts" finds "shirt", applied to documents and queries
+// alike, so it only has to be consistent, not correct English
+const stem = (term) => {
+  if (term.length > 4 && term.endsWith("ies")) return `${term.slice(0, -3)}y`;
+  if (term.length > 3 && term.endsWith("s") && !term.endsWith("ss")) {
+    return term.slice(0, -1);
+  }
+  return term;
+};
+
+// A whole word match scores the field weight for every occurrence, a word
+// only starting with the term (someone still typing) half of that. Shorter
+// terms would match a prefix of most words, so they only match whole words.
+const PREFIX_MATCH_FACTOR = 0.5;
+const MIN_PREFIX_LENGTH = 3;
+
+// The same match as a regular expression, for stores searching with those:
+// a word starting with the term or its stem, or the whole word if it is short
+const termPattern = (word) => {
+  const forms = [...new Set([stem(word), word])].map(escapeRegExp);
+  const end = word.length < MIN_PREFIX_LENGTH ? "\\b" : "";
+
+  return new RegExp(`\\b(?:${forms.join("|")})${end}`, "i");
+};
+
+/**
+ * Inverted index over products held in memory, for stores without full-text
+ * search. Each stem maps to the products containing it, with the weighted
+ * number of occurrences. search(query) returns [{ product, score }] for
+ * every product matching all of the query's words, in no particular order.
+ */
+const createSearchIndex = () => {
+  const products = new Map();
+  // stem -> Map(product id -> weighted occurrences)
+  const postings = new Map();
+  // product id -> stems, to take a product out again
+  const productStems = new Map();
+
+  const remove = (id) => {
+    (productStems.get(id) || []).forEach((term) => {
+      const posting = postings.get(term);
+      posting.delete(id);
+      if (!posting.size) postings.delete(term);
+    });
+
+    productStems.delete(id);
+    products.delete(id);
+  };
+
+  const add = (product) => {
+    remove(product.id);
+
+    const weights = new Map();
+    Object.entries(SEARCH_WEIGHTS).forEach(([field, weight]) =>
+      tokenize(product[field]).forEach((word) => {
+        const term = stem(word);
+        weights.set(term, (weights.get(term) || 0) + weight);
+      })
+    );
+
+    weights.forEach((weight, term) => {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(product.id, weight);
+    });
+
+    productStems.set(product.id, [...weights.keys()]);
+    products.set(product.id, product);
+  };
+
+  const search = (query) => {
+    const words = toSearchTerms(query);
+    const scores = new Map();
+    // product id -> number of the query's words it matched
+    const matchedWords = new Map();
+
+    words.forEach((word) => {
+      const term = stem(word);
+      const wordScores = new Map();
+      const addScores = (posting, factor) =>
+        posting.forEach((weight, id) =>
+          wordScores.set(id, (wordScores.get(id) || 0) + weight * factor)
+        );
+
+      postings.forEach((posting, indexed) => {
+        if (indexed === term) addScores(posting, 1);
+        else if (word.length >= MIN_PREFIX_LENGTH && indexed.startsWith(word)) {
+          addScores(posting, PREFIX_MATCH_FACTOR);
+        }
+      });
+
+      wordScores.forEach((score, id) => {
+        scores.set(id, (scores.get(id) || 0) + score);
+        matchedWords.set(id, (matchedWords.get(id) || 0) + 1);
+      });
+    });
+
+    return [...scores.entries()]
+      .filter(([id]) => matchedWords.get(id) === words.length)
+      .map(([id, score]) => ({ product: products.get(id), score }));
+  };
+
+  return {
+    add,
+    remove,
+    search,
+    get size() {
+      return products.size;
+    },
+  };
+};
+
+module.exports = {
+  SEARCH_WEIGHTS,
+  toSearchTerms,
+  escapeRegExp,
+  termPattern,
+  createSearchIndex,
+};
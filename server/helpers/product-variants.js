@@ -0,0 +1,136 @@
+// A product can define options (Size: S, M, L; Colour: Red, Blue) and sell
+// variants, one per combination it stocks. Each variant has its own stock,
+// an optional price that replaces the product's price and sale price, and
+// an optional image. Products without variants are sold as they are.
+
+const hasVariants = (product) => Boolean(product?.variants?.length);
+
+const findVariant = (product, variantId) =>
+  (product?.variants || []).find(
+    (variant) => String(variant._id) === String(variantId)
+  ) || null;
+
+// "Size: M / Colour: Red"
+const getVariantLabel = (variant) =>
+  (variant?.options || [])
+    .map(({ name, value }) => `${name}: ${value}`)
+    .join(" / ");
+
+// The list and sale price of one unit of a product or one of its variants
+const getVariantPrices = (product, variant) =>
+  variant && variant.price > 0
+    ? { price: variant.price, salePrice: 0 }
+    : { price: product.price, salePrice: product.salePrice };
+
+const getAvailableStock = (item) =>
+  Math.max((item?.totalStock || 0) - (item?.reservedStock || 0), 0);
+
+/**
+ * The variant a cart line refers to. A product with variants needs one of
+ * its variant ids and a product without variants takes none.
+ */
+const resolveVariant = (product, variantId) => {
+  if (!hasVariants(product)) {
+    return variantId
+      ? { error: "This product has no variants" }
+      : { variant: null };
+  }
+
+  if (!variantId) return { error: "Please choose the product options" };
+
+  const variant = findVariant(product, variantId);
+  return variant ? { variant } : { error: "Variant not found" };
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null || value === "";
+
+/**
+ * Checks option definitions and variants sent by the admin form. Returns
+ * an error message, or null when they can be saved.
+ */
+const validateVariants = (options = [], variants = []) => {
+  if (!Array.isArray(options) || !Array.isArray(variants)) {
+    return "Options and variants must be lists";
+  }
+
+  const optionNames = options.map((option) => String(option?.name || ""));
+
+  if (optionNames.some((name) => !name.trim())) {
+    return "Every option needs a name";
+  }
+  if (new Set(optionNames).size !== optionNames.length) {
+    return "Option names must be unique";
+  }
+  if (
+    options.some(
+      ({ values }) =>
+        !Array.isArray(values) ||
+        !values.length ||
+        new Set(values).size !== values.length
+    )
+  ) {
+    return "Every option needs a list of distinct values";
+  }
+
+  if (options.length && !variants.length) {
+    return "Add at least one variant for the options";
+  }
+  if (variants.length && !options.length) {
+    return "Variants need options to tell them apart";
+  }
+
+  const combinations = new Set();
+  const skus = new Set();
+
+  for (const variant of variants) {
+    const values = options.map(({ name, values: allowed }) => {
+      const match = (variant.options || []).find(
+        (option) => option.name === name
+      );
+      return match && allowed.includes(match.value) ? match.value : null;
+    });
+
+    if (
+      values.includes(null) ||
+      (variant.options || []).length !== options.length
+    ) {
+      return "Every variant needs one valid value for each option";
+    }
+
+    const combination = JSON.stringify(values);
+    if (combinations.has(combination)) {
+      return `Duplicate variant: ${getVariantLabel(variant)}`;
+    }
+    combinations.add(combination);
+
+    if (variant.sku) {
+      if (skus.has(variant.sku)) return `Duplicate SKU: ${variant.sku}`;
+      skus.add(variant.sku);
+    }
+
+    const stock = Number(variant.totalStock);
+    if (!Number.isInteger(stock) || stock < 0) {
+      return `Stock of ${getVariantLabel(variant)} must be a whole number`;
+    }
+
+    if (
+      !isBlank(variant.price) &&
+      !(Number.isFinite(Number(variant.price)) && Number(variant.price) >= 0)
+    ) {
+      return `Price of ${getVariantLabel(variant)} must be a positive number`;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  hasVariants,
+  findVariant,
+  getVariantLabel,
+  getVariantPrices,
+  getAvailableStock,
+  resolveVariant,
+  validateVariants,
+};
@@ -0,0 +1,80 @@
+// Taxonomy seed
+// Creates the default categories and brands, plus one for every category
+// or brand value already used by a product (the seeded products use brands
+// such as "Urban Essentials" that the defaults do not list). Existing
+// categories and brands are left untouched, so it is safe to rerun.
+// Run with: node helpers/seed-taxonomy.js
+// Options: --dry-run (report only)
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Category = require("../models/Category");
+const Brand = require("../models/Brand");
+const { getProductRepository } = require("./product-repository");
+const { DEFAULT_CATEGORIES, DEFAULT_BRANDS } = require("./taxonomy");
+
+const toName = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
+// Defaults first, then the product values no default covers
+const withProductValues = (defaults, values) => [
+  ...defaults,
+  ...[...new Set(values.filter(Boolean))]
+    .filter((value) => !defaults.some(({ slug }) => slug === value))
+    .map((value) => ({ slug: value, name: toName(value) })),
+];
+
+const seedModel = async (Model, entries, dryRun) => {
+  const existing = new Set(
+    (await Model.find({}, { slug: 1 }).lean()).map(({ slug }) => slug)
+  );
+  const missing = entries
+    .filter(({ slug }) => !existing.has(slug))
+    .map((entry, index) => ({ sortOrder: existing.size + index, ...entry }));
+
+  missing.forEach(({ slug, name }) => console.log(`   + ${slug} (${name})`));
+  if (!dryRun && missing.length) await Model.insertMany(missing);
+
+  return missing.length;
+};
+
+const run = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const { items: products } = await getProductRepository().list({});
+
+    console.log(`🌱 Seeding categories${dryRun ? " (dry run)" : ""}...`);
+    const categories = await seedModel(
+      Category,
+      withProductValues(
+        DEFAULT_CATEGORIES.map((category, index) => ({
+          ...category,
+          sortOrder: index,
+        })),
+        products.map((product) => product.category)
+      ),
+      dryRun
+    );
+
+    console.log(`🌱 Seeding brands${dryRun ? " (dry run)" : ""}...`);
+    const brands = await seedModel(
+      Brand,
+      withProductValues(
+        DEFAULT_BRANDS.map((brand, index) => ({ ...brand, sortOrder: index })),
+        products.map((product) => product.brand)
+      ),
+      dryRun
+    );
+
+    console.log(`✅ ${categories} categories and ${brands} brands added`);
+  } catch (error) {
+    console.error("❌ Taxonomy seed failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,171 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { config } = require("../config");
+
+// Where uploaded files live. Every driver implements the same interface:
+//   save(fileName, buffer, contentType) -> public URL
+//   delete(fileName)                    missing files are not an error
+//   pathFromUrl(url)                    file name of one of its URLs, or ""
+// fileName is a relative path such as "products/1700000000-shirt-full.webp".
+
+// Firebase Storage, the original store, needs the Firebase credentials
+const createFirebaseStorage = () => {
+  const { bucket } = require("./firebase");
+  // bucket.name is only the name, without the .firebasestorage.app suffix
+  const bucketName = process.env.FIREBASE_STORAGE_BUCKET || bucket.name;
+
+  return {
+    name: "firebase",
+    save: (fileName, buffer, contentType) =>
+      new Promise((resolve, reject) => {
+        const blobStream = bucket.file(fileName).createWriteStream({
+          metadata: {
+            contentType,
+          },
+        });
+
+        blobStream.on("error", reject);
+        blobStream.on("finish", () =>
+          resolve(
+            `https://firebasestorage.googleapis.com/v0/b/${encodeURIComponent(
+              bucketName
+            )}/o/${encodeURIComponent(fileName)}?alt=media`
+          )
+        );
+
+        blobStream.end(buffer);
+      }),
+    delete: (fileName) =>
+      bucket.file(fileName).delete({ ignoreNotFound: true }),
+    // .../o/<encoded file name>?alt=media
+    pathFromUrl: (url) => {
+      const match = /\/o\/([^?]+)/.exec(url || "");
+      return match ? decodeURIComponent(match[1]) : "";
+    },
+  };
+};
+
+const toUrl = (baseUrl, fileName) =>
+  `${baseUrl}/${fileName.split("/").map(encodeURIComponent).join("/")}`;
+
+const stripPrefix = (url, prefix) =>
+  url && url.startsWith(`${prefix}/`)
+    ? decodeURIComponent(url.slice(prefix.length + 1))
+    : "";
+
+// Files on this machine's disk, served by Express under publicPath (see
+// server.js). For development and CI, not for several server instances.
+const createLocalStorage = ({ dir, publicUrl }) => {
+  const root = path.resolve(dir);
+
+  // Stored names come back from the database, so they must stay in root
+  const resolveFile = (fileName) => {
+    const filePath = path.resolve(root, fileName);
+
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid storage path: ${fileName}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+    save: async (fileName, buffer) => {
+      const filePath = resolveFile(fileName);
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      return toUrl(publicUrl, fileName);
+    },
+    delete: async (fileName) => {
+      await fs.rm(resolveFile(fileName), { force: true });
+    },
+    pathFromUrl: (url) => stripPrefix(url, publicUrl),
+  };
+};
+
+// Amazon S3 or any S3 compatible server such as MinIO. Files are read back
+// through publicUrl, so the bucket (or a CDN in front of it) must allow
+// public reads.
+const createS3Storage = ({
+  bucket,
+  region,
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle,
+  publicUrl,
+}) => {
+  const {
+    S3Client,
+    PutObjectCommand,
+    DeleteObjectCommand,
+  } = require("@aws-sdk/client-s3");
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const baseUrl =
+    publicUrl ||
+    (endpoint
+      ? `${endpoint.replace(/\/+$/, "")}/${bucket}`
+      : `https://${bucket}.s3.${region}.amazonaws.com`);
+
+  return {
+    name: "s3",
+    save: async (fileName, buffer, contentType) => {
+      await client.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: fileName,
+          Body: buffer,
+          ContentType: contentType,
+        })
+      );
+
+      return toUrl(baseUrl, fileName);
+    },
+    // S3 deletes succeed for keys that do not exist
+    delete: (fileName) =>
+      client.send(new DeleteObjectCommand({ Bucket: bucket, Key: fileName })),
+    pathFromUrl: (url) => stripPrefix(url, baseUrl),
+  };
+};
+
+const storageFactories = {
+  firebase: () => createFirebaseStorage(),
+  local: () => createLocalStorage(config.storage.local),
+  s3: () => createS3Storage(config.storage.s3),
+};
+
+let activeStorage = null;
+
+const getStorage = () => {
+  if (!activeStorage) {
+    const factory = storageFactories[config.storage.driver];
+
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+    }
+
+    activeStorage = factory();
+  }
+
+  return activeStorage;
+};
+
+// Allows scripts and tests to swap in their own storage
+const setStorage = (storage) => {
+  activeStorage = storage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createFirebaseStorage,
+  createLocalStorage,
+  createS3Storage,
+};
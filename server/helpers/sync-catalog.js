@@ -0,0 +1,629 @@
+// Catalog sync between MongoDB and Firestore
+// Diffs products, reviews and feature images in both stores and copies
+// missing or outdated records across. When a record differs on both sides
+// the copy with the newer updatedAt wins; equal or missing timestamps are
+// reported as conflicts and left alone unless --prefer picks a side.
+// Records seeded separately into each store are paired by title (products),
+// image (features) or product and user (reviews), and the pairing is kept
+// in the CatalogIdMapping collection so later runs and reviews reuse it.
+// Run with: node helpers/sync-catalog.js (two-way)
+//       or: node helpers/sync-catalog.js --from mongo --to firestore
+// Options: --dry-run (print the diff only), --only products,reviews,features,
+// --prefer <mongo|firestore>, --checkpoint <file>, --restart (ignore the
+// checkpoint left by an interrupted run)
+// Deletions are not synced: a record missing on one side is copied back.
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { isDeepStrictEqual } = require("util");
+const mongoose = require("mongoose");
+const CatalogIdMapping = require("../models/CatalogIdMapping");
+
+const BATCH_SIZE = 200;
+const STORES = ["mongo", "firestore"];
+const DEFAULT_CHECKPOINT = path.join(
+  __dirname,
+  "..",
+  ".catalog-sync-checkpoint.json"
+);
+
+// Synced in this order so reviews can be pointed at already synced products
+const ENTITIES = {
+  products: {
+    model: "../models/Product",
+    collection: "products",
+    naturalKey: ["title"],
+    // Held stock belongs to checkout reservations in Mongo, never copied
+    ignoredFields: ["reservedStock", "availableStock"],
+  },
+  reviews: {
+    model: "../models/Review",
+    collection: "reviews",
+    naturalKey: ["productId", "userId"],
+    references: { productId: "products" },
+  },
+  features: {
+    model: "../models/Feature",
+    collection: "features",
+    naturalKey: ["image"],
+  },
+};
+
+const COMMON_IGNORED_FIELDS = ["_id", "id", "__v", "createdAt", "updatedAt"];
+const TIMESTAMP_FIELDS = ["createdAt", "updatedAt"];
+
+const toDate = (value) => {
+  if (!value) return null;
+
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+// Variant ids are ObjectIds in Mongo, where reservations find variants with
+// arrayFilters on them, and strings in Firestore. Records read from either
+// store carry them as strings so the two copies compare equal.
+const mapVariantIds = (fields, convert) =>
+  Array.isArray(fields.variants)
+    ? {
+        ...fields,
+        variants: fields.variants.map((variant) =>
+          variant && variant._id != null
+            ? { ...variant, _id: convert(variant._id) }
+            : variant
+        ),
+      }
+    : fields;
+
+const toSyncedFields = (fields) => mapVariantIds(fields, String);
+
+const toMongoFields = (fields) =>
+  mapVariantIds(fields, (id) =>
+    OBJECT_ID_PATTERN.test(String(id))
+      ? new mongoose.Types.ObjectId(String(id))
+      : id
+  );
+
+const createMongoCatalogStore = () => {
+  const collectionOf = (entity) => require(ENTITIES[entity].model).collection;
+
+  const acceptsId = (id) => OBJECT_ID_PATTERN.test(id);
+  const toRecord = (document) => {
+    if (!document) return null;
+
+    const { _id, ...fields } = document;
+    return { id: _id.toString(), fields: toSyncedFields(fields) };
+  };
+
+  return {
+    name: "mongo",
+    acceptsId,
+    list: async (entity, { startAfterId, limit }) => {
+      const filter = startAfterId
+        ? { _id: { $gt: new mongoose.Types.ObjectId(startAfterId) } }
+        : {};
+
+      const documents = await collectionOf(entity)
+        .find(filter)
+        .sort({ _id: 1 })
+        .limit(limit)
+        .toArray();
+
+      return documents.map(toRecord);
+    },
+    findById: async (entity, id) =>
+      acceptsId(id)
+        ? toRecord(
+            await collectionOf(entity).findOne({
+              _id: new mongoose.Types.ObjectId(id),
+            })
+          )
+        : null,
+    findByKey: async (entity, key) =>
+      toRecord(await collectionOf(entity).findOne(key)),
+    // Writes through the driver so fields outside the schema survive
+    write: (entity, id, { fields, removedFields }) =>
+      collectionOf(entity).updateOne(
+        { _id: new mongoose.Types.ObjectId(id) },
+        {
+          $set: toMongoFields(fields),
+          ...(removedFields.length && {
+            $unset: Object.fromEntries(
+              removedFields.map((field) => [field, ""])
+            ),
+          }),
+          ...(entity === "products" && {
+            $setOnInsert: { reservedStock: 0 },
+          }),
+        },
+        { upsert: true }
+      ),
+  };
+};
+
+const createFirestoreCatalogStore = () => {
+  const {
+    FieldPath,
+    FieldValue,
+    Timestamp,
+  } = require("firebase-admin/firestore");
+  const { db } = require("./firebase");
+  const collectionOf = (entity) => db.collection(ENTITIES[entity].collection);
+
+  const toRecord = (doc) => ({
+    id: doc.id,
+    fields: toSyncedFields(
+      Object.fromEntries(
+        Object.entries(doc.data()).map(([field, value]) => [
+          field,
+          value instanceof Timestamp ? value.toDate() : value,
+        ])
+      )
+    ),
+  });
+
+  return {
+    name: "firestore",
+    acceptsId: (id) => Boolean(id) && !id.includes("/"),
+    list: async (entity, { startAfterId, limit }) => {
+      let query = collectionOf(entity)
+        .orderBy(FieldPath.documentId())
+        .limit(limit);
+      if (startAfterId) query = query.startAfter(startAfterId);
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(toRecord);
+    },
+    findById: async (entity, id) => {
+      const doc = await collectionOf(entity).doc(id).get();
+      return doc.exists ? toRecord(doc) : null;
+    },
+    findByKey: async (entity, key) => {
+      let query = collectionOf(entity);
+      for (const [field, value] of Object.entries(key)) {
+        query = query.where(field, "==", value);
+      }
+
+      const snapshot = await query.limit(1).get();
+      return snapshot.empty ? null : toRecord(snapshot.docs[0]);
+    },
+    write: (entity, id, { fields, removedFields }) =>
+      collectionOf(entity)
+        .doc(id)
+        .set(
+          {
+            ...toSyncedFields(fields),
+            ...Object.fromEntries(
+              removedFields.map((field) => [field, FieldValue.delete()])
+            ),
+          },
+          { merge: true }
+        ),
+  };
+};
+
+const storeFactories = {
+  mongo: createMongoCatalogStore,
+  firestore: createFirestoreCatalogStore,
+};
+
+// Mongo <-> Firestore id pairs, cached for the run. A dry run only keeps
+// the pairs it would have recorded in memory.
+const createIdMap = ({ dryRun }) => {
+  const cache = new Map();
+  const cacheKey = (entity, store, id) => `${entity}:${store}:${id}`;
+
+  const remember = (entity, { mongo, firestore }) => {
+    cache.set(cacheKey(entity, "mongo", mongo), firestore);
+    cache.set(cacheKey(entity, "firestore", firestore), mongo);
+  };
+
+  return {
+    // Id of the same record in the other store, if it has been paired
+    lookup: async (entity, store, id) => {
+      const key = cacheKey(entity, store, id);
+      if (cache.has(key)) return cache.get(key);
+
+      const mapping = await CatalogIdMapping.findOne({
+        entity,
+        [`${store}Id`]: id,
+      }).lean();
+      if (!mapping) return null;
+
+      remember(entity, {
+        mongo: mapping.mongoId,
+        firestore: mapping.firestoreId,
+      });
+      return cache.get(key);
+    },
+    record: async (entity, pair) => {
+      remember(entity, pair);
+      if (dryRun || pair.mongo === pair.firestore) return;
+
+      await CatalogIdMapping.updateOne(
+        { entity, mongoId: pair.mongo },
+        { $set: { firestoreId: pair.firestore } },
+        { upsert: true }
+      );
+    },
+  };
+};
+
+const comparableFields = (entity, fields) => {
+  const ignored = [
+    ...COMMON_IGNORED_FIELDS,
+    ...(ENTITIES[entity].ignoredFields || []),
+  ];
+
+  return Object.fromEntries(
+    Object.entries(fields).filter(([field]) => !ignored.includes(field))
+  );
+};
+
+const diffFields = (sourceFields, targetFields) =>
+  [...new Set([...Object.keys(sourceFields), ...Object.keys(targetFields)])]
+    .filter(
+      (field) => !isDeepStrictEqual(sourceFields[field], targetFields[field])
+    )
+    .map((field) => ({
+      field,
+      from: targetFields[field],
+      to: sourceFields[field],
+    }));
+
+const formatValue = (value) =>
+  value === undefined ? "(missing)" : JSON.stringify(value);
+
+const describe = (fields) =>
+  JSON.stringify(fields.title || fields.image || fields.reviewMessage || "");
+
+const parseArgs = (argv) => {
+  const valueOf = (flag) => {
+    const index = argv.indexOf(flag);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+
+  const only = valueOf("--only");
+
+  return {
+    from: valueOf("--from"),
+    to: valueOf("--to"),
+    only: only ? only.split(",").filter(Boolean) : Object.keys(ENTITIES),
+    prefer: valueOf("--prefer"),
+    checkpointFile: valueOf("--checkpoint") || DEFAULT_CHECKPOINT,
+    dryRun: argv.includes("--dry-run"),
+    restart: argv.includes("--restart"),
+  };
+};
+
+const usageError = ({ from, to, only, prefer }) => {
+  if (Boolean(from) !== Boolean(to)) return "--from and --to go together";
+  if (from && (!STORES.includes(from) || !STORES.includes(to) || from === to)) {
+    return "--from and --to must be two different stores: mongo, firestore";
+  }
+  if (prefer && !STORES.includes(prefer)) {
+    return "--prefer must be mongo or firestore";
+  }
+
+  const unknown = only.filter((entity) => !ENTITIES[entity]);
+  if (unknown.length) return `Unknown catalog data: ${unknown.join(", ")}`;
+
+  return null;
+};
+
+// One phase copies one entity in one direction
+const planPhases = ({ from, to, only }) => {
+  const directions = from ? [[from, to]] : [STORES, [...STORES].reverse()];
+
+  return Object.keys(ENTITIES)
+    .filter((entity) => only.includes(entity))
+    .flatMap((entity) =>
+      directions.map(([source, target]) => ({ entity, source, target }))
+    );
+};
+
+const phaseName = ({ entity, source, target }) =>
+  `${entity} ${source} → ${target}`;
+
+const readCheckpoint = (file, signature) => {
+  if (!fs.existsSync(file)) return null;
+
+  const checkpoint = JSON.parse(fs.readFileSync(file, "utf8"));
+  return checkpoint.signature === signature ? checkpoint : null;
+};
+
+const emptyCounts = () => ({
+  created: 0,
+  updated: 0,
+  unchanged: 0,
+  newerInTarget: 0,
+  orphaned: 0,
+});
+
+const syncCatalog = async (options) => {
+  const { dryRun, prefer, checkpointFile } = options;
+  const stores = { mongo: storeFactories.mongo() };
+  const storeFor = (name) => {
+    if (!stores[name]) stores[name] = storeFactories[name]();
+    return stores[name];
+  };
+
+  const idMap = createIdMap({ dryRun });
+  const phases = planPhases(options);
+  const signature = phases.map(phaseName).join(", ");
+
+  const checkpoint =
+    !dryRun && !options.restart
+      ? readCheckpoint(checkpointFile, signature)
+      : null;
+
+  const state = checkpoint || {
+    signature,
+    phase: 0,
+    lastId: null,
+    summary: {},
+    conflicts: [],
+  };
+
+  if (checkpoint) {
+    console.log(
+      `↩️  Resuming ${phaseName(phases[state.phase])} after ${state.lastId}`
+    );
+  }
+
+  const saveCheckpoint = () => {
+    if (!dryRun) fs.writeFileSync(checkpointFile, JSON.stringify(state));
+  };
+
+  // Id of a referenced record in the target store, null if not synced yet
+  const translateReference = async (entity, source, target, id) => {
+    const mappedId = await idMap.lookup(entity, source.name, id);
+    if (mappedId) return mappedId;
+
+    return (await target.findById(entity, id)) ? id : null;
+  };
+
+  const findCounterpart = async (entity, record, fields, source, target) => {
+    const mappedId = await idMap.lookup(entity, source.name, record.id);
+    const byMapping = mappedId && (await target.findById(entity, mappedId));
+    if (byMapping) return byMapping;
+
+    const byId = await target.findById(entity, record.id);
+    if (byId) return byId;
+
+    const { naturalKey } = ENTITIES[entity];
+    if (naturalKey.some((field) => fields[field] === undefined)) return null;
+
+    const byKey = await target.findByKey(
+      entity,
+      Object.fromEntries(naturalKey.map((field) => [field, fields[field]]))
+    );
+    if (!byKey) return null;
+
+    // Already paired with another record, so not this one's copy
+    const pairedWith = await idMap.lookup(entity, target.name, byKey.id);
+    return !pairedWith || pairedWith === record.id ? byKey : null;
+  };
+
+  const pairOf = (source, sourceId, targetId) => ({
+    [source.name]: sourceId,
+    [source.name === "mongo" ? "firestore" : "mongo"]: targetId,
+  });
+
+  // Decides which copy wins when both exist and differ
+  const winnerOf = (source, sourceFields, target, targetFields) => {
+    const sourceTime = toDate(sourceFields.updatedAt)?.getTime();
+    const targetTime = toDate(targetFields.updatedAt)?.getTime();
+
+    if (sourceTime && targetTime && sourceTime !== targetTime) {
+      return sourceTime > targetTime ? source.name : target.name;
+    }
+
+    return prefer || null;
+  };
+
+  const conflictKeys = new Set(
+    state.conflicts.map(({ entity, ids }) => `${entity}:${ids}`)
+  );
+
+  const syncRecord = async ({ entity, source, target, counts }, record) => {
+    const fields = { ...record.fields };
+
+    for (const [field, referencedEntity] of Object.entries(
+      ENTITIES[entity].references || {}
+    )) {
+      if (fields[field] === undefined) continue;
+
+      const translated = await translateReference(
+        referencedEntity,
+        source,
+        target,
+        String(fields[field])
+      );
+
+      if (!translated) {
+        counts.orphaned++;
+        return;
+      }
+      fields[field] = translated;
+    }
+
+    const sourceFields = comparableFields(entity, fields);
+    const timestamps = Object.fromEntries(
+      TIMESTAMP_FIELDS.filter((field) => toDate(fields[field])).map(
+        (field) => [field, toDate(fields[field])]
+      )
+    );
+
+    const counterpart = await findCounterpart(
+      entity,
+      record,
+      fields,
+      source,
+      target
+    );
+
+    if (!counterpart) {
+      const targetId = target.acceptsId(record.id)
+        ? record.id
+        : new mongoose.Types.ObjectId().toString();
+
+      if (dryRun) {
+        console.log(
+          `+ ${entity} ${describe(fields)} ${source.name}:${record.id} → ${target.name}:${targetId}`
+        );
+      } else {
+        await target.write(entity, targetId, {
+          fields: { ...sourceFields, ...timestamps },
+          removedFields: [],
+        });
+      }
+
+      await idMap.record(entity, pairOf(source, record.id, targetId));
+      counts.created++;
+      return;
+    }
+
+    await idMap.record(entity, pairOf(source, record.id, counterpart.id));
+
+    const targetFields = comparableFields(entity, counterpart.fields);
+    const changes = diffFields(sourceFields, targetFields);
+
+    if (!changes.length) {
+      counts.unchanged++;
+      return;
+    }
+
+    const winner = winnerOf(source, fields, target, counterpart.fields);
+
+    if (winner === target.name) {
+      counts.newerInTarget++;
+      return;
+    }
+
+    const ids = [record.id, counterpart.id].sort().join("/");
+
+    if (!winner) {
+      if (!conflictKeys.has(`${entity}:${ids}`)) {
+        conflictKeys.add(`${entity}:${ids}`);
+        state.conflicts.push({
+          entity,
+          ids,
+          title: describe(fields),
+          fields: changes.map(({ field }) => field),
+        });
+      }
+      return;
+    }
+
+    if (dryRun) {
+      console.log(
+        `~ ${entity} ${describe(fields)} ${source.name}:${record.id} → ${target.name}:${counterpart.id}`
+      );
+      changes.forEach(({ field, from, to }) =>
+        console.log(`    ${field}: ${formatValue(from)} → ${formatValue(to)}`)
+      );
+    } else {
+      await target.write(entity, counterpart.id, {
+        fields: { ...sourceFields, ...timestamps },
+        removedFields: changes
+          .filter(({ to }) => to === undefined)
+          .map(({ field }) => field),
+      });
+    }
+
+    counts.updated++;
+  };
+
+  for (; state.phase < phases.length; state.phase++, state.lastId = null) {
+    const phase = phases[state.phase];
+    const name = phaseName(phase);
+    const source = storeFor(phase.source);
+    const target = storeFor(phase.target);
+    const counts = (state.summary[name] = state.summary[name] || emptyCounts());
+
+    console.log(`🔄 Syncing ${name}...`);
+
+    for (;;) {
+      const records = await source.list(phase.entity, {
+        startAfterId: state.lastId,
+        limit: BATCH_SIZE,
+      });
+      if (!records.length) break;
+
+      for (const record of records) {
+        await syncRecord({ ...phase, source, target, counts }, record);
+      }
+
+      state.lastId = records[records.length - 1].id;
+      saveCheckpoint();
+    }
+  }
+
+  if (!dryRun && fs.existsSync(checkpointFile)) fs.unlinkSync(checkpointFile);
+
+  return { summary: state.summary, conflicts: state.conflicts };
+};
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const error = usageError(options);
+
+  if (error) {
+    console.error(`❌ ${error}`);
+    console.error(
+      "Usage: node helpers/sync-catalog.js [--from <mongo|firestore> --to <mongo|firestore>] [--only products,reviews,features] [--prefer <mongo|firestore>] [--dry-run] [--checkpoint <file>] [--restart]"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    console.log(
+      `🚚 Syncing ${options.only.join(", ")}${
+        options.from ? ` from ${options.from} to ${options.to}` : " both ways"
+      }${options.dryRun ? " (dry run)" : ""}...`
+    );
+
+    const { summary, conflicts } = await syncCatalog(options);
+
+    console.log("\n--- Catalog Sync Summary ---");
+    Object.entries(summary).forEach(([name, counts]) =>
+      console.log(
+        `${name}: ${counts.created} created, ${counts.updated} updated, ${counts.unchanged} unchanged, ${counts.newerInTarget} newer in target, ${counts.orphaned} without product`
+      )
+    );
+
+    if (conflicts.length) {
+      console.log(
+        `\n⚠️  Conflicts (same or missing updatedAt, rerun with --prefer): ${conflicts.length}`
+      );
+      conflicts.forEach(({ entity, ids, title, fields }) =>
+        console.log(`   ${entity} ${ids} ${title}: ${fields.join(", ")}`)
+      );
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("❌ Catalog sync failed:", error.message);
+    console.error("Rerun the same command to resume from the checkpoint.");
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  syncCatalog,
+  createIdMap,
+  diffFields,
+  toSyncedFields,
+  toMongoFields,
+};
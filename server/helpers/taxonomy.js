@@ -0,0 +1,110 @@
+const Category = require("../models/Category");
+const Brand = require("../models/Brand");
+
+// Taxonomy the shop started with, see helpers/seed-taxonomy.js
+const DEFAULT_CATEGORIES = [
+  { slug: "men", name: "Men", icon: "ShirtIcon" },
+  { slug: "women", name: "Women", icon: "CloudLightning" },
+  { slug: "kids", name: "Kids", icon: "BabyIcon" },
+  { slug: "accessories", name: "Accessories", icon: "WatchIcon" },
+  { slug: "footwear", name: "Footwear", icon: "UmbrellaIcon" },
+];
+
+const DEFAULT_BRANDS = [
+  { slug: "nike", name: "Nike", icon: "Shirt" },
+  { slug: "adidas", name: "Adidas", icon: "WashingMachine" },
+  { slug: "puma", name: "Puma", icon: "ShoppingBasket" },
+  { slug: "levi", name: "Levi's", icon: "Airplay" },
+  { slug: "zara", name: "Zara", icon: "Images" },
+  { slug: "h&m", name: "H&M", icon: "Heater" },
+];
+
+const slugify = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9&]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const toBrand = ({ _id, name, slug, image, icon, sortOrder }) => ({
+  id: _id.toString(),
+  name,
+  slug,
+  image: image || "",
+  icon: icon || "",
+  sortOrder: sortOrder || 0,
+});
+
+const toCategory = (document) => ({
+  ...toBrand(document),
+  parent: document.parent ? document.parent.toString() : null,
+});
+
+const TAXONOMY_ORDER = { sortOrder: 1, name: 1 };
+
+const getTaxonomy = async () => {
+  const [categories, brands] = await Promise.all([
+    Category.find({}).sort(TAXONOMY_ORDER).lean(),
+    Brand.find({}).sort(TAXONOMY_ORDER).lean(),
+  ]);
+
+  return {
+    categories: categories.map(toCategory),
+    brands: brands.map(toBrand),
+  };
+};
+
+// Ids of a category and every category below it
+const getCategorySubtreeIds = (categories, rootId) => {
+  const ids = new Set([rootId]);
+
+  // Each pass adds the next level down, until a pass adds nothing
+  let added = true;
+  while (added) {
+    added = false;
+
+    for (const category of categories) {
+      if (ids.has(category.parent) && !ids.has(category.id)) {
+        ids.add(category.id);
+        added = true;
+      }
+    }
+  }
+
+  return ids;
+};
+
+/**
+ * Category slugs plus the slugs of all their subcategories, so filtering by
+ * a parent category also lists the products of its children. Slugs missing
+ * from the taxonomy are kept as they are.
+ */
+const expandCategorySlugs = async (slugs) => {
+  if (!slugs.length) return slugs;
+
+  const categories = (await Category.find({}).lean()).map(toCategory);
+  const expanded = new Set(slugs);
+
+  for (const slug of slugs) {
+    const category = categories.find((item) => item.slug === slug);
+    if (!category) continue;
+
+    const subtree = getCategorySubtreeIds(categories, category.id);
+    categories
+      .filter((item) => subtree.has(item.id))
+      .forEach((item) => expanded.add(item.slug));
+  }
+
+  return [...expanded];
+};
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  DEFAULT_BRANDS,
+  slugify,
+  toCategory,
+  toBrand,
+  getTaxonomy,
+  getCategorySubtreeIds,
+  expandCategorySlugs,
+};
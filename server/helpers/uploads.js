@@ -0,0 +1,233 @@
+// Uploaded images
+// Every upload is recorded as pending and becomes attached once a product,
+// feature, category or brand is saved with it. Uploads still pending after
+// UPLOAD_ORPHAN_HOURS (config.storage.orphanUploadHours; the admin cancelled
+// the form, or replaced the image before saving) are deleted by a sweep the
+// server runs every hour.
+// Run with: node helpers/uploads.js
+// Sweeps once and lists what was deleted.
+// Options: --dry-run (report only), --older-than=<hours>
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { config } = require("../config");
+const Upload = require("../models/Upload");
+const Category = require("../models/Category");
+const Brand = require("../models/Brand");
+const { getStorage } = require("./storage");
+const { getProductRepository } = require("./product-repository");
+
+// Folders uploads are written to, nothing outside them is ever deleted
+const UPLOAD_FOLDERS = ["products/", "features/"];
+
+// Firestore takes at most 30 values in an "in" clause
+const MAX_IN_VALUES = 30;
+
+const trackUpload = ({ url, path, renditions }) =>
+  Upload.create({ url, path, renditions });
+
+// Marks the uploads behind these image URLs as in use
+const attachUploads = async (urls) => {
+  const attachedUrls = urls.filter(Boolean);
+  if (!attachedUrls.length) return;
+
+  await Upload.updateMany(
+    { url: { $in: attachedUrls }, status: "pending" },
+    { $set: { status: "attached", attachedAt: new Date() } }
+  );
+};
+
+const findUpload = (url) => Upload.findOne({ url }).lean();
+
+// Images saved before paths were stored still carry the file name in
+// their URL
+const getStoragePaths = (image) => [
+  ...new Set(
+    [
+      image.path || getStorage().pathFromUrl(image.url),
+      ...(image.renditions || []).map((rendition) => rendition.path),
+    ].filter(
+      (path) => path && UPLOAD_FOLDERS.some((folder) => path.startsWith(folder))
+    )
+  ),
+];
+
+// Features are only kept in Firestore, loaded on first use like the feature
+// controller does
+const findFeatureUrlsInUse = async (urls) => {
+  if (!config.firebaseConfigured) return [];
+
+  const featuresRef = require("./firebase").db.collection("features");
+  const batches = [];
+  for (let start = 0; start < urls.length; start += MAX_IN_VALUES) {
+    batches.push(urls.slice(start, start + MAX_IN_VALUES));
+  }
+
+  const snapshots = await Promise.all(
+    batches.map((batch) => featuresRef.where("image", "in", batch).get())
+  );
+  return snapshots.flatMap((snapshot) =>
+    snapshot.docs.map((doc) => doc.data().image)
+  );
+};
+
+// The URLs among these that a product (in whichever store keeps them),
+// category, brand or feature still shows
+const findUrlsInUse = async (urls) => {
+  const candidates = [...new Set(urls.filter(Boolean))];
+  if (!candidates.length) return new Set();
+
+  const [productUrls, categories, brands, featureUrls] = await Promise.all([
+    getProductRepository().findImageUrlsInUse(candidates),
+    Category.find({ image: { $in: candidates } }, { image: 1 }).lean(),
+    Brand.find({ image: { $in: candidates } }, { image: 1 }).lean(),
+    findFeatureUrlsInUse(candidates),
+  ]);
+
+  return new Set([
+    ...productUrls,
+    ...categories.map((category) => category.image),
+    ...brands.map((brand) => brand.image),
+    ...featureUrls,
+  ]);
+};
+
+// Deletes every stored file of an image and its upload record. Failures are
+// logged, not thrown, so a storage hiccup never fails the request that
+// dropped the image.
+const deleteImageFiles = async (image) => {
+  const upload = image.renditions?.length ? null : await findUpload(image.url);
+
+  for (const path of getStoragePaths({ ...upload, ...image })) {
+    try {
+      await getStorage().delete(path);
+    } catch (error) {
+      console.error(`Error deleting uploaded file ${path}:`, error);
+    }
+  }
+
+  await Upload.deleteOne({ url: image.url });
+};
+
+/**
+ * Deletes the stored files of images ({ url, path, renditions }) something
+ * stopped showing. Images another product, category, brand or feature
+ * still shows are kept.
+ */
+const deleteUploadedImages = async (images) => {
+  const inUse = await findUrlsInUse(images.map((image) => image.url));
+
+  for (const image of images) {
+    if (!inUse.has(image.url)) await deleteImageFiles(image);
+  }
+};
+
+const deleteUploadedImage = (image) => deleteUploadedImages([image]);
+
+/**
+ * Deletes uploads pending for longer than olderThanHours. Returns the URLs
+ * deleted (or, in a dry run, that would be) and those found in use, which
+ * are marked attached instead.
+ */
+const sweepOrphanedUploads = async ({
+  dryRun = false,
+  olderThanHours = config.storage.orphanUploadHours,
+} = {}) => {
+  const orphans = await Upload.find({
+    status: "pending",
+    createdAt: { $lte: new Date(Date.now() - olderThanHours * 60 * 60 * 1000) },
+  }).lean();
+  const report = { deleted: [], inUse: [] };
+
+  // A pending upload may still have been saved by a request that failed to
+  // attach it, so the stores are checked before deleting
+  const inUse = await findUrlsInUse(orphans.map((upload) => upload.url));
+
+  for (const upload of orphans) {
+    if (inUse.has(upload.url)) {
+      report.inUse.push(upload.url);
+      if (!dryRun) await attachUploads([upload.url]);
+      continue;
+    }
+
+    report.deleted.push(upload.url);
+    if (!dryRun) await deleteImageFiles(upload);
+  }
+
+  return report;
+};
+
+const startUploadSweeper = (intervalMs = 60 * 60 * 1000) => {
+  const timer = setInterval(() => {
+    sweepOrphanedUploads()
+      .then(({ deleted }) => {
+        if (deleted.length) {
+          console.log(`🧹 Deleted ${deleted.length} orphaned uploads`);
+        }
+      })
+      .catch((error) =>
+        console.error("Error deleting orphaned uploads:", error)
+      );
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+};
+
+const parseArgs = (argv) => {
+  const olderThan = argv.find((arg) => arg.startsWith("--older-than="));
+
+  return {
+    dryRun: argv.includes("--dry-run"),
+    olderThanHours: olderThan
+      ? parseFloat(olderThan.split("=")[1])
+      : config.storage.orphanUploadHours,
+  };
+};
+
+const run = async () => {
+  const { dryRun, olderThanHours } = parseArgs(process.argv.slice(2));
+
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+
+    console.log(
+      `🧹 Sweeping uploads pending for over ${olderThanHours}h${
+        dryRun ? " (dry run)" : ""
+      }...`
+    );
+    const { deleted, inUse } = await sweepOrphanedUploads({
+      dryRun,
+      olderThanHours,
+    });
+
+    deleted.forEach((url) => console.log(`   - ${url}`));
+    inUse.forEach((url) => console.log(`   = ${url} (in use, kept)`));
+    console.log(
+      `✅ ${deleted.length} ${dryRun ? "to delete" : "deleted"}, ${
+        inUse.length
+      } in use`
+    );
+  } catch (error) {
+    console.error("❌ Upload sweep failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  trackUpload,
+  attachUploads,
+  findUpload,
+  getStoragePaths,
+  findUrlsInUse,
+  deleteUploadedImage,
+  deleteUploadedImages,
+  sweepOrphanedUploads,
+  startUploadSweeper,
+};
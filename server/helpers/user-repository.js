@@ -0,0 +1,315 @@
+const mongoose = require("mongoose");
+const { config } = require("../config");
+
+// Users are plain objects: { id, userName, email, password, role, ... }.
+// Field names in changes may use dot paths (e.g. "mfa.lastUsedStep") and
+// DELETE_FIELD removes a field, so controllers never touch the backend.
+
+const DELETE_FIELD = Symbol("deleteField");
+
+class UserRepositoryError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "UserRepositoryError";
+    this.code = code;
+  }
+}
+
+const emailTakenError = () =>
+  new UserRepositoryError(
+    "A user with this email already exists",
+    "EMAIL_TAKEN"
+  );
+
+// Keeps the users collection in Firestore, the original storage
+const createFirestoreUserRepository = () => {
+  const { FieldValue, FieldPath } = require("firebase-admin/firestore");
+  const { db } = require("./firebase");
+  const usersRef = db.collection("users");
+
+  const fromDoc = (doc) => (doc.exists ? { ...doc.data(), id: doc.id } : null);
+
+  const findOneWhere = async (field, value) => {
+    const snapshot = await usersRef.where(field, "==", value).limit(1).get();
+    return snapshot.empty ? null : fromDoc(snapshot.docs[0]);
+  };
+
+  const toFirestoreChanges = (changes) =>
+    Object.fromEntries(
+      Object.entries(changes).map(([field, value]) => [
+        field,
+        value === DELETE_FIELD ? FieldValue.delete() : value,
+      ])
+    );
+
+  // Firestore has no unique indexes, so the check runs in the transaction
+  const assertEmailAvailable = async (transaction, email, userId) => {
+    const snapshot = await transaction.get(
+      usersRef.where("email", "==", email).limit(2)
+    );
+
+    if (snapshot.docs.some((doc) => doc.id !== userId)) throw emailTakenError();
+  };
+
+  const updateWith = async (id, buildChanges) => {
+    const userRef = usersRef.doc(id);
+
+    const updated = await db.runTransaction(async (transaction) => {
+      const user = fromDoc(await transaction.get(userRef));
+      if (!user) return false;
+
+      const changes = buildChanges(user);
+      if (!changes) return false;
+
+      if (changes.email && changes.email !== user.email) {
+        await assertEmailAvailable(transaction, changes.email, id);
+      }
+
+      transaction.update(userRef, toFirestoreChanges(changes));
+      return true;
+    });
+
+    return updated ? fromDoc(await userRef.get()) : null;
+  };
+
+  return {
+    name: "firestore",
+    findById: async (id) => fromDoc(await usersRef.doc(id).get()),
+    findByEmail: (email) => findOneWhere("email", email),
+    findByPasswordResetTokenHash: (tokenHash) =>
+      findOneWhere("passwordReset.tokenHash", tokenHash),
+    create: ({ id, ...fields }) =>
+      db.runTransaction(async (transaction) => {
+        await assertEmailAvailable(transaction, fields.email, id);
+
+        const userRef = id ? usersRef.doc(id) : usersRef.doc();
+        transaction.create(userRef, fields);
+
+        return { ...fields, id: userRef.id };
+      }),
+    updateWith,
+    update: (id, changes) => updateWith(id, () => changes),
+    list: async ({ startAfterId, limit }) => {
+      let query = usersRef.orderBy(FieldPath.documentId()).limit(limit);
+      if (startAfterId) query = query.startAfter(startAfterId);
+
+      const snapshot = await query.get();
+      return snapshot.docs.map(fromDoc);
+    },
+  };
+};
+
+// Keeps users in MongoDB next to carts, orders and addresses
+const createMongoUserRepository = () => {
+  const User = require("../models/User");
+  const MAX_UPDATE_ATTEMPTS = 5;
+
+  const fromDocument = (document) => {
+    if (!document) return null;
+
+    const { _id, revision, __v, ...fields } = document;
+    return { ...fields, id: _id };
+  };
+
+  const toMongoUpdate = (changes) => {
+    const $set = {};
+    const $unset = {};
+
+    for (const [field, value] of Object.entries(changes)) {
+      if (value === DELETE_FIELD) $unset[field] = "";
+      else $set[field] = value;
+    }
+
+    return {
+      ...(Object.keys($set).length && { $set }),
+      ...(Object.keys($unset).length && { $unset }),
+      $inc: { revision: 1 },
+    };
+  };
+
+  const rethrowDuplicateEmail = (error) => {
+    if (error.code === 11000 && error.keyPattern?.email) throw emailTakenError();
+    throw error;
+  };
+
+  // Optimistic concurrency: the update only applies if nobody else changed
+  // the user since it was read, otherwise it is recomputed and retried
+  const updateWith = async (id, buildChanges) => {
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const current = await User.findById(id).lean();
+      if (!current) return null;
+
+      const changes = buildChanges(fromDocument(current));
+      if (!changes) return null;
+
+      try {
+        const updated = await User.findOneAndUpdate(
+          { _id: id, revision: current.revision ?? null },
+          toMongoUpdate(changes),
+          { new: true }
+        ).lean();
+
+        if (updated) return fromDocument(updated);
+      } catch (error) {
+        rethrowDuplicateEmail(error);
+      }
+    }
+
+    throw new Error(`Too many concurrent updates to user ${id}`);
+  };
+
+  return {
+    name: "mongo",
+    findById: async (id) => fromDocument(await User.findById(id).lean()),
+    // String() so a JSON body can never pass an operator such as { $gt: "" }
+    findByEmail: async (email) =>
+      fromDocument(await User.findOne({ email: String(email) }).lean()),
+    findByPasswordResetTokenHash: async (tokenHash) =>
+      fromDocument(
+        await User.findOne({ "passwordReset.tokenHash": tokenHash }).lean()
+      ),
+    create: async ({ id, ...fields }) => {
+      try {
+        const user = await User.create({
+          ...fields,
+          _id: id || new mongoose.Types.ObjectId().toString(),
+        });
+
+        return fromDocument(user.toObject());
+      } catch (error) {
+        rethrowDuplicateEmail(error);
+      }
+    },
+    updateWith,
+    update: (id, changes) => updateWith(id, () => changes),
+    list: async ({ startAfterId, limit }) => {
+      const filter = startAfterId ? { _id: { $gt: startAfterId } } : {};
+      const users = await User.find(filter)
+        .sort({ _id: 1 })
+        .limit(limit)
+        .lean();
+
+      return users.map(fromDocument);
+    },
+  };
+};
+
+// Keeps users in process memory, for tests and scripts; nothing survives a
+// restart. Reads return copies so callers cannot change stored users.
+const createMemoryUserRepository = () => {
+  const crypto = require("crypto");
+  const users = new Map();
+
+  const copy = (user) => (user ? structuredClone(user) : null);
+  const findOneWhere = (matches) =>
+    copy([...users.values()].find(matches) || null);
+
+  const applyChanges = (user, changes) => {
+    const updated = structuredClone(user);
+
+    for (const [field, value] of Object.entries(changes)) {
+      const path = field.split(".");
+      const key = path.pop();
+      const parent = path.reduce((target, part) => {
+        if (typeof target[part] !== "object" || target[part] === null) {
+          target[part] = {};
+        }
+        return target[part];
+      }, updated);
+
+      if (value === DELETE_FIELD) delete parent[key];
+      else parent[key] = value;
+    }
+
+    return updated;
+  };
+
+  const assertEmailAvailable = (email, userId) => {
+    const taken = [...users.values()].some(
+      (user) => user.email === email && user.id !== userId
+    );
+
+    if (taken) throw emailTakenError();
+  };
+
+  // Reads and writes happen in one synchronous step, so no other update
+  // can interleave
+  const updateWith = async (id, buildChanges) => {
+    const user = users.get(id);
+    if (!user) return null;
+
+    const changes = buildChanges(copy(user));
+    if (!changes) return null;
+
+    const updated = applyChanges(user, changes);
+    if (updated.email !== user.email) assertEmailAvailable(updated.email, id);
+
+    users.set(id, updated);
+    return copy(updated);
+  };
+
+  return {
+    name: "memory",
+    findById: async (id) => copy(users.get(id)),
+    findByEmail: async (email) =>
+      findOneWhere((user) => user.email === String(email)),
+    findByPasswordResetTokenHash: async (tokenHash) =>
+      findOneWhere((user) => user.passwordReset?.tokenHash === tokenHash),
+    create: async ({ id, ...fields }) => {
+      assertEmailAvailable(fields.email, id);
+
+      const user = {
+        ...structuredClone(fields),
+        id: id || crypto.randomUUID(),
+      };
+      users.set(user.id, user);
+
+      return copy(user);
+    },
+    updateWith,
+    update: (id, changes) => updateWith(id, () => changes),
+    list: async ({ startAfterId, limit }) =>
+      [...users.keys()]
+        .sort()
+        .filter((id) => !startAfterId || id > startAfterId)
+        .slice(0, limit)
+        .map((id) => copy(users.get(id))),
+  };
+};
+
+const repositoryFactories = {
+  firestore: createFirestoreUserRepository,
+  mongo: createMongoUserRepository,
+  memory: createMemoryUserRepository,
+};
+
+const createUserRepository = (store) => {
+  const factory = repositoryFactories[store];
+
+  if (!factory) throw new Error(`Unknown user store: ${store}`);
+
+  return factory();
+};
+
+let activeRepository = null;
+
+const getUserRepository = () => {
+  if (!activeRepository) {
+    activeRepository = createUserRepository(config.users.store);
+  }
+
+  return activeRepository;
+};
+
+// Allows scripts and tests to swap in their own repository
+const setUserRepository = (repository) => {
+  activeRepository = repository;
+};
+
+module.exports = {
+  DELETE_FIELD,
+  UserRepositoryError,
+  createUserRepository,
+  getUserRepository,
+  setUserRepository,
+};
@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// Security relevant authentication events, e.g. account lockouts
+const AuthAuditEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    userId: String,
+    email: String,
+    ip: String,
+    // Admin who performed the action, if any
+    actorId: String,
+    details: mongoose.Schema.Types.Mixed,
+  },
+  { timestamps: true }
+);
+
+AuthAuditEventSchema.index({ type: 1, createdAt: -1 });
+AuthAuditEventSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuthAuditEvent", AuthAuditEventSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Products store the brand slug
+const BrandSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    image: String,
+    // lucide icon name shown on the home tiles when there is no image
+    icon: String,
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Brand", BrandSchema);
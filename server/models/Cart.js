@@ -13,6 +13,11 @@ const CartSchema = new mongoose.Schema(
           ref: "Product",
           required: true,
         },
+        // _id of the product variant, null for products without variants
+        variantId: {
+          type: String,
+          default: null,
+        },
         quantity: {
           type: Number,
           required: true,
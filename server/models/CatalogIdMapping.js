@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// Pairs the Mongo and Firestore ids of one catalog record when they differ,
+// e.g. products seeded separately into each store. See helpers/sync-catalog.js
+const CatalogIdMappingSchema = new mongoose.Schema(
+  {
+    // "products", "reviews" or "features"
+    entity: {
+      type: String,
+      required: true,
+    },
+    mongoId: {
+      type: String,
+      required: true,
+    },
+    firestoreId: {
+      type: String,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+CatalogIdMappingSchema.index({ entity: 1, mongoId: 1 }, { unique: true });
+CatalogIdMappingSchema.index({ entity: 1, firestoreId: 1 }, { unique: true });
+
+module.exports = mongoose.model("CatalogIdMapping", CatalogIdMappingSchema);
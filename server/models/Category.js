@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+// Products store the category slug. Subcategories point at their parent and
+// filtering by a category also matches its subcategories.
+const CategorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    image: String,
+    // lucide icon name shown on the home tiles when there is no image
+    icon: String,
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+CategorySchema.index({ parent: 1, sortOrder: 1 });
+
+module.exports = mongoose.model("Category", CategorySchema);
@@ -3,6 +3,18 @@ const mongoose = require("mongoose");
 const FeatureSchema = new mongoose.Schema(
   {
     image: String,
+    // Resized copies, see helpers/image-processing.js
+    renditions: [
+      {
+        _id: false,
+        name: String,
+        format: String,
+        width: Number,
+        height: Number,
+        url: String,
+        path: String,
+      },
+    ],
   },
   { timestamps: true }
 );
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Failed login counters for the Mongo-backed login throttle store. One
+// document per key ("ip:<address>" or "account:<email>").
+const LoginAttemptSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    firstFailureAt: Date,
+    nextAttemptAt: Date,
+    lockedUntil: Date,
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", LoginAttemptSchema);
@@ -6,10 +6,14 @@ const OrderSchema = new mongoose.Schema({
   cartItems: [
     {
       productId: String,
+      variantId: String,
+      variantLabel: String,
+      sku: String,
       title: String,
       image: String,
       price: String,
       quantity: Number,
+      lineTotal: Number,
     },
   ],
   addressInfo: {
@@ -23,6 +27,11 @@ const OrderSchema = new mongoose.Schema({
   orderStatus: String,
   paymentMethod: String,
   paymentStatus: String,
+  // "pending" from the moment the order is paid until its stock is committed
+  // and its cart cleared, so an interrupted finalization is completed by
+  // the next callback or webhook delivery
+  fulfillmentStatus: String,
+  subtotal: Number,
   totalAmount: Number,
   orderDate: Date,
   orderUpdateDate: Date,
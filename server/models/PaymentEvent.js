@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// One document per Paystack reference and event type, used to make
+// payment finalization idempotent across the callback and webhook paths
+const PaymentEventSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String,
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    transactionId: String,
+    orderId: String,
+    sources: [String],
+    processedAt: Date,
+  },
+  { timestamps: true }
+);
+
+PaymentEventSchema.index({ reference: 1, event: 1 }, { unique: true });
+
+module.exports = mongoose.model("PaymentEvent", PaymentEventSchema);
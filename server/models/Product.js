@@ -1,18 +1,111 @@
 const mongoose = require("mongoose");
+const { SEARCH_WEIGHTS } = require("../helpers/product-search");
+
+const RenditionSchema = new mongoose.Schema(
+  {
+    name: String,
+    format: String,
+    width: Number,
+    height: Number,
+    url: String,
+    path: String,
+  },
+  { _id: false }
+);
+
+// One sellable combination of option values, see helpers/product-variants.js
+const VariantSchema = new mongoose.Schema({
+  sku: String,
+  options: [
+    {
+      _id: false,
+      name: String,
+      value: String,
+    },
+  ],
+  // Replaces the product's price and sale price when set
+  price: Number,
+  totalStock: {
+    type: Number,
+    default: 0,
+  },
+  reservedStock: {
+    type: Number,
+    default: 0,
+  },
+  image: String,
+});
+
+VariantSchema.virtual("availableStock").get(function () {
+  return Math.max((this.totalStock || 0) - (this.reservedStock || 0), 0);
+});
 
 const ProductSchema = new mongoose.Schema(
   {
+    // URL of the primary entry of images, kept for listings, carts and orders
     image: String,
+    // Gallery in display order, `path` is the file in storage
+    images: [
+      {
+        _id: false,
+        url: String,
+        alt: String,
+        path: String,
+        isPrimary: Boolean,
+        // Resized copies, see helpers/image-processing.js
+        renditions: [RenditionSchema],
+      },
+    ],
     title: String,
     description: String,
     category: String,
     brand: String,
     price: Number,
     salePrice: Number,
+    // With variants, the sum of their stock and reservations
     totalStock: Number,
-    averageReview: Number,
+    // Units held by active checkout reservations, see StockReservation
+    reservedStock: {
+      type: Number,
+      default: 0,
+    },
+    // { name: "Size", values: ["S", "M", "L"] }
+    options: [
+      {
+        _id: false,
+        name: String,
+        values: [String],
+      },
+    ],
+    variants: [VariantSchema],
+    averageReview: {
+      type: Number,
+      default: 0,
+    },
+    // Units in paid orders, kept by helpers/product-sales.js
+    unitsSold: {
+      type: Number,
+      default: 0,
+    },
+    // Worked out from price and salePrice, see helpers/product-repository.js
+    discountPercent: {
+      type: Number,
+      default: 0,
+    },
   },
-  { timestamps: true }
+  { timestamps: true, toJSON: { virtuals: true } }
 );
 
+// Full-text search, ranked with the weights in helpers/product-search.js
+ProductSchema.index(
+  Object.fromEntries(
+    Object.keys(SEARCH_WEIGHTS).map((field) => [field, "text"])
+  ),
+  { name: "product_search", weights: SEARCH_WEIGHTS }
+);
+
+ProductSchema.virtual("availableStock").get(function () {
+  return Math.max((this.totalStock || 0) - (this.reservedStock || 0), 0);
+});
+
 module.exports = mongoose.model("Product", ProductSchema);
@@ -0,0 +1,33 @@
+const mongoose = require("mongoose");
+
+// Refresh tokens are stored hashed. Every rotation creates a new token in
+// the same family; presenting an already rotated token revokes the family.
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: String,
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    familyId: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    replacedByHash: String,
+  },
+  { timestamps: true }
+);
+
+RefreshTokenSchema.index({ familyId: 1 });
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema);
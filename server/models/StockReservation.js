@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+const StockReservationSchema = new mongoose.Schema(
+  {
+    reference: {
+      type: String,
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    // _id of the reserved product variant, null for products without variants
+    variantId: {
+      type: String,
+      default: null,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // active -> committed on payment, active -> released on failure/expiry
+    status: {
+      type: String,
+      enum: ["active", "committed", "released"],
+      default: "active",
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+StockReservationSchema.index({ reference: 1 });
+StockReservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model("StockReservation", StockReservationSchema);
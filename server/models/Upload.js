@@ -0,0 +1,37 @@
+const mongoose = require("mongoose");
+
+// One uploaded image and its renditions, see helpers/uploads.js
+const UploadSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: true,
+    },
+    // File of url, the renditions carry their own
+    path: String,
+    renditions: [
+      {
+        _id: false,
+        name: String,
+        format: String,
+        width: Number,
+        height: Number,
+        url: String,
+        path: String,
+      },
+    ],
+    // pending until a product, feature, category or brand uses the image
+    status: {
+      type: String,
+      enum: ["pending", "attached"],
+      default: "pending",
+    },
+    attachedAt: Date,
+  },
+  { timestamps: true }
+);
+
+UploadSchema.index({ url: 1 }, { unique: true });
+UploadSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("Upload", UploadSchema);
@@ -1,25 +1,59 @@
 const mongoose = require("mongoose");
 
-const UserSchema = new mongoose.Schema({
-  userName: {
-    type: String,
-    required: true,
-    unique: true,
+// Mongo backend of the user repository (USER_STORE=mongo). Ids are strings
+// so users migrated from Firestore keep the ids carts, orders and addresses
+// already reference. Dates are ISO strings as in Firestore.
+const UserSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String,
+      required: true,
+    },
+    userName: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    password: {
+      type: String,
+      required: true,
+    },
+    role: {
+      type: String,
+      default: "user",
+    },
+    emailVerified: Boolean,
+    emailVerifiedAt: String,
+    passwordChangedAt: String,
+    passwordReset: {
+      tokenHash: String,
+      expiresAt: String,
+      requestedAt: String,
+    },
+    mfa: {
+      enabled: Boolean,
+      secret: String,
+      pendingSecret: String,
+      lastUsedStep: Number,
+      recoveryCodeHashes: { type: [String], default: undefined },
+      enabledAt: String,
+    },
+    createdAt: String,
+    // Incremented on every write for optimistic concurrency
+    revision: {
+      type: Number,
+      default: 0,
+    },
   },
-  email: {
-    type: String,
-    required: true,
-    unique: true,
-  },
-  password: {
-    type: String,
-    required: true,
-  },
-  role: {
-    type: String,
-    default: "user",
-  },
-});
+  // Users copied from Firestore may carry fields not listed here
+  { strict: false }
+);
+
+UserSchema.index({ "passwordReset.tokenHash": 1 }, { sparse: true });
 
 const User = mongoose.model("User", UserSchema);
 module.exports = User;
@@ -5,9 +5,12 @@ const {
   getOrderDetailsForAdmin,
   updateOrderStatus,
 } = require("../../controllers/admin/order-controller");
+const { authorize } = require("../../controllers/auth/auth-controller");
 
 const router = express.Router();
 
+router.use(authorize(["admin"]));
+
 router.get("/get", getAllOrdersOfAllUsers);
 router.get("/details/:id", getOrderDetailsForAdmin);
 router.put("/update/:id", updateOrderStatus);
@@ -2,6 +2,7 @@ const express = require("express");
 
 const {
   handleImageUpload,
+  handleImagesUpload,
   addProduct,
   editProduct,
   fetchAllProducts,
@@ -9,10 +10,18 @@ const {
 } = require("../../controllers/admin/products-controller");
 
 const { upload } = require("../../helpers/cloudinary");
+const { authorize } = require("../../controllers/auth/auth-controller");
 
 const router = express.Router();
 
+router.use(authorize(["admin"]));
+
 router.post("/upload-image", upload.single("my_file"), handleImageUpload);
+router.post(
+  "/upload-images",
+  upload.array("my_files"),
+  handleImagesUpload
+);
 router.post("/add", addProduct);
 router.put("/edit/:id", editProduct);
 router.delete("/delete/:id", deleteProduct);
@@ -0,0 +1,24 @@
+const express = require("express");
+
+const {
+  addCategory,
+  editCategory,
+  deleteCategory,
+  addBrand,
+  editBrand,
+  deleteBrand,
+} = require("../../controllers/admin/taxonomy-controller");
+const { authorize } = require("../../controllers/auth/auth-controller");
+
+const router = express.Router();
+
+router.use(authorize(["admin"]));
+
+router.post("/categories/add", addCategory);
+router.put("/categories/edit/:id", editCategory);
+router.delete("/categories/delete/:id", deleteCategory);
+router.post("/brands/add", addBrand);
+router.put("/brands/edit/:id", editBrand);
+router.delete("/brands/delete/:id", deleteBrand);
+
+module.exports = router;
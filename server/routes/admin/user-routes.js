@@ -0,0 +1,12 @@
+const express = require("express");
+
+const { unlockUserAccount } = require("../../controllers/admin/user-controller");
+const { authorize } = require("../../controllers/auth/auth-controller");
+
+const router = express.Router();
+
+router.use(authorize(["admin"]));
+
+router.post("/unlock/:userId", unlockUserAccount);
+
+module.exports = router;
@@ -2,15 +2,40 @@ const express = require("express");
 const {
   registerUser,
   loginUser,
+  refreshSession,
   logoutUser,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  getProfile,
+  updateProfile,
+  verifyMfaLogin,
+  setupMfa,
+  enableMfa,
+  disableMfa,
+  regenerateRecoveryCodes,
   authMiddleware,
+  mfaSetupAuth,
 } = require("../../controllers/auth/auth-controller");
 
 const router = express.Router();
 
 router.post("/register", registerUser);
 router.post("/login", loginUser);
+router.post("/refresh", refreshSession);
 router.post("/logout", logoutUser);
+router.post("/verify-email", verifyEmail);
+router.post("/resend-verification", authMiddleware, resendVerificationEmail);
+router.post("/forgot-password", forgotPassword);
+router.post("/reset-password", resetPassword);
+router.get("/profile", authMiddleware, getProfile);
+router.put("/profile", authMiddleware, updateProfile);
+router.post("/mfa/verify", verifyMfaLogin);
+router.post("/mfa/setup", mfaSetupAuth, setupMfa);
+router.post("/mfa/enable", mfaSetupAuth, enableMfa);
+router.post("/mfa/disable", authMiddleware, disableMfa);
+router.post("/mfa/recovery-codes", authMiddleware, regenerateRecoveryCodes);
 router.get("/check-auth", authMiddleware, (req, res) => {
   const user = req.user;
   res.status(200).json({
@@ -1,16 +1,23 @@
 const express = require("express");
-const multer = require("multer");
 
 const {
   addFeatureImage,
   getFeatureImages,
+  deleteFeatureImage,
 } = require("../../controllers/common/feature-controller");
 
-const upload = multer({ storage: multer.memoryStorage() });
+const { upload } = require("../../helpers/image-upload");
+const { authorize } = require("../../controllers/auth/auth-controller");
 
 const router = express.Router();
 
-router.post("/add", upload.single("image"), addFeatureImage);
+router.post(
+  "/add",
+  authorize(["admin"]),
+  upload.single("image"),
+  addFeatureImage
+);
 router.get("/get", getFeatureImages);
+router.delete("/delete/:id", authorize(["admin"]), deleteFeatureImage);
 
 module.exports = router;
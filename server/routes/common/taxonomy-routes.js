@@ -0,0 +1,11 @@
+const express = require("express");
+
+const {
+  getTaxonomyList,
+} = require("../../controllers/common/taxonomy-controller");
+
+const router = express.Router();
+
+router.get("/", getTaxonomyList);
+
+module.exports = router;
@@ -6,12 +6,13 @@ const {
   editAddress,
   deleteAddress,
 } = require("../../controllers/shop/address-controller");
+const { authorizeOwner } = require("../../controllers/auth/auth-controller");
 
 const router = express.Router();
 
-router.post("/add", addAddress);
-router.get("/get/:userId", fetchAllAddress);
-router.delete("/delete/:userId/:addressId", deleteAddress);
-router.put("/update/:userId/:addressId", editAddress);
+router.post("/add", authorizeOwner, addAddress);
+router.get("/get/:userId", authorizeOwner, fetchAllAddress);
+router.delete("/delete/:userId/:addressId", authorizeOwner, deleteAddress);
+router.put("/update/:userId/:addressId", authorizeOwner, editAddress);
 
 module.exports = router;
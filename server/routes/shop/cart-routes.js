@@ -6,12 +6,18 @@ const {
   deleteCartItem,
   updateCartItemQty,
 } = require("../../controllers/shop/cart-controller");
+const { authorizeOwner } = require("../../controllers/auth/auth-controller");
 
 const router = express.Router();
 
-router.post("/add", addToCart);
-router.get("/get/:userId", fetchCartItems);
-router.put("/update-cart", updateCartItemQty);
-router.delete("/:userId/:productId", deleteCartItem);
+router.post("/add", authorizeOwner, addToCart);
+router.get("/get/:userId", authorizeOwner, fetchCartItems);
+router.put("/update-cart", authorizeOwner, updateCartItemQty);
+router.delete("/:userId/:productId", authorizeOwner, deleteCartItem);
+router.delete(
+  "/:userId/:productId/:variantId",
+  authorizeOwner,
+  deleteCartItem
+);
 
 module.exports = router;
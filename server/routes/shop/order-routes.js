@@ -1,17 +1,24 @@
 const express = require("express");
 
 const {
+  getOrderQuote,
   createOrder,
   getAllOrdersByUser,
   getOrderDetails,
   capturePayment,
 } = require("../../controllers/shop/order-controller");
+const {
+  authMiddleware,
+  authorizeOwner,
+  requireVerifiedEmail,
+} = require("../../controllers/auth/auth-controller");
 
 const router = express.Router();
 
-router.post("/create", createOrder);
-router.post("/capture", capturePayment);
-router.get("/list/:userId", getAllOrdersByUser);
-router.get("/details/:id", getOrderDetails);
+router.post("/quote", authorizeOwner, getOrderQuote);
+router.post("/create", authorizeOwner, requireVerifiedEmail, createOrder);
+router.post("/capture", authMiddleware, capturePayment);
+router.get("/list/:userId", authorizeOwner, getAllOrdersByUser);
+router.get("/details/:id", authMiddleware, getOrderDetails);
 
 module.exports = router;
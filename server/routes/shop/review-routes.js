@@ -4,10 +4,14 @@ const {
   addProductReview,
   getProductReviews,
 } = require("../../controllers/shop/product-review-controller");
+const {
+  authorizeOwner,
+  requireVerifiedEmail,
+} = require("../../controllers/auth/auth-controller");
 
 const router = express.Router();
 
-router.post("/add", addProductReview);
+router.post("/add", authorizeOwner, requireVerifiedEmail, addProductReview);
 router.get("/:productId", getProductReviews);
 
 module.exports = router;
@@ -1,4 +1,9 @@
 require("dotenv").config();
+const { config, validateConfig } = require("./config");
+
+// Fail fast when production secrets are missing
+validateConfig();
+
 const express = require("express");
 const path = require("path");
 const cookieParser = require("cookie-parser");
@@ -6,6 +11,8 @@ const cors = require("cors");
 const authRouter = require("./routes/auth/auth-routes");
 const adminProductsRouter = require("./routes/admin/products-routes");
 const adminOrderRouter = require("./routes/admin/order-routes");
+const adminUserRouter = require("./routes/admin/user-routes");
+const adminTaxonomyRouter = require("./routes/admin/taxonomy-routes");
 
 const shopProductsRouter = require("./routes/shop/products-routes");
 const shopCartRouter = require("./routes/shop/cart-routes");
@@ -16,13 +23,16 @@ const shopReviewRouter = require("./routes/shop/review-routes");
 const shopPaystackRouter = require("./routes/shop/paystack-routes");
 
 const commonFeatureRouter = require("./routes/common/feature-routes");
+const commonTaxonomyRouter = require("./routes/common/taxonomy-routes");
 
-// Initialize Firebase (Optional here if controllers import it directly,
-// but good to ensure it runs on startup)
-require("./helpers/firebase");
+// Firebase is loaded by the stores and storage driver that use it, so the
+// server starts without its credentials when none of them is configured
+const { startReservationSweeper } = require("./helpers/inventory-reservations");
+const { startUploadSweeper } = require("./helpers/uploads");
 
 const mongoose = require("mongoose");
 const app = express();
+app.set("trust proxy", config.trustProxy);
 
 // Get port from environment, default to 5000
 const PORT = parseInt(process.env.PORT, 10) || 5000;
@@ -49,6 +59,8 @@ app.use(express.json());
 app.use("/api/auth", authRouter);
 app.use("/api/admin/products", adminProductsRouter);
 app.use("/api/admin/orders", adminOrderRouter);
+app.use("/api/admin/users", adminUserRouter);
+app.use("/api/admin/taxonomy", adminTaxonomyRouter);
 
 app.use("/api/shop/products", shopProductsRouter);
 app.use("/api/shop/cart", shopCartRouter);
@@ -59,6 +71,15 @@ app.use("/api/shop/search", shopSearchRouter);
 app.use("/api/shop/review", shopReviewRouter);
 
 app.use("/api/common/feature", commonFeatureRouter);
+app.use("/api/common/taxonomy", commonTaxonomyRouter);
+
+// Uploads kept on this server's disk (STORAGE_DRIVER=local)
+if (config.storage.driver === "local") {
+  app.use(
+    config.storage.local.publicPath,
+    express.static(config.storage.local.dir)
+  );
+}
 
 // Serve static files from the React app build directory
 app.use(express.static(path.join(__dirname, '../client/dist')));
@@ -99,7 +120,12 @@ mongoose
   .connect(process.env.MONGO_URI)
   .then(() => {
     console.log('✅ Connected to MongoDB');
-    
+
+    // Return stock held by abandoned checkouts
+    startReservationSweeper();
+    // Delete uploads no product or feature was saved with
+    startUploadSweeper();
+
     server = app.listen(PORT, () => {
       console.log(`🚀 Server is now running on http://localhost:${PORT}`);
       console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
@@ -0,0 +1,307 @@
+const assert = require("assert");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const {
+  createUserRepository,
+  setUserRepository,
+} = require("./helpers/user-repository");
+const {
+  REFRESH_COOKIE,
+  hashToken,
+  signMfaPendingToken,
+  findRefreshToken,
+  setRefreshTokenStore,
+  createMemoryRefreshTokenStore,
+} = require("./helpers/auth-tokens");
+const { config } = require("./config");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  unlockAccount,
+  setAttemptStore,
+  createMemoryAttemptStore,
+} = require("./helpers/login-throttle");
+const {
+  setAuthEventStore,
+  createMemoryEventStore,
+} = require("./helpers/auth-audit");
+const { generateTotp, generateTotpSecret } = require("./helpers/totp");
+const {
+  loginUser,
+  refreshSession,
+  logoutUser,
+  resetPassword,
+  verifyMfaLogin,
+} = require("./controllers/auth/auth-controller");
+
+// Drives the session endpoints through their controllers with users,
+// refresh tokens, login attempts and audit events kept in memory, so it
+// needs no database: refresh token rotation, reuse detection, logout,
+// password reset links, account lockout and the second login factor.
+// Run with: node test-auth-sessions.js
+
+const EMAIL = "auth-sessions-test@example.com";
+const PASSWORD = "correct horse battery";
+const IP = "203.0.113.7";
+
+// Records what a controller sends instead of writing an HTTP response
+const createResponse = () => {
+  const res = { statusCode: 200, cookies: {}, headers: {} };
+
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  res.cookie = (name, value) => {
+    res.cookies[name] = value;
+    return res;
+  };
+  res.clearCookie = (name) => {
+    res.cookies[name] = null;
+    return res;
+  };
+  res.set = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+
+  return res;
+};
+
+const call = async (handler, { body = {}, cookies = {} } = {}) => {
+  const res = createResponse();
+  await handler({ ip: IP, body, cookies }, res);
+  return res;
+};
+
+const login = (password = PASSWORD) =>
+  call(loginUser, { body: { email: EMAIL, password } });
+
+const refresh = (refreshToken) =>
+  call(refreshSession, { cookies: { [REFRESH_COOKIE]: refreshToken } });
+
+async function testRefreshTokens() {
+  console.log("1. Refresh token rotation...");
+
+  const loggedIn = await login();
+  assert.strictEqual(loggedIn.statusCode, 200);
+  const first = loggedIn.cookies[REFRESH_COOKIE];
+  assert.ok(first, "login should set a refresh cookie");
+
+  const rotated = await refresh(first);
+  assert.strictEqual(rotated.statusCode, 200);
+  const second = rotated.cookies[REFRESH_COOKIE];
+  assert.ok(second && second !== first, "refresh should rotate the token");
+
+  const stored = await findRefreshToken(first);
+  assert.ok(stored.revokedAt, "a rotated token should be revoked");
+  assert.strictEqual(stored.replacedByHash, hashToken(second));
+  console.log("✅ Refresh rotates the token within its family");
+
+  // Presenting the already rotated token again looks like a stolen token,
+  // so the token issued in its place stops working too
+  const replayed = await refresh(first);
+  assert.strictEqual(replayed.statusCode, 401);
+  assert.strictEqual(replayed.cookies[REFRESH_COOKIE], null);
+  assert.strictEqual((await refresh(second)).statusCode, 401);
+  assert.ok((await findRefreshToken(second)).revokedAt);
+  console.log("✅ Reusing a rotated token revokes the whole family");
+
+  // A separate session is not affected by the revoked family
+  const otherSession = (await login()).cookies[REFRESH_COOKIE];
+  assert.strictEqual((await findRefreshToken(otherSession)).revokedAt, null);
+
+  const loggedOut = await call(logoutUser, {
+    cookies: { [REFRESH_COOKIE]: otherSession },
+  });
+  assert.strictEqual(loggedOut.body.success, true);
+  assert.strictEqual(loggedOut.cookies[REFRESH_COOKIE], null);
+  assert.strictEqual((await refresh(otherSession)).statusCode, 401);
+  console.log("✅ Logout revokes the session's refresh token");
+
+  assert.strictEqual((await refresh("not-a-token")).statusCode, 401);
+  console.log("✅ Unknown refresh tokens are rejected");
+}
+
+async function testPasswordReset({ users, user }) {
+  console.log("\n2. Password reset links...");
+  const session = (await login()).cookies[REFRESH_COOKIE];
+
+  // forgotPassword mails the token, so store one the way it does
+  const requestReset = (token, expiresInMinutes = 30) =>
+    users.update(user.id, {
+      passwordReset: {
+        tokenHash: hashToken(token),
+        expiresAt: new Date(
+          Date.now() + expiresInMinutes * 60 * 1000
+        ).toISOString(),
+        requestedAt: new Date().toISOString(),
+      },
+    });
+  const reset = (token, password) =>
+    call(resetPassword, { body: { token, password } });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await requestReset(token);
+
+  assert.strictEqual((await reset(token, "short")).statusCode, 400);
+  assert.strictEqual((await reset(token, { length: 99 })).statusCode, 400);
+  assert.strictEqual((await reset([token], PASSWORD)).statusCode, 400);
+  console.log("✅ Short and non-string passwords and tokens are rejected");
+
+  const newPassword = "a brand new password";
+  assert.strictEqual((await reset(token, newPassword)).statusCode, 200);
+  assert.strictEqual(
+    (await reset(token, "yet another password")).statusCode,
+    400
+  );
+  assert.strictEqual((await login(PASSWORD)).statusCode, 401);
+  assert.strictEqual((await login(newPassword)).statusCode, 200);
+  console.log("✅ A reset link works once");
+
+  assert.strictEqual((await refresh(session)).statusCode, 401);
+  console.log("✅ Resetting the password ends existing sessions");
+
+  const expired = crypto.randomBytes(32).toString("hex");
+  await requestReset(expired, -1);
+  assert.strictEqual((await reset(expired, newPassword)).statusCode, 400);
+
+  // A newer request replaces the earlier link
+  const older = crypto.randomBytes(32).toString("hex");
+  await requestReset(older);
+  await requestReset(crypto.randomBytes(32).toString("hex"));
+  assert.strictEqual((await reset(older, newPassword)).statusCode, 400);
+  console.log("✅ Expired and replaced links are rejected");
+
+  await users.update(user.id, { password: await bcrypt.hash(PASSWORD, 12) });
+}
+
+async function testLockout({ user, auditEvents }) {
+  console.log("\n3. Account lockout...");
+  const settings = config.auth.loginThrottle;
+
+  // Failures past the free attempts have to wait before the next one
+  for (let failure = 0; failure <= settings.freeAttempts; failure++) {
+    assert.strictEqual((await login("wrong password")).statusCode, 401);
+  }
+  const delayed = await login();
+  assert.strictEqual(delayed.statusCode, 429);
+  assert.ok(Number(delayed.headers["Retry-After"]) >= 1);
+  console.log("✅ Repeated failures delay the next attempt");
+
+  for (let failure = 0; failure < settings.maxAccountAttempts; failure++) {
+    await recordLoginFailure({ ip: IP, email: EMAIL, userId: user.id });
+  }
+
+  const throttle = await checkLoginAllowed({ ip: IP, email: EMAIL });
+  assert.strictEqual(throttle.allowed, false);
+  assert.ok(throttle.retryAfterSeconds > (settings.lockoutMinutes - 1) * 60);
+
+  // The right password does not get past a lock
+  const locked = await login();
+  assert.strictEqual(locked.statusCode, 429);
+  assert.ok(
+    auditEvents.some(
+      (event) => event.type === "account_locked" && event.email === EMAIL
+    )
+  );
+  console.log("✅ Reaching the maximum locks the account");
+
+  const { wasLocked } = await unlockAccount({
+    email: EMAIL,
+    userId: user.id,
+    actorId: "auth-sessions-test",
+  });
+  assert.strictEqual(wasLocked, true);
+  assert.strictEqual((await login()).statusCode, 200);
+  console.log("✅ Unlocking the account lets the user log in again");
+}
+
+async function testSecondFactor({ users, user, auditEvents }) {
+  console.log("\n4. Two-factor login...");
+  const secret = generateTotpSecret();
+  const recoveryCode = "0a1b2-c3d4e";
+
+  await users.update(user.id, {
+    mfa: {
+      enabled: true,
+      secret,
+      recoveryCodeHashes: [hashToken("0a1b2c3d4e")],
+      enabledAt: new Date().toISOString(),
+    },
+  });
+
+  const passwordStep = await login();
+  assert.strictEqual(passwordStep.body.mfaRequired, true);
+  assert.strictEqual(passwordStep.cookies[REFRESH_COOKIE], undefined);
+
+  const { mfaToken } = passwordStep.body;
+  const verify = (body) =>
+    call(verifyMfaLogin, { body: { mfaToken, ...body } });
+
+  const code = generateTotp(secret);
+  const verified = await verify({ code });
+  assert.strictEqual(verified.statusCode, 200);
+  assert.ok(verified.cookies[REFRESH_COOKIE]);
+  assert.strictEqual((await verify({ code })).statusCode, 401);
+
+  // Codes from before the last used one are replays too
+  const earlier = generateTotp(secret, Date.now() - 30 * 1000);
+  assert.strictEqual((await verify({ code: earlier })).statusCode, 401);
+  console.log("✅ An authenticator code works once");
+
+  assert.strictEqual((await verify({ recoveryCode })).statusCode, 200);
+  assert.strictEqual((await verify({ recoveryCode })).statusCode, 401);
+  assert.deepStrictEqual(
+    (await users.findById(user.id)).mfa.recoveryCodeHashes,
+    []
+  );
+  assert.ok(
+    auditEvents.some((event) => event.type === "mfa_recovery_code_used")
+  );
+  console.log("✅ A recovery code works once");
+
+  const setupToken = signMfaPendingToken({ id: user.id, setupRequired: true });
+  const setupOnly = await call(verifyMfaLogin, {
+    body: { mfaToken: setupToken, code: generateTotp(secret) },
+  });
+  assert.strictEqual(setupOnly.statusCode, 400);
+  console.log("✅ Enrollment tokens cannot skip the second factor");
+}
+
+async function testAuthSessions() {
+  try {
+    console.log("🧪 Testing auth sessions...\n");
+    const users = createUserRepository("memory");
+    setUserRepository(users);
+    setRefreshTokenStore(createMemoryRefreshTokenStore());
+    setAttemptStore(createMemoryAttemptStore());
+    const auditStore = createMemoryEventStore();
+    setAuthEventStore(auditStore);
+
+    const user = await users.create({
+      userName: "Auth Sessions Test",
+      email: EMAIL,
+      password: await bcrypt.hash(PASSWORD, 12),
+      role: "user",
+      emailVerified: true,
+      createdAt: new Date().toISOString(),
+    });
+    await testRefreshTokens();
+    await testPasswordReset({ users, user });
+    await testLockout({ user, auditEvents: auditStore.events });
+    await testSecondFactor({ users, user, auditEvents: auditStore.events });
+
+    console.log("\n🎉 All auth session tests passed!");
+    process.exitCode = 0;
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+testAuthSessions();
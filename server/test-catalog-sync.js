@@ -0,0 +1,67 @@
+const assert = require("assert");
+const mongoose = require("mongoose");
+const {
+  diffFields,
+  toSyncedFields,
+  toMongoFields,
+} = require("./helpers/sync-catalog");
+
+// Checks how the catalog sync converts product fields between the stores,
+// so it needs no database: variant ids go to Firestore as strings and come
+// back to Mongo as the same ObjectIds.
+// Run with: node test-catalog-sync.js
+
+async function testVariantIds() {
+  console.log("1. Variant ids between the stores...");
+  const variantId = new mongoose.Types.ObjectId();
+
+  // A product as the Mongo driver returns it
+  const mongoFields = {
+    title: "Classic Cotton Shirt",
+    price: 25,
+    variants: [
+      { _id: variantId, size: "M", totalStock: 4, reservedStock: 1 },
+      { size: "L", totalStock: 2 },
+    ],
+  };
+
+  const firestoreFields = toSyncedFields(mongoFields);
+  assert.strictEqual(firestoreFields.variants[0]._id, variantId.toString());
+  assert.strictEqual(firestoreFields.variants[1]._id, undefined);
+  assert.ok(mongoFields.variants[0]._id instanceof mongoose.Types.ObjectId);
+  console.log("✅ Variant ids are written to Firestore as strings");
+
+  // Read back from Firestore and written to Mongo again
+  const roundTripped = toMongoFields(toSyncedFields(firestoreFields));
+  assert.ok(roundTripped.variants[0]._id instanceof mongoose.Types.ObjectId);
+  assert.ok(roundTripped.variants[0]._id.equals(variantId));
+  assert.deepStrictEqual(roundTripped, mongoFields);
+  console.log("✅ Variant ids come back to Mongo as the same ObjectIds");
+
+  assert.deepStrictEqual(
+    diffFields(toSyncedFields(mongoFields), toSyncedFields(firestoreFields)),
+    []
+  );
+  console.log("✅ The two copies of a product compare equal");
+
+  const legacy = toMongoFields({ variants: [{ _id: "size-m" }] });
+  assert.strictEqual(legacy.variants[0]._id, "size-m");
+  assert.deepStrictEqual(toMongoFields({ title: "Cap" }), { title: "Cap" });
+  console.log("✅ Other ids and products without variants pass unchanged");
+}
+
+async function testCatalogSync() {
+  try {
+    console.log("🧪 Testing the catalog sync...\n");
+
+    await testVariantIds();
+
+    console.log("\n🎉 All catalog sync tests passed!");
+    process.exitCode = 0;
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+testCatalogSync();
@@ -0,0 +1,192 @@
+require("dotenv").config();
+const assert = require("assert");
+const mongoose = require("mongoose");
+const Product = require("./models/Product");
+const Cart = require("./models/Cart");
+const Order = require("./models/Order");
+const PaymentEvent = require("./models/PaymentEvent");
+const StockReservation = require("./models/StockReservation");
+const { reserveOrderItems } = require("./helpers/inventory-reservations");
+const {
+  finalizeSuccessfulPayment,
+  finalizeFailedPayment,
+} = require("./helpers/payment-finalization");
+
+// Fires the payment callback and the charge.success webhook at the same time
+// (and a few replays of each) and checks the order is finalized exactly once,
+// then interrupts a finalization and checks the next delivery completes it.
+// Run with: node test-payment-finalization.js (uses MONGO_URI)
+
+async function createFixtures(reference) {
+  const product = await Product.create({
+    title: "Finalization Test Product",
+    price: 10,
+    salePrice: 0,
+    totalStock: 5,
+  });
+  const cart = await Cart.create({
+    userId: "payment-finalization-test",
+    items: [{ productId: product._id, quantity: 2 }],
+  });
+  const order = await Order.create({
+    userId: "payment-finalization-test",
+    cartId: cart._id.toString(),
+    cartItems: [
+      {
+        productId: product._id.toString(),
+        title: product.title,
+        price: "10",
+        quantity: 2,
+        lineTotal: 20,
+      },
+    ],
+    orderStatus: "pending",
+    paymentStatus: "pending",
+    subtotal: 20,
+    totalAmount: 20,
+    paymentId: reference,
+  });
+
+  return { product, cart, order };
+}
+
+async function testPaymentFinalization() {
+  const reference = `test_${Date.now()}`;
+  const retryReference = `${reference}_retry`;
+  let fixtures;
+  let retryFixtures;
+
+  try {
+    console.log("🧪 Testing idempotent payment finalization...\n");
+    await mongoose.connect(process.env.MONGO_URI);
+    await PaymentEvent.syncIndexes();
+
+    fixtures = await createFixtures(reference);
+    await reserveOrderItems({
+      reference,
+      items: fixtures.order.cartItems,
+    });
+
+    console.log("1. Firing callback and webhook concurrently...");
+    const results = await Promise.all([
+      finalizeSuccessfulPayment({ reference, source: "callback", amountPaid: 20 }),
+      finalizeSuccessfulPayment({ reference, source: "webhook", amountPaid: 20 }),
+      finalizeSuccessfulPayment({ reference, source: "callback", amountPaid: 20 }),
+      finalizeSuccessfulPayment({ reference, source: "webhook", amountPaid: 20 }),
+    ]);
+
+    assert.ok(results.every((result) => result.success));
+    assert.strictEqual(
+      results.filter((result) => !result.alreadyProcessed).length,
+      1,
+      "exactly one call should perform the transition"
+    );
+    console.log("✅ Only one call transitioned the order");
+
+    const product = await Product.findById(fixtures.product._id);
+    assert.strictEqual(product.totalStock, 3, "stock should drop by 2 once");
+    assert.strictEqual(product.reservedStock, 0, "reservation should be committed");
+    assert.strictEqual(product.unitsSold, 2, "units sold should count the order once");
+    console.log("✅ Stock decremented once:", product.totalStock);
+
+    const order = await Order.findById(fixtures.order._id);
+    assert.strictEqual(order.paymentStatus, "paid");
+    assert.strictEqual(order.orderStatus, "confirmed");
+    assert.strictEqual(await Cart.findById(fixtures.cart._id), null);
+    console.log("✅ Order confirmed and cart cleared");
+
+    const events = await PaymentEvent.find({ reference });
+    assert.strictEqual(events.length, 1);
+    assert.deepStrictEqual([...events[0].sources].sort(), ["callback", "webhook"]);
+    console.log("✅ Reference recorded once with both sources");
+
+    console.log("\n2. Replaying a late charge.failed event...");
+    await finalizeFailedPayment({ reference, source: "webhook" });
+    const afterFailure = await Order.findById(fixtures.order._id);
+    assert.strictEqual(afterFailure.paymentStatus, "paid");
+    console.log("✅ Paid order was not cancelled");
+
+    console.log("\n3. Rejecting an underpaid charge...");
+    const underpaid = await finalizeSuccessfulPayment({
+      reference,
+      source: "webhook",
+      amountPaid: 0.01,
+    });
+    assert.strictEqual(underpaid.reason, "AMOUNT_MISMATCH");
+    console.log("✅ Amount mismatch rejected");
+
+    console.log("\n4. Retrying an interrupted finalization...");
+    retryFixtures = await createFixtures(retryReference);
+    await reserveOrderItems({
+      reference: retryReference,
+      items: retryFixtures.order.cartItems,
+    });
+
+    // The cart delete fails once, after the stock has been committed
+    const deleteCart = Cart.findByIdAndDelete;
+    Cart.findByIdAndDelete = () => {
+      Cart.findByIdAndDelete = deleteCart;
+      return Promise.reject(new Error("Simulated cart delete failure"));
+    };
+
+    await assert.rejects(
+      finalizeSuccessfulPayment({
+        reference: retryReference,
+        source: "callback",
+        amountPaid: 20,
+      }),
+      /Simulated cart delete failure/
+    );
+    const interrupted = await Order.findById(retryFixtures.order._id);
+    assert.strictEqual(interrupted.paymentStatus, "paid");
+    assert.strictEqual(interrupted.fulfillmentStatus, "pending");
+    assert.ok(await Cart.findById(retryFixtures.cart._id));
+    console.log("✅ Interrupted order left paid with fulfillment pending");
+
+    const retried = await finalizeSuccessfulPayment({
+      reference: retryReference,
+      source: "webhook",
+      amountPaid: 20,
+    });
+    assert.strictEqual(retried.alreadyProcessed, true);
+    assert.strictEqual(retried.order.fulfillmentStatus, "done");
+    assert.strictEqual(await Cart.findById(retryFixtures.cart._id), null);
+
+    await finalizeSuccessfulPayment({
+      reference: retryReference,
+      source: "webhook",
+      amountPaid: 20,
+    });
+    const retriedProduct = await Product.findById(retryFixtures.product._id);
+    assert.strictEqual(retriedProduct.totalStock, 3, "stock should drop once");
+    assert.strictEqual(retriedProduct.reservedStock, 0);
+    assert.strictEqual(retriedProduct.unitsSold, 2);
+    console.log("✅ Retry cleared the cart without committing stock twice");
+
+    console.log("\n🎉 All payment finalization tests passed!");
+    process.exitCode = 0;
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    if (fixtures) {
+      await Product.findByIdAndDelete(fixtures.product._id);
+      await Cart.findByIdAndDelete(fixtures.cart._id);
+      await Order.findByIdAndDelete(fixtures.order._id);
+    }
+    if (retryFixtures) {
+      await Product.findByIdAndDelete(retryFixtures.product._id);
+      await Cart.findByIdAndDelete(retryFixtures.cart._id);
+      await Order.findByIdAndDelete(retryFixtures.order._id);
+    }
+    await PaymentEvent.deleteMany({
+      reference: { $in: [reference, retryReference] },
+    });
+    await StockReservation.deleteMany({
+      reference: { $in: [reference, retryReference] },
+    });
+    await mongoose.disconnect();
+  }
+}
+
+testPaymentFinalization();
@@ -0,0 +1,436 @@
+const assert = require("assert");
+const {
+  createMemoryProductRepository,
+  createMirroredProductRepository,
+  PRICE_BUCKETS,
+} = require("./helpers/product-repository");
+const {
+  SEARCH_WEIGHTS,
+  toSearchTerms,
+  termPattern,
+} = require("./helpers/product-search");
+
+// Drives the product repository interface through the in-memory store, so
+// it needs no database: listing, paging and writes, including writes
+// mirrored to a second store, cursor paging, filters, facets, sort orders,
+// variants and search.
+// Run with: node test-product-catalog.js
+
+const PRODUCTS = [
+  {
+    title: "Classic Cotton Shirt",
+    description: "Everyday cotton shirt",
+    category: "men",
+    brand: "nike",
+    price: 25,
+    totalStock: 10,
+    averageReview: 4.5,
+    unitsSold: 40,
+    createdAt: new Date("2024-01-01"),
+  },
+  {
+    title: "Running Shoes",
+    description: "Light shoes, great with any shirt",
+    category: "footwear",
+    brand: "adidas",
+    price: 80,
+    salePrice: 60,
+    totalStock: 3,
+    reservedStock: 3,
+    averageReview: 3.8,
+    unitsSold: 90,
+    createdAt: new Date("2024-03-01"),
+  },
+  {
+    title: "Summer Dresses",
+    description: "Floral print",
+    category: "women",
+    brand: "zara",
+    price: 50,
+    totalStock: 5,
+    averageReview: 4.9,
+    unitsSold: 15,
+    createdAt: new Date("2024-02-01"),
+  },
+  {
+    title: "Denim Jacket",
+    description: "Goes over a shirt",
+    category: "men",
+    brand: "levi",
+    price: 120,
+    salePrice: 90,
+    totalStock: 0,
+    averageReview: 2.5,
+    unitsSold: 5,
+    createdAt: new Date("2024-04-01"),
+  },
+  {
+    title: "Leather Belt",
+    description: "Brown leather",
+    category: "accessories",
+    brand: "levi",
+    price: 25,
+    totalStock: 8,
+    averageReview: 0,
+    unitsSold: 0,
+    createdAt: new Date("2023-12-01"),
+  },
+];
+
+const titles = (page) => page.items.map((product) => product.title);
+
+const countOf = (facet, key, value) =>
+  facet.find((entry) => entry[key] === value)?.count || 0;
+
+// Every product of a listing, following nextCursor from the first page
+async function readAllByCursor(repository, query) {
+  const items = [];
+  let cursor = null;
+
+  do {
+    const page = await repository.list({ ...query, cursor });
+    items.push(...page.items);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return items;
+}
+
+async function testListing() {
+  console.log("1. Listing, paging and writes...");
+  const repository = createMemoryProductRepository(PRODUCTS);
+
+  const all = await repository.list({ sortBy: "price-lowtohigh" });
+  assert.strictEqual(all.total, PRODUCTS.length);
+  assert.deepStrictEqual(titles(all).slice(-1), ["Denim Jacket"]);
+
+  const firstPage = await repository.list({
+    sortBy: "price-lowtohigh",
+    page: 1,
+    limit: 2,
+  });
+  const secondPage = await repository.list({
+    sortBy: "price-lowtohigh",
+    page: 2,
+    limit: 2,
+  });
+  assert.strictEqual(firstPage.totalPages, 3);
+  assert.deepStrictEqual(
+    [...titles(firstPage), ...titles(secondPage)],
+    titles(all).slice(0, 4)
+  );
+  console.log("✅ Numbered pages follow the listing order");
+
+  const created = await repository.create({
+    title: "Wool Scarf",
+    category: "accessories",
+    brand: "zara",
+    price: 30,
+    totalStock: 2,
+  });
+  assert.strictEqual(
+    (await repository.findById(created.id)).title,
+    "Wool Scarf"
+  );
+
+  const updated = await repository.update(created.id, { price: 35 });
+  assert.strictEqual(updated.price, 35);
+  assert.strictEqual(updated.title, "Wool Scarf");
+  assert.strictEqual(await repository.update("missing", { price: 1 }), null);
+
+  await repository.delete(created.id);
+  assert.strictEqual(await repository.findById(created.id), null);
+  assert.strictEqual((await repository.list({})).total, PRODUCTS.length);
+  console.log("✅ Products are created, updated and deleted");
+
+  const primary = createMemoryProductRepository();
+  const replica = createMemoryProductRepository();
+  const mirrored = createMirroredProductRepository(primary, replica);
+
+  const mirroredProduct = await mirrored.create({ title: "Cap", price: 12 });
+  await mirrored.update(mirroredProduct.id, { price: 10 });
+  assert.strictEqual((await replica.findById(mirroredProduct.id)).price, 10);
+
+  await mirrored.delete(mirroredProduct.id);
+  assert.strictEqual(await replica.findById(mirroredProduct.id), null);
+  console.log("✅ Mirrored writes reach the replica under the same id");
+
+  // An image only the replica still shows, e.g. after a failed mirror write
+  await replica.create({ title: "Old Cap", image: "https://cdn/old-cap.jpg" });
+  await mirrored.create({ title: "New Cap", image: "https://cdn/new-cap.jpg" });
+  const inUse = await mirrored.findImageUrlsInUse([
+    "https://cdn/old-cap.jpg",
+    "https://cdn/new-cap.jpg",
+    "https://cdn/unused.jpg",
+  ]);
+  assert.deepStrictEqual([...inUse].sort(), [
+    "https://cdn/new-cap.jpg",
+    "https://cdn/old-cap.jpg",
+  ]);
+  console.log("✅ Images either store shows count as in use");
+}
+
+async function testCursorPaging() {
+  console.log("\n2. Cursor paging...");
+  const repository = createMemoryProductRepository(PRODUCTS);
+
+  const all = await repository.list({ sortBy: "price-lowtohigh" });
+  assert.strictEqual(all.nextCursor, null);
+
+  // Both products priced 25 tie, the id keeps their order stable
+  const byCursor = await readAllByCursor(repository, {
+    sortBy: "price-lowtohigh",
+    limit: 2,
+  });
+  assert.deepStrictEqual(
+    byCursor.map((product) => product.title),
+    titles(all)
+  );
+  console.log("✅ Cursor pages read every product once, ties included");
+
+  const firstPage = await repository.list({
+    sortBy: "price-lowtohigh",
+    limit: 2,
+  });
+  await assert.rejects(
+    repository.list({ sortBy: "price-lowtohigh", cursor: "not-a-cursor" }),
+    { code: "INVALID_CURSOR" }
+  );
+  await assert.rejects(
+    repository.list({ sortBy: "title-atoz", cursor: firstPage.nextCursor }),
+    { code: "INVALID_CURSOR" }
+  );
+  console.log("✅ Malformed cursors and cursors of another sort rejected");
+}
+
+async function testFilters() {
+  console.log("\n3. Filtering...");
+  const repository = createMemoryProductRepository(PRODUCTS);
+  const filtered = async (filters) =>
+    titles(await repository.list({ sortBy: "title-atoz", ...filters }));
+
+  assert.deepStrictEqual(await filtered({ categories: ["men"] }), [
+    "Classic Cotton Shirt",
+    "Denim Jacket",
+  ]);
+  assert.deepStrictEqual(await filtered({ brands: ["levi", "zara"] }), [
+    "Denim Jacket",
+    "Leather Belt",
+    "Summer Dresses",
+  ]);
+  // Sale prices count: the jacket's 90 is in range, the shoes' 60 is not
+  assert.deepStrictEqual(await filtered({ minPrice: 70, maxPrice: 100 }), [
+    "Denim Jacket",
+  ]);
+  assert.deepStrictEqual(await filtered({ minRating: 4 }), [
+    "Classic Cotton Shirt",
+    "Summer Dresses",
+  ]);
+  // The shoes' stock is all reserved, the jacket has none
+  assert.deepStrictEqual(await filtered({ inStock: true }), [
+    "Classic Cotton Shirt",
+    "Leather Belt",
+    "Summer Dresses",
+  ]);
+  assert.deepStrictEqual(await filtered({ onSale: true }), [
+    "Denim Jacket",
+    "Running Shoes",
+  ]);
+  console.log("✅ Category, brand, price, rating and availability filters");
+
+  // Totals and later pages count every match, not just the first page
+  const lastPage = await repository.list({
+    sortBy: "title-atoz",
+    inStock: true,
+    page: 2,
+    limit: 2,
+  });
+  assert.strictEqual(lastPage.total, 3);
+  assert.strictEqual(lastPage.totalPages, 2);
+  assert.deepStrictEqual(titles(lastPage), ["Summer Dresses"]);
+  console.log("✅ Filtered totals and pages cover every match");
+}
+
+async function testFacets() {
+  console.log("\n4. Facets...");
+  const repository = createMemoryProductRepository(PRODUCTS);
+
+  const facets = await repository.facets({ categories: ["men"] });
+  // Each facet is counted without its own filter
+  assert.strictEqual(countOf(facets.category, "value", "women"), 1);
+  assert.strictEqual(countOf(facets.brand, "value", "zara"), 0);
+  assert.strictEqual(countOf(facets.brand, "value", "levi"), 1);
+  console.log("✅ Facets ignore their own filter only");
+
+  // Bucket upper bounds are exclusive, so the products priced 25 and 50
+  // are each counted once, in the bucket they start
+  const priceFacets = (await repository.facets({})).price;
+  assert.deepStrictEqual(
+    priceFacets.map((bucket) => bucket.count),
+    [0, 2, 3, 0, 0]
+  );
+  assert.strictEqual(
+    priceFacets.reduce((sum, bucket) => sum + bucket.count, 0),
+    PRODUCTS.length
+  );
+
+  for (const bucket of PRICE_BUCKETS) {
+    const { total } = await repository.list({
+      minPrice: bucket.min,
+      belowPrice: bucket.max ?? undefined,
+    });
+    assert.strictEqual(total, countOf(priceFacets, "id", bucket.id));
+  }
+  console.log("✅ Each price lands in one bucket, which lists its count");
+
+  const ratings = (await repository.facets({})).rating;
+  assert.strictEqual(countOf(ratings, "minRating", 4), 2);
+  assert.strictEqual(countOf(ratings, "minRating", 1), 4);
+  console.log("✅ Rating facets count products at or above each threshold");
+}
+
+async function testSortOrders() {
+  console.log("\n5. Sort orders...");
+  const repository = createMemoryProductRepository(PRODUCTS);
+  const sorted = async (sortBy) => titles(await repository.list({ sortBy }))[0];
+
+  assert.strictEqual(await sorted("price-hightolow"), "Denim Jacket");
+  assert.strictEqual(await sorted("title-ztoa"), "Summer Dresses");
+  assert.strictEqual(await sorted("newest"), "Denim Jacket");
+  assert.strictEqual(await sorted("rating-hightolow"), "Summer Dresses");
+  assert.strictEqual(await sorted("bestselling"), "Running Shoes");
+  // The shoes and the jacket are both 25% off, the rest not at all
+  const discounts = (await repository.list({ sortBy: "discount-hightolow" }))
+    .items;
+  assert.deepStrictEqual(
+    discounts.slice(0, 2).map((product) => product.discountPercent),
+    [25, 25]
+  );
+  console.log("✅ Every listing order sorts on its field");
+
+  const { items } = await repository.list({});
+  const shirt = items.find((item) => item.title.includes("Shirt"));
+  const onSale = await repository.update(shirt.id, { salePrice: 20 });
+  assert.strictEqual(onSale.discountPercent, 20);
+  console.log("✅ Discount worked out from the stored price on update");
+}
+
+async function testVariants() {
+  console.log("\n6. Variants...");
+  const repository = createMemoryProductRepository();
+
+  const product = await repository.create({
+    title: "Variant Tee",
+    price: 15,
+    options: [{ name: "Size", values: ["S", "M"] }],
+    variants: [
+      { options: [{ name: "Size", value: "S" }], totalStock: 4 },
+      { options: [{ name: "Size", value: "M" }], totalStock: 6 },
+    ],
+  });
+  assert.strictEqual(product.totalStock, 10);
+
+  // A checkout reserves 2 of the small size, then an admin edit that
+  // still holds the old variants restocks it
+  const [small, medium] = product.variants;
+  await repository.put({
+    ...product,
+    variants: [{ ...small, reservedStock: 2 }, medium],
+  });
+  const edited = await repository.update(product.id, {
+    variants: [{ ...small, reservedStock: 0, totalStock: 9 }, medium],
+  });
+  assert.strictEqual(edited.variants[0].reservedStock, 2);
+  assert.strictEqual(edited.variants[0].availableStock, 7);
+  assert.strictEqual(edited.reservedStock, 2);
+  assert.strictEqual(edited.totalStock, 15);
+  console.log("✅ Variant edits keep the stored reservations");
+}
+
+async function testSearch() {
+  console.log("\n7. Search...");
+  const repository = createMemoryProductRepository(PRODUCTS);
+  const search = (query, options) => repository.search({ query, ...options });
+
+  // A title match outranks the two description matches
+  const shirts = titles(await search("shirt"));
+  assert.strictEqual(shirts[0], "Classic Cotton Shirt");
+  assert.deepStrictEqual([...shirts].sort(), [
+    "Classic Cotton Shirt",
+    "Denim Jacket",
+    "Running Shoes",
+  ]);
+  assert.deepStrictEqual(titles(await search("shirts")), shirts);
+  assert.deepStrictEqual(titles(await search("dres")), ["Summer Dresses"]);
+  console.log("✅ Ranked by field weight, plurals and prefixes match");
+
+  assert.deepStrictEqual(titles(await search("cotton shirt")), [
+    "Classic Cotton Shirt",
+  ]);
+  assert.strictEqual((await search("shirt floral")).total, 0);
+  console.log("✅ Products have to contain every word of the query");
+
+  // The regular expressions the Mongo store searches with select the same
+  // products as the in-memory index
+  const byPattern = (query) =>
+    PRODUCTS.filter((product) =>
+      toSearchTerms(query).every((term) =>
+        Object.keys(SEARCH_WEIGHTS).some((field) =>
+          termPattern(term).test(product[field] || "")
+        )
+      )
+    )
+      .map((product) => product.title)
+      .sort();
+
+  for (const query of ["shirts", "cotton shirt", "shirt floral", "dres"]) {
+    assert.deepStrictEqual(
+      byPattern(query),
+      titles(await search(query)).sort(),
+      query
+    );
+  }
+  console.log("✅ Word patterns for Mongo match the same products");
+
+  // Regular expression syntax is searched as plain words
+  assert.deepStrictEqual(titles(await search("(leather+)+$")), [
+    "Leather Belt",
+  ]);
+  assert.strictEqual((await search("!!!")).total, 0);
+  console.log("✅ Query syntax is never interpreted");
+
+  assert.deepStrictEqual(titles(await search("shirt", { inStock: true })), [
+    "Classic Cotton Shirt",
+  ]);
+  assert.deepStrictEqual(
+    titles(await search("shirt", { sortBy: "price-lowtohigh" })),
+    ["Classic Cotton Shirt", "Running Shoes", "Denim Jacket"]
+  );
+  const secondResult = await search("shirt", { page: 2, limit: 1 });
+  assert.strictEqual(secondResult.total, 3);
+  assert.strictEqual(secondResult.totalPages, 3);
+  assert.deepStrictEqual(titles(secondResult), [shirts[1]]);
+  console.log("✅ Filters, sort orders and pages apply to results");
+}
+
+async function testProductCatalog() {
+  try {
+    console.log("🧪 Testing the product catalog...\n");
+
+    await testListing();
+    await testCursorPaging();
+    await testFilters();
+    await testFacets();
+    await testSortOrders();
+    await testVariants();
+    await testSearch();
+
+    console.log("\n🎉 All product catalog tests passed!");
+    process.exitCode = 0;
+  } catch (error) {
+    console.error("❌ Test failed:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+testProductCatalog();